@@ -10,696 +10,4908 @@
 // Copyright © 2024 Jorge Souza Oliveira dos Santos. All rights reserved.
 // ================================
 
-//#region CONFIG
+
 const SQLITE = require("sqlite3").verbose();
 
+//#region ERROR LAYER
 /**
- * @typedef {Object} ConfigType
- * @property {string} database_folder Root folder where databases are stored
- * @property {string} database_version Active database version
- * @property {number} db_pool_size Maximum number of simultaneous connections
- * @property {number} db_pool_timeout Connection timeout in milliseconds
+ * Base class of the typed database errors thrown in strict mode.
+ * Carries the SQLite error code, the database file, the table and the SQL.
+ * Bound parameters are never included, and string literals in the SQL are redacted.
  */
+class DatabaseError extends Error {
+    /**
+     * @param {string} message Error message
+     * @param {Object} [details]
+     * @param {string} [details.code] SQLite error code (e.g. "SQLITE_CONSTRAINT")
+     * @param {string} [details.db] Database file name
+     * @param {string} [details.table] Table name
+     * @param {string} [details.sql] SQL statement
+     */
+    constructor(message, details = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        this.code = details.code || null;
+        this.db = details.db || null;
+        this.table = details.table || null;
+        this.sql = details.sql ? String(details.sql).replace(/'(?:[^']|'')*'/g, "'?'") : null;
+    }
+
+    /**
+     * Converts any error to the matching typed error, completing its details.
+     * @param {Error} err Original error
+     * @param {Object} [details] Same as the constructor
+     * @returns {DatabaseError}
+     */
+    static from(err, details = {}) {
+        if (err instanceof DatabaseError) {
+            for (const key of ["db", "table"]) if (!err[key] && details[key]) err[key] = details[key];
+            if (!err.sql && details.sql) err.sql = new DatabaseError("", { sql: details.sql }).sql;
+            return err;
+        }
+        const message = err && err.message ? err.message : String(err);
+        const code = err && err.code ? err.code : null;
+        const info = { ...details, code: code };
+        let error;
+        if (code == "SQLITE_CONSTRAINT") {
+            error = new ConstraintError(message, info);
+        } else if (code == "SQLITE_BUSY" || code == "SQLITE_LOCKED") {
+            error = new BusyError(message, info);
+        } else if (["SQLITE_CANTOPEN", "SQLITE_MISUSE", "SQLITE_NOTADB", "SQLITE_READONLY"].includes(code) ||
+            /closed|not open/i.test(message)) {
+            error = new ConnectionError(message, info);
+        } else if (/no such (table|column)|has no column|already exists/i.test(message)) {
+            error = new SchemaError(message, info);
+        } else {
+            error = new DatabaseError(message, info);
+        }
+        if (err && err.stack) error.stack = `${error.name}: ${message}\n${err.stack.split("\n").slice(1).filter(line => !line.startsWith("-->")).join("\n")}`;
+        return error;
+    }
+}
+
+/** The requested record doesn't exist. */
+class NotFoundError extends DatabaseError { }
+/** A constraint (PRIMARY KEY, UNIQUE, NOT NULL, FOREIGN KEY...) rejected the operation. */
+class ConstraintError extends DatabaseError { }
+/** The database was busy or locked, or no connection was free in time. */
+class BusyError extends DatabaseError { }
+/** Unknown table or column, or another schema mismatch. */
+class SchemaError extends DatabaseError { }
+/** The connection could not be opened or was closed. */
+class ConnectionError extends DatabaseError { }
+/** A `before` hook rejected the operation. */
+class VetoError extends DatabaseError { }
 
 /**
- * Global configuration object.
- * Defines base storage paths and active database version.
- * @type {ConfigType}
+ * Error raised when a table or column name is malformed or unknown.
+ * The name is never sent to SQLite.
  */
-
-const Config = {
-    database_folder: "K:/Data",
-    database_version: "0.0", // Test database
-    // database_version: "0.1", // Production database v0.1
+class IdentifierError extends SchemaError {
     /**
-     * @description Connection pool settings
-     * @type {Object}
-     * @property {number} db_pool_timeout Connection timeout in milliseconds
-     * @property {number} max_retries Maximum number of connection retries
-     * @property {number} retry_delay Delay between retries in milliseconds
+     * @param {string} message Error message
+     * @param {any} identifier Rejected identifier
+     * @param {Object} [details] Same as `DatabaseError`
      */
-    connection: {
-        db_pool_timeout: 30000, // 30 seconds
-        max_retries: 3, // Maximum connection retries
-        retry_delay: 100 // Delay between retries in milliseconds
-    },
-};
+    constructor(message, identifier, details = {}) {
+        super(message, details);
+        this.identifier = identifier;
+    }
+}
 //#endregion
 
-//#region CONNECTION LAYER
+//#region TYPE INFERENCE
 /**
- * Simple connection pool manager with timeout.
+ * Infers the column kind of a sample value of a schema object (see `Types` in `createStore`).
+ * The same for every store, and exported for the REST adapter's field validation.
+ * @param {any} sample Sample value
+ * @returns {"text"|"integer"|"real"|"boolean"|"date"|"blob"|"json"}
  */
-const ConnectionManager = {
-    /** Map of active database connections */
-    connections: new Map(),
-    /** Connection timeout in milliseconds: 30 seconds */
-    db_pool_timeout: 30000,
+function inferKind(sample) {
+    if (typeof sample == "number") return Number.isInteger(sample) ? "integer" : "real";
+    if (typeof sample == "bigint") return "integer";
+    if (typeof sample == "boolean") return "boolean";
+    if (sample instanceof Date) return "date";
+    if (Buffer.isBuffer(sample)) return "blob";
+    if (sample != null && typeof sample == "object") return "json";
+    return "text";
+}
+//#endregion
+
+/**
+ * Creates an independent store: its own config, connections, caches, hooks and logger.
+ * Nothing runs in the background unless asked: the health check (`health_check.enabled`)
+ * and the signal handlers (`signals`) are opt-in.
+ *
+ * @example const store = createStore({ temp: true }); ... await store.close();
+ *
+ * @param {Object} [options] Config overrides (see `Config`), merged over the defaults section by section
+ * @returns {{Query: Object, Data: Object, Logger: Object, Config: Object, ConnectionManager: Object, close: () => Promise<void>}}
+ */
+function createStore(options = {}) {
+    //#region CONFIG
     /**
-     * Get or create a database connection.
-     * @param {string} arq Database file name
-     * @returns {SQLITE.Database|null}
+     * @typedef {Object} ConfigType
+     * @property {string} database_folder Root folder where databases are stored
+     * @property {string} database_version Active database version
+     * @property {boolean} memory In-memory databases (one connection per database, nothing written to disk)
+     * @property {boolean} temp Databases in a new temporary folder, deleted by `close()`
+     * @property {boolean} strict Strict mode (typed errors instead of null/false/[])
+     * @property {Object} connection Connection pool settings
+     * @property {Object} identifiers Identifier validation settings
+     * @property {Object} log Logging settings
+     * @property {Object} backup Backup settings
+     * @property {Object} cache Read cache defaults
+     * @property {Object} metrics Query metrics and slow query log settings
+     * @property {Object} health_check Idle connection health check settings
+     * @property {boolean} signals Closes the connections and exits on SIGINT/SIGTERM/SIGBREAK
      */
-    getConnection: (arq) => {
-        let conn = ConnectionManager.connections.get(arq);
-        // If connection exists and is open,
-        // reset timeout and return it,
-        // update last used time and clear timeout.
-        if (conn && conn.open) {
-            clearTimeout(conn.timeout);
-            conn.lastUsed = Date.now();
-            conn.timeout = setTimeout(() => {
-                ConnectionManager.closeConnection(arq);
-            }, ConnectionManager.db_pool_timeout);
-            return conn.db;
-        }
-
-        // Create new connection
-        const db = new SQLITE.Database(arq, SQLITE.OPEN_READWRITE | SQLITE.OPEN_CREATE, (err) => {
-            if (err) {
-                Logger.Log(`Failed to open database: ${arq}. `, "error", err);
-                return null;
-            }
-            // Enable WAL mode for better concurrency
-            db.run("PRAGMA journal_mode = WAL;");
-            db.run("PRAGMA synchronous = NORMAL;");
-        });
-
-        conn = {
-            db: db,
-            lastUsed: Date.now(),
-            timeout: setTimeout(() => {
-                ConnectionManager.closeConnection(arq);
-            }, ConnectionManager.db_pool_timeout),
-            open: true
-        };
-
-        // Add close handler
-        db.on("close", () => {
-            conn.open = false;
-            ConnectionManager.connections.delete(arq);
-        });
-        ConnectionManager.connections.set(arq, conn);
-        return db;
-    },
 
     /**
-     * Checks if a connection is open.
-     * @param {string} arq Database file name
-     * @returns {boolean}
+     * Store configuration object.
+     * Defines base storage paths and active database version.
+     * @type {ConfigType}
      */
-    isConnectionOpen: (arq) => {
-        const conn = ConnectionManager.connections.get(arq);
-        return conn && conn.open === true;
-    },
 
+    const Config = {
+        database_folder: "K:/Data",
+        database_version: "0.0", // Test database
+        // database_version: "0.1", // Production database v0.1
+        memory: false,
+        temp: false,
+        strict: false, // Query methods throw typed errors instead of returning null/false/[]
+        /**
+         * @description Connection pool settings
+         * @type {Object}
+         * @property {number} db_pool_timeout Connection timeout in milliseconds
+         * @property {number} db_pool_size Maximum connections per database file (1 writer + readers)
+         * @property {number} acquire_timeout Maximum wait for a free connection in milliseconds
+         * @property {number} busy_timeout Time SQLite waits for a lock before failing with SQLITE_BUSY (PRAGMA busy_timeout)
+         * @property {number} max_retries Maximum number of retries of a failed statement (busy, locked or closed connection)
+         * @property {number} retry_delay Delay before the first retry in milliseconds, doubled on each retry
+         * @property {number} retry_max_delay Maximum delay between retries in milliseconds
+         * @property {number} retry_jitter Random part of each delay, from 0 (none) to 1 (the whole delay)
+         * @property {boolean} foreign_keys Enforces FOREIGN KEY constraints on every connection (PRAGMA foreign_keys)
+         */
+        connection: {
+            db_pool_timeout: 30000, // 30 seconds
+            db_pool_size: 4, // 1 write connection + 3 read connections per file
+            acquire_timeout: 10000, // 10 seconds
+            busy_timeout: 5000, // 5 seconds
+            max_retries: 3, // Maximum statement retries
+            retry_delay: 100, // 100 ms, 200 ms, 400 ms...
+            retry_max_delay: 2000, // 2 seconds
+            retry_jitter: 0.5, // Up to half of each delay is random
+            foreign_keys: true
+        },
+        /**
+         * @description Identifier (table and column names) validation settings
+         * @type {Object}
+         * @property {boolean} check_columns Also checks column names against the real table columns (PRAGMA table_info)
+         * @property {RegExp|null} pattern Accepted names (null for letters of any script, digits, underscore and hyphen).
+         * Names are always quoted, so any pattern is safe; names like JSON paths ("a.b", "a[0]") are read as paths.
+         */
+        identifiers: {
+            check_columns: true,
+            pattern: null
+        },
+        /**
+         * @description Logging settings
+         * @type {Object}
+         * @property {"debug"|"info"|"warn"|"error"} level Minimum level written
+         * @property {string|null} folder Log folder (null for `<database_folder>/log`)
+         * @property {number} max_size Maximum log file size in bytes before rotating
+         * @property {number} retention_days Days log files are kept
+         */
+        log: {
+            level: "info",
+            folder: null,
+            max_size: 10 * 1024 * 1024, // 10 MB
+            retention_days: 30
+        },
+        /**
+         * @description Backup settings (`Data.Backup` and `Data.ScheduleBackups`)
+         * @type {Object}
+         * @property {string|null} folder Backup folder (null for `<database_folder>/backup`)
+         * @property {number} interval Scheduled backup interval in milliseconds (0 disables it)
+         * @property {number} retention Scheduled backups kept per database file
+         * @property {boolean} integrity_check Runs `PRAGMA integrity_check` on each backup
+         */
+        backup: {
+            folder: null,
+            interval: 0,
+            retention: 7,
+            integrity_check: true
+        },
+        /**
+         * @description Read cache defaults, for the tables with the `cache` option of `Query.CheckTable`
+         * @type {Object}
+         * @property {number} size Maximum cached queries per table
+         * @property {number} ttl Entry lifetime in milliseconds (0 for no expiry)
+         */
+        cache: {
+            size: 500,
+            ttl: 60000 // 1 minute
+        },
+        /**
+         * @description Query metrics and slow query log
+         * @type {Object}
+         * @property {boolean} enabled Records the metrics of every query
+         * @property {number} slow_query Queries slower than this (milliseconds) are logged (0 disables it)
+         * @property {boolean} explain Adds the `EXPLAIN QUERY PLAN` of slow queries to the log
+         * @property {number} slow_log_size Slow queries kept in `Data.GetMetrics()`
+         * @property {number[]} buckets Latency histogram buckets in milliseconds
+         */
+        metrics: {
+            enabled: true,
+            slow_query: 1000, // 1 second
+            explain: false,
+            slow_log_size: 100,
+            buckets: [1, 5, 10, 25, 50, 100, 250, 500, 1000, 2500, 5000, 10000]
+        },
+        /**
+         * @description Idle connection health check (opt-in)
+         * @type {Object}
+         * @property {boolean} enabled Starts the health check with the store
+         * @property {number} interval Check interval in milliseconds
+         * @property {number} max_idle Connections idle for longer are closed (milliseconds)
+         */
+        health_check: {
+            enabled: false,
+            interval: 60000, // 1 minute
+            max_idle: 300000 // 5 minutes
+        },
+        signals: false,
+    };
+
+    // Overrides: objects are merged over the matching default section, other values replace it
+    for (const [key, value] of Object.entries(options)) {
+        const section = Config[key] && typeof Config[key] == "object" && !Array.isArray(Config[key]);
+        const partial = value && typeof value == "object" && !Array.isArray(value);
+        Config[key] = section && partial ? { ...Config[key], ...value } : value;
+    }
+    if (Config.memory && !options.database_folder) Config.database_folder = ":memory:";
+    if (Config.temp) {
+        Config.database_folder = require("fs").mkdtempSync(require("path").join(require("os").tmpdir(), "sqlite-store-"));
+    }
+    //#endregion
+
+    //#region CONNECTION LAYER
     /**
-     * Closes a database connection.
-     * @param {string} arq Database file name
-     * @returns {void}
+     * Connection pool manager with timeout.
+     * Each database file gets one write connection, shared through a FIFO queue,
+     * and up to `db_pool_size - 1` read-only connections that read concurrently thanks to WAL.
      */
-    closeConnection: (arq) => {
-        const conn = ConnectionManager.connections.get(arq);
-        if (conn) {
-            clearTimeout(conn.timeout);
-            if (conn.open) {
-                conn.db.close(err => {
-                    if (err) {
-                        Logger.Log(`Failed to close database: ${arq}. `, "error", err);
-                    }
+    const ConnectionManager = {
+        /** Map of connection pools by database file path */
+        connections: new Map(),
+        /** Connection timeout in milliseconds: 30 seconds */
+        db_pool_timeout: 30000,
+        /** Retry counters by database file path (kept when the pool closes) */
+        retries: new Map(),
+        /**
+         * Get or create the pool of a database file.
+         * @param {string} arq Database file path
+         * @returns {Object}
+         */
+        pool: (arq) => {
+            let pool = ConnectionManager.connections.get(arq);
+            if (!pool) {
+                pool = {
+                    writer: null,
+                    readers: [],
+                    writeQueue: [],
+                    readQueue: [],
+                    exists: false,
+                    lastUsed: Date.now()
+                };
+                ConnectionManager.connections.set(arq, pool);
+            }
+            return pool;
+        },
+
+        /**
+         * Maximum connections per database file (in memory mode, the only connection holds the data).
+         * @returns {number}
+         */
+        size: () => {
+            return Config.memory ? 1 : Config.connection.db_pool_size || 4;
+        },
+
+        /**
+         * Get or create the write connection of a database file, without acquiring it.
+         * Kept for code written against the single-connection manager: its statements don't wait
+         * for the pool's queue, so prefer `acquire`/`release` (or the Data methods).
+         * @param {string} arq Database file path
+         * @returns {SQLITE.Database}
+         */
+        getConnection: (arq) => {
+            const pool = ConnectionManager.pool(arq);
+            pool.lastUsed = Date.now();
+            if (!pool.writer || !pool.writer.open) pool.writer = ConnectionManager.open(arq, false);
+            ConnectionManager.touch(arq, pool.writer);
+            return pool.writer.db;
+        },
+
+        /**
+         * Opens a new connection.
+         * The write connection creates the file and enables WAL mode.
+         * In memory mode, it opens a new in-memory database instead.
+         * @param {string} arq Database file path
+         * @param {boolean} readOnly Opens a read-only connection
+         * @returns {Object} Connection record ({ db, open, readOnly, busy, lastUsed, timeout })
+         */
+        open: (arq, readOnly) => {
+            if (!readOnly && !Config.memory) {
+                const dir = require("path").dirname(arq);
+                if (!require("fs").existsSync(dir)) require("fs").mkdirSync(dir, { recursive: true });
+            }
+            const mode = readOnly ? SQLITE.OPEN_READONLY : SQLITE.OPEN_READWRITE | SQLITE.OPEN_CREATE;
+            const conn = {
+                db: null,
+                open: true,
+                readOnly: readOnly,
+                busy: false,
+                lastUsed: Date.now(),
+                timeout: null
+            };
+            conn.db = new SQLITE.Database(Config.memory ? ":memory:" : arq, mode, (err) => {
+                if (err) {
+                    Logger.Log(`Failed to open database: ${arq}. `, "error", err);
+                    // The statements queued on it fail, and their retries get a new connection
                     conn.open = false;
-                });
+                    clearTimeout(conn.timeout);
+                    ConnectionManager.detach(arq, conn);
+                }
+            });
+            const pragma = (sql) => conn.db.run(sql, (err) => {
+                if (err && conn.open) Logger.Log(`Failed to configure database: ${arq} (${sql}). `, "error", err);
+            });
+            // Queued before any statement of the callers, and run one at a time once the database is open
+            conn.db.serialize(() => {
+                // Wait for locks held by other connections (or processes) before failing with SQLITE_BUSY
+                pragma(`PRAGMA busy_timeout = ${Math.max(0, Number(Config.connection.busy_timeout) || 0)};`);
+                // SQLite doesn't enforce foreign keys unless asked, on each connection
+                if (Config.connection.foreign_keys !== false) pragma("PRAGMA foreign_keys = ON;");
+                if (!readOnly && !Config.memory) {
+                    // Enable WAL mode for better concurrency
+                    pragma("PRAGMA journal_mode = WAL;");
+                    pragma("PRAGMA synchronous = NORMAL;");
+                }
+            });
+            // Add close handler
+            conn.db.on("close", () => {
+                conn.open = false;
+                ConnectionManager.detach(arq, conn);
+            });
+            ConnectionManager.touch(arq, conn);
+            return conn;
+        },
+
+        /**
+         * Acquires a connection for exclusive use until `release`.
+         * Write requests (and reads when `db_pool_size` is 1 or the file doesn't exist yet)
+         * get the write connection, in FIFO order. Read requests get a read-only connection.
+         * Rejects if no connection is available within `Config.connection.acquire_timeout`.
+         *
+         * @param {string} arq Database file path
+         * @param {"read"|"write"} [mode] Connection kind
+         * @returns {Promise<Object>} Connection record, `db` is the SQLite database
+         */
+        acquire: (arq, mode = "write") => {
+            const pool = ConnectionManager.pool(arq);
+            pool.lastUsed = Date.now();
+            // Read-only connections can't create the file: checked until it exists
+            if (mode == "read" && !pool.exists && ConnectionManager.size() > 1) pool.exists = require("fs").existsSync(arq);
+            const queue = mode == "read" && ConnectionManager.size() > 1 && pool.exists ? pool.readQueue : pool.writeQueue;
+            return new Promise((resolve, reject) => {
+                const timeout = Config.connection.acquire_timeout || 10000;
+                const waiter = { resolve: resolve, reject: reject, timer: null };
+                waiter.timer = setTimeout(() => {
+                    const index = queue.indexOf(waiter);
+                    if (index >= 0) queue.splice(index, 1);
+                    const err = new Error(`Timed out after ${timeout} ms waiting for a ${queue == pool.readQueue ? "read" : "write"} connection to ${arq}`);
+                    err.code = "SQLITE_BUSY";
+                    err.acquire = true; // Already waited `acquire_timeout`, not retried
+                    reject(err);
+                }, timeout);
+                queue.push(waiter);
+                ConnectionManager.dispatch(arq);
+            });
+        },
+
+        /**
+         * Gives back a connection obtained with `acquire` and serves the next waiter.
+         * @param {string} arq Database file path
+         * @param {Object} conn Connection record
+         * @returns {void}
+         */
+        release: (arq, conn) => {
+            conn.busy = false;
+            const pool = ConnectionManager.connections.get(arq);
+            if (!pool) return;
+            pool.lastUsed = Date.now();
+            if (conn.open) ConnectionManager.touch(arq, conn);
+            ConnectionManager.dispatch(arq);
+        },
+
+        /**
+         * Serves queued requests with free connections, opening new ones up to `db_pool_size`.
+         * @param {string} arq Database file path
+         * @returns {void}
+         */
+        dispatch: (arq) => {
+            const pool = ConnectionManager.connections.get(arq);
+            if (!pool) return;
+            const give = (queue, conn) => {
+                const waiter = queue.shift();
+                clearTimeout(waiter.timer);
+                conn.busy = true;
+                ConnectionManager.touch(arq, conn);
+                waiter.resolve(conn);
             };
-            ConnectionManager.connections.delete(arq);
-        }
-    },
+            while (pool.writeQueue.length) {
+                if (!pool.writer || !pool.writer.open) pool.writer = ConnectionManager.open(arq, false);
+                if (pool.writer.busy) break;
+                give(pool.writeQueue, pool.writer);
+            }
+            const maxReaders = Math.max(0, ConnectionManager.size() - 1);
+            while (pool.readQueue.length) {
+                let conn = pool.readers.find(c => c.open && !c.busy);
+                if (!conn && pool.readers.length < maxReaders) {
+                    conn = ConnectionManager.open(arq, true);
+                    pool.readers.push(conn);
+                }
+                if (!conn) break;
+                give(pool.readQueue, conn);
+            }
+        },
 
-    /**
-     * Closes all open connections.
-     * @returns {void}
-     */
-    shutdown: () => {
-        for (const [arq, conn] of ConnectionManager.connections) {
+        /**
+         * Resets the idle timeout of a connection.
+         * @param {string} arq Database file path
+         * @param {Object} conn Connection record
+         * @returns {void}
+         */
+        touch: (arq, conn) => {
+            clearTimeout(conn.timeout);
+            conn.lastUsed = Date.now();
+            // Closing an in-memory database would lose it
+            if (Config.memory) return;
+            conn.timeout = setTimeout(() => {
+                ConnectionManager.expire(arq, conn);
+            }, ConnectionManager.db_pool_timeout);
+        },
+
+        /**
+         * Idle timeout handler.
+         * Closes the connection, unless it's in use (e.g. by a transaction): then waits another timeout.
+         * @param {string} arq Database file path
+         * @param {Object} conn Connection record
+         * @returns {void}
+         */
+        expire: (arq, conn) => {
+            if (conn.busy) return ConnectionManager.touch(arq, conn);
+            ConnectionManager.closeOne(arq, conn);
+        },
+
+        /**
+         * Removes a connection from its pool, and the pool when it's empty.
+         * @param {string} arq Database file path
+         * @param {Object} conn Connection record
+         * @returns {void}
+         */
+        detach: (arq, conn) => {
+            const pool = ConnectionManager.connections.get(arq);
+            if (!pool) return;
+            if (pool.writer === conn) pool.writer = null;
+            pool.readers = pool.readers.filter(c => c !== conn);
+            if (!pool.writer && pool.readers.length == 0 && pool.writeQueue.length == 0 && pool.readQueue.length == 0) {
+                ConnectionManager.connections.delete(arq);
+            }
+        },
+
+        /**
+         * Closes a single connection.
+         * In memory mode, the connection holds the data: it's only closed by `shutdown`.
+         * @param {string} arq Database file path
+         * @param {Object} conn Connection record
+         * @param {boolean} [force] Closes it even in memory mode
+         * @returns {Promise<void>} Resolved once SQLite closed it
+         */
+        closeOne: (arq, conn, force = false) => {
+            if (Config.memory && !force) return Promise.resolve();
             clearTimeout(conn.timeout);
+            let closed = Promise.resolve();
             if (conn.open) {
-                conn.db.close(err => {
+                conn.open = false;
+                closed = new Promise(resolve => conn.db.close(err => {
                     if (err) {
                         Logger.Log(`Failed to close database: ${arq}. `, "error", err);
                     }
-                    conn.open = false;
-                });
+                    resolve();
+                }));
             }
-        }
-        ConnectionManager.connections.clear();
-    },
+            ConnectionManager.detach(arq, conn);
+            return closed;
+        },
 
-    /**
-     * Get connection status.
-     * @returns {Object}
-     */
-    getStatus: () => {
-        const status = {};
-        for (const [arq, conn] of ConnectionManager.connections) {
-            status[arq] = {
-                open: conn.open,
-                lastUsed: new Date(conn.lastUsed).toISOString(),
-                age: Date.now() - conn.lastUsed
-            };
-        }
-        return status;
-    },
-};
-//#endregion
+        /**
+         * Checks if a connection is open.
+         * @param {string} arq Database file name
+         * @returns {boolean}
+         */
+        isConnectionOpen: (arq) => {
+            const pool = ConnectionManager.connections.get(arq);
+            return !!pool && ((pool.writer && pool.writer.open) || pool.readers.some(c => c.open));
+        },
 
-//#region PATH LAYER
-/**
- * Base utilities related to filesystem paths.
- */
-const BaseState = {
-    Path: (base = []) => {
-        return require("path").join(
-            Config.database_folder,
-            Config.database_version,
-            ...base
-        );
-    },
-};
-//#endregion
+        /**
+         * Closes every connection of a database file.
+         * Queued requests are rejected. Does nothing in memory mode, unless forced.
+         * @param {string} arq Database file name
+         * @param {boolean} [force] Closes them even in memory mode (dropping the data)
+         * @returns {Promise<void>} Resolved once every connection is closed
+         */
+        closeConnection: (arq, force = false) => {
+            const pool = ConnectionManager.connections.get(arq);
+            const closed = [];
+            if (pool && (!Config.memory || force)) {
+                for (const waiter of [...pool.writeQueue, ...pool.readQueue]) {
+                    clearTimeout(waiter.timer);
+                    waiter.reject(new Error(`Database connection closed: ${arq}`));
+                }
+                pool.writeQueue = [];
+                pool.readQueue = [];
+                for (const conn of [pool.writer, ...pool.readers]) {
+                    if (conn) closed.push(ConnectionManager.closeOne(arq, conn, force));
+                }
+                ConnectionManager.connections.delete(arq);
+            }
+            return Promise.all(closed).then(() => { });
+        },
 
-//#region DATA LAYER
-/**
- * Low-level data access layer.
- * Handles SQLite connection lifecycle and filesystem preparation.
- */
-const Data = {
+        /**
+         * Closes all open connections (in memory mode too).
+         * @returns {Promise<void>} Resolved once every connection is closed
+         */
+        shutdown: () => {
+            const closed = [...ConnectionManager.connections.keys()].map(arq => ConnectionManager.closeConnection(arq, true));
+            ConnectionManager.connections.clear();
+            return Promise.all(closed).then(() => { });
+        },
+
+        /**
+         * Counts a retried statement (or one that failed after every retry).
+         * @param {string} arq Database file path
+         * @param {"busy"|"connection"|"exhausted"} kind Retry reason, or "exhausted" when retries ran out
+         * @returns {void}
+         */
+        retried: (arq, kind) => {
+            let counters = ConnectionManager.retries.get(arq);
+            if (!counters) {
+                counters = { busy: 0, connection: 0, exhausted: 0, last: null };
+                ConnectionManager.retries.set(arq, counters);
+            }
+            counters[kind]++;
+            counters.last = new Date().toISOString();
+        },
+
+        /**
+         * Get connection status.
+         * @returns {Object}
+         */
+        getStatus: () => {
+            const status = {};
+            for (const [arq, pool] of ConnectionManager.connections) {
+                const conns = [pool.writer, ...pool.readers].filter(Boolean);
+                status[arq] = {
+                    open: conns.some(c => c.open),
+                    busy: conns.some(c => c.busy),
+                    writer: pool.writer ? (pool.writer.busy ? "busy" : "idle") : "closed",
+                    readers: pool.readers.length,
+                    idleReaders: pool.readers.filter(c => !c.busy).length,
+                    writeQueue: pool.writeQueue.length,
+                    readQueue: pool.readQueue.length,
+                    lastUsed: new Date(pool.lastUsed).toISOString(),
+                    age: Date.now() - pool.lastUsed,
+                    retries: { busy: 0, connection: 0, exhausted: 0, last: null, ...ConnectionManager.retries.get(arq) }
+                };
+            }
+            return status;
+        },
+    };
+    //#endregion
+
+    //#region PATH LAYER
     /**
-     * Executes a query expecting a single row.
-     *
-     * @param {string} arq Database file name
-     * @param {string} sql SQL query
-     * @param {any[]} values Bound query parameters
-     * @returns {Promise<Object|undefined>}
+     * Base utilities related to filesystem paths.
      */
-    Check: async (arq, sql, values) => {
-        return Data.Execute(arq, sql, values, "get");
-    },
+    const BaseState = {
+        Path: (base = []) => {
+            return require("path").join(
+                Config.database_folder,
+                Config.database_version,
+                ...base
+            );
+        },
+    };
+    //#endregion
+
+    //#region TYPE LAYER
     /**
-     * Executes a query expecting multiple rows.
-     *
-     * @param {string} arq Database file name
-     * @param {string} sql SQL query
-     * @param {any[]} values Bound query parameters
-     * @returns {Promise<Object[]>}
+     * Column type inference and value conversion.
+     * Column types are inferred from the sample values of the schema object given to `Query.CheckTable`:
+     * string → TEXT, integer number → INTEGER, decimal number → REAL,
+     * boolean → INTEGER (1/0), Date → TEXT (ISO 8601), Buffer → BLOB,
+     * object or array → TEXT (JSON).
      */
-    Read: async (arq, sql, values) => {
-        return Data.Execute(arq, sql, values, "all");
-    },
+    const Types = {
+        /** Registered column kinds by "db/table" */
+        schemas: new Map(),
+        /** SQLite declared type for each kind */
+        sql: {
+            text: "TEXT",
+            integer: "INTEGER",
+            real: "REAL",
+            boolean: "INTEGER",
+            date: "TEXT",
+            blob: "BLOB",
+            json: "TEXT"
+        },
+        /** Infers the column kind from a sample value (see `inferKind`) */
+        infer: inferKind,
+        /**
+         * Maps every key of a schema object to its column kind.
+         * @param {Object} obj Schema definition object
+         * @returns {Object<string, string>}
+         */
+        describe: (obj = {}) => {
+            const kinds = {};
+            for (const [key, sample] of Object.entries(obj)) kinds[key] = Types.infer(sample);
+            return kinds;
+        },
+        /**
+         * Remembers the column kinds of a table.
+         * @param {string} db Database file name
+         * @param {string} table Table name
+         * @param {Object} obj Schema definition object
+         * @returns {Object<string, string>}
+         */
+        register: (db, table, obj) => {
+            const kinds = Types.describe(obj);
+            Types.schemas.set(`${db}/${table}`, kinds);
+            return kinds;
+        },
+        /**
+         * Gets the column kinds of a table.
+         * Registered kinds win over the ones inferred from the (optional) projection object.
+         * @param {string} db Database file name
+         * @param {string} table Table name
+         * @param {Object} [obj] Projection object
+         * @returns {Object<string, string>}
+         */
+        get: (db, table, obj) => {
+            return { ...Types.describe(obj), ...Types.schemas.get(`${db}/${table}`) };
+        },
+        /**
+         * Converts a JS value to its stored representation.
+         * @param {string|undefined} kind Column kind
+         * @param {any} value JS value
+         * @returns {any}
+         */
+        serialize: (kind, value) => {
+            if (value == null) return null;
+            if (kind == "json") return JSON.stringify(value);
+            if (typeof value == "boolean") return value ? 1 : 0;
+            if (value instanceof Date) return value.toISOString();
+            if (kind == "integer" || kind == "real") return typeof value == "string" && value !== "" ? Number(value) : value;
+            return value;
+        },
+        /**
+         * Converts a stored value back to its JS type.
+         * @param {string|undefined} kind Column kind
+         * @param {any} value Stored value
+         * @returns {any}
+         */
+        deserialize: (kind, value) => {
+            if (value == null) return value;
+            switch (kind) {
+                case "integer":
+                case "real":
+                    return typeof value == "string" && value !== "" ? Number(value) : value;
+                case "boolean":
+                    return typeof value == "string" ? value == "1" || value == "true" : Boolean(value);
+                case "date":
+                    return new Date(value);
+                case "blob":
+                    return Buffer.isBuffer(value) ? value : Buffer.from(String(value));
+                case "json":
+                    if (typeof value != "string") return value;
+                    try {
+                        return JSON.parse(value);
+                    } catch (err) {
+                        // Text stored before the column held JSON
+                        return value;
+                    }
+                default:
+                    return value;
+            }
+        },
+        /**
+         * Converts every value of a data object to its stored representation.
+         * @param {Object<string, string>} kinds Column kinds
+         * @param {Object} obj Data object
+         * @returns {Object}
+         */
+        toRow: (kinds, obj) => {
+            const row = {};
+            for (const [key, value] of Object.entries(obj)) row[key] = Types.serialize(kinds[key], value);
+            return row;
+        },
+        /**
+         * Converts a database row back to JS types.
+         * @param {Object<string, string>} kinds Column kinds
+         * @param {Object} row Database row
+         * @returns {Object}
+         */
+        fromRow: (kinds, row) => {
+            if (!row) return row;
+            const obj = {};
+            for (const [key, value] of Object.entries(row)) obj[key] = Types.deserialize(kinds[key], value);
+            return obj;
+        },
+    };
+    //#endregion
+
+    //#region STRICT MODE
     /**
-     * Executes a write operation (INSERT, UPDATE, DELETE).
-     *
-     * @param {string} arq Database file name
-     * @param {string} sql SQL query
-     * @param {any[]} values Bound query parameters
-     * @returns {Promise<number>} Number of affected rows
+     * Strict mode switch.
+     * In strict mode, Query methods throw typed errors instead of returning `null`, `false` or `[]`.
+     * Enabled globally with `Config.strict`, or per call with `Query.Strict.<Method>(...)`.
      */
-    Write: async (arq, sql, values) => {
-        return Data.Execute(arq, sql, values, "run");
-    },
+    const Strict = {
+        /** Per call strict mode (AsyncLocalStorage flag) */
+        storage: new (require("async_hooks").AsyncLocalStorage)(),
+        /**
+         * Checks if strict mode applies to the current call.
+         * @returns {boolean}
+         */
+        enabled: () => {
+            return Config.strict === true || Strict.storage.getStore() === true;
+        },
+    };
+    //#endregion
+
+    //#region IDENTIFIER LAYER
     /**
-     * Core execution method.
-     * Automatically creates directories and manages SQLite connection lifecycle.
-     *
-     * @param {string} arq Database file name
-     * @param {string} sql SQL query
-     * @param {any[]} values Bound query parameters
-     * @param {"get"|"all"|"run"} method Execution mode
-     * @returns {Promise<any>}
+     * Central validation and quoting of SQL identifiers.
+     * Every table, column and index name interpolated in SQL by the Query layer goes through it.
      */
-    Execute: async (arq, sql, values, method) => {
-        const dir = require("path").dirname(BaseState.Path([arq]));
-       
-        async function executeCall() {
-            if (!require("fs").existsSync(dir)) require("fs").mkdirSync(dir, { recursive: true });
-            //
-            // const db = new SQLITE.Database(BaseState.Path([arq]));
-            const db = ConnectionManager.getConnection(BaseState.Path([arq]));
-            if (!db) {
-                throw new Error(`Failed to obtain database connection for file: ${arq}`);
-            }
-            //
-            try {
-                return await new Promise((resolve, reject) => {
-                    const callback = (err, result) => {
-                        if (err) {
-                            // If connection is not open, close it in the manager
-                            if (err.message.includes("SQLITE_MISUSE" ||
-                                err.message.includes("closed") ||
-                                err.message.includes("not open"))) {
-                                ConnectionManager.closeConnection(arq);
-                                Logger.Log(`Database connection was not open on file: ${arq}`, "info", err);
-                            }
-                            reject(err);
-                        } else {
-                            if (method == "run") {
-                                resolve(result ? result.changes || 0 : 0); // Number of affected rows
-                            } else {
-                                resolve(result);
-                            }
-                        }
-                    };
-
-                    if (method == "get") {
-                        db.get(sql, values, callback);
-                    } else if (method == "all") {
-                        db.all(sql, values, callback);
-                    } else if (method == "run") {
-                        db.run(sql, values, function (err) {
-                            callback(err, this.changes);
-                        });
-                    }
-                });
-            } catch (err) {
-                throw err;
+    const Identifier = {
+        /** Default accepted identifiers: letters (of any script), digits, underscore and hyphen, starting with a letter or underscore */
+        pattern: /^[\p{L}_][\p{L}\p{N}_-]*$/u,
+        /** JSON paths: a column followed by keys and array indexes ("Settings.theme", "Tags[0]") */
+        pathPattern: /^(.+?)((?:\.[A-Za-z0-9_]+|\[\d+\])+)$/,
+        /** Cached table columns by "db/table" */
+        columns: new Map(),
+        /**
+         * Checks an identifier against `Config.identifiers.pattern` (or the default `pattern`).
+         * @param {any} name Identifier
+         * @returns {boolean}
+         */
+        valid: (name) => {
+            return typeof name == "string" && name.length > 0 && !name.includes("\0") && (Config.identifiers.pattern || Identifier.pattern).test(name);
+        },
+        /**
+         * Validates an identifier.
+         * @param {any} name Identifier
+         * @param {"table"|"column"|"index"|"trigger"} [kind] Identifier kind, used in the error message
+         * @returns {string}
+         */
+        validate: (name, kind = "column") => {
+            if (!Identifier.valid(name)) {
+                throw new IdentifierError(`Invalid ${kind} name: ${JSON.stringify(name)}`, name);
             }
-        }
-        // Retry logic for transient errors
-        let retries = Config.connection.max_retries || 3;
-        while (retries > 0) {
+            if (kind == "table" && name.toLowerCase().startsWith("sqlite_")) {
+                throw new IdentifierError(`Reserved table name: ${JSON.stringify(name)}`, name);
+            }
+            return name;
+        },
+        /**
+         * Validates and quotes an identifier.
+         * @param {any} name Identifier
+         * @param {"table"|"column"|"index"|"trigger"} [kind] Identifier kind
+         * @returns {string}
+         */
+        quote: (name, kind = "column") => {
+            return `"${Identifier.validate(name, kind).replace(/"/g, '""')}"`;
+        },
+        /**
+         * Validates and quotes a table name.
+         * @param {any} name Table name
+         * @returns {string}
+         */
+        table: (name) => {
+            return Identifier.quote(name, "table");
+        },
+        /**
+         * Validates and quotes a column name, or a JSON path into a column
+         * ("Settings.theme" → `json_extract("Settings", '$.theme')`).
+         * @param {any} name Column name or JSON path
+         * @returns {{column: string, path: string|null, sql: string}} Column, JSON path (`$.theme`) and SQL expression
+         */
+        path: (name) => {
+            const match = typeof name == "string" ? Identifier.pathPattern.exec(name) : null;
+            if (!match) return { column: Identifier.validate(name), path: null, sql: Identifier.quote(name) };
+            const path = `$${match[2]}`;
+            return { column: match[1], path: path, sql: `json_extract(${Identifier.quote(match[1])}, '${path}')` };
+        },
+        /**
+         * Lists the JSON paths of the `json_extract` expressions of an SQL statement (see `path`).
+         * @param {string} sql SQL statement
+         * @returns {string[]} Paths, like "Settings.theme"
+         */
+        paths: (sql) => {
+            return [...String(sql || "").matchAll(/json_extract\("((?:[^"]|"")+)", '\$((?:\.[A-Za-z0-9_]+|\[\d+\])+)'\)/g)]
+                .map(match => match[1].replace(/""/g, '"') + match[2]);
+        },
+        /**
+         * Validates and quotes a list of column names.
+         * @param {any[]} names Column names
+         * @returns {string} Comma separated list
+         */
+        list: (names) => {
+            return names.map(name => Identifier.quote(name)).join(", ");
+        },
+        /**
+         * Reads the columns of a table (PRAGMA table_info), cached until `forget`.
+         * @param {string} db Database file name
+         * @param {string} table Table name
+         * @param {boolean} [refresh] Ignores the cache
+         * @returns {Promise<string[]>}
+         */
+        tableColumns: async (db, table, refresh = false) => {
+            const key = `${db}/${table}`;
+            if (!refresh && Identifier.columns.has(key)) return Identifier.columns.get(key);
+            const rows = await Data.Read(db, `SELECT name FROM pragma_table_info(?);`, [table]);
+            const names = rows.map(row => row.name);
+            if (names.length) Identifier.columns.set(key, names);
+            return names;
+        },
+        /**
+         * Lists the column names missing from the table, when `Config.identifiers.check_columns` is on.
+         * Unknown tables are not checked (SQLite reports them).
+         * @param {string} db Database file name
+         * @param {string} table Table name
+         * @param {string[]} names Column names
+         * @returns {Promise<string[]>}
+         */
+        unknown: async (db, table, names) => {
+            if (!Config.identifiers || !Config.identifiers.check_columns || names.length == 0) return [];
+            let columns;
             try {
-                return await executeCall();
+                columns = await Identifier.tableColumns(db, table);
+                // The table may have changed since the columns were cached
+                if (columns.length && names.some(name => !columns.includes(name))) {
+                    columns = await Identifier.tableColumns(db, table, true);
+                }
             } catch (err) {
-                retries--;
-                // Check if error it's a connection error:
-                if (err.message.includes('SQLITE_MISUSE') ||
-                    err.message.includes('closed') ||
-                    err.message.includes('not open')) {
-
-                    // Force close the connection
-                    ConnectionManager.closeConnection(BaseState.Path([arq]));
+                return [];
+            }
+            if (columns.length == 0) return [];
+            return names.filter(name => !columns.includes(name));
+        },
+        /**
+         * Validates column names and checks that they exist in the table (see `unknown`).
+         * JSON paths are checked by their column.
+         * @param {string} db Database file name
+         * @param {string} table Table name
+         * @param {string[]} names Column names
+         * @returns {Promise<void>}
+         */
+        check: async (db, table, names) => {
+            Identifier.validate(table, "table");
+            names = [...new Set(names.map(name => Identifier.path(name).column))];
+            const unknown = await Identifier.unknown(db, table, names);
+            if (unknown.length) {
+                throw new IdentifierError(`Unknown column ${JSON.stringify(unknown[0])} in table ${JSON.stringify(table)}`, unknown[0], { db: db, table: table });
+            }
+        },
+        /**
+         * Clears the cached columns of a table (or of every table of a database file).
+         * @param {string} db Database file name
+         * @param {string} [table] Table name
+         * @returns {void}
+         */
+        forget: (db, table) => {
+            if (table) return void Identifier.columns.delete(`${db}/${table}`);
+            for (const key of Identifier.columns.keys()) {
+                if (key.startsWith(`${db}/`)) Identifier.columns.delete(key);
+            }
+        },
+    };
+    //#endregion
 
-                    if (retries === 0) {
-                        throw new Error(`Database connection failed after 3 retries: ${err.message}`);
+    //#region FILTER LAYER
+    /**
+     * Declarative filter language compiled to parameterised SQL.
+     * Used by `Query.Find`, `Query.Count` and `Query.Exists`.
+     *
+     * Examples of `where` objects:
+     *  - `{ Status: "active" }` → `Status = ?`
+     *  - `{ Age: { $gte: 18, $lt: 65 } }` → `(Age >= ? AND Age < ?)`
+     *  - `{ DeletedAt: null }` → `DeletedAt IS NULL`
+     *  - `{ "Settings.theme": "dark" }` → `json_extract(Settings, '$.theme') = ?`
+     *  - `{ $or: [{ Priority: "high" }, { Status: { $in: ["late", "blocked"] } }] }`
+     */
+    const Filter = {
+        /** Comparison operators and their SQL counterpart */
+        operators: {
+            $eq: "=",
+            $ne: "<>",
+            $gt: ">",
+            $gte: ">=",
+            $lt: "<",
+            $lte: "<=",
+            $like: "LIKE"
+        },
+        /**
+         * Compiles a `where` object.
+         * @param {Object} where Filter object
+         * @param {Object<string, string>} [kinds] Column kinds used to serialise values
+         * @param {string[]} [used] Receives the referenced column names
+         * @returns {{sql: string, values: any[]}} SQL condition (without WHERE) and its bound values
+         */
+        compile: (where = {}, kinds = {}, used = []) => {
+            const parts = [];
+            const values = [];
+            for (const [key, condition] of Object.entries(where)) {
+                if (key == "$and" || key == "$or") {
+                    if (!Array.isArray(condition)) throw new SchemaError(`Filter operator ${key} expects an array`);
+                    const group = condition.map(sub => Filter.compile(sub, kinds, used)).filter(sub => sub.sql);
+                    if (group.length == 0) continue;
+                    parts.push(`(${group.map(sub => sub.sql).join(key == "$and" ? " AND " : " OR ")})`);
+                    group.forEach(sub => values.push(...sub.values));
+                    continue;
+                }
+                const target = Identifier.path(key);
+                const column = target.sql;
+                // JSON path values are compared as plain SQL values
+                const serialize = (value) => Types.serialize(target.path ? undefined : kinds[key], value);
+                used.push(target.column);
+                const isOperators = condition != null && typeof condition == "object" && !(condition instanceof Date) &&
+                    !Buffer.isBuffer(condition) && !Array.isArray(condition);
+                if (!isOperators) {
+                    if (condition == null) {
+                        parts.push(`${column} IS NULL`);
+                    } else {
+                        parts.push(`${column} = ?`);
+                        values.push(serialize(condition));
                     }
-                    // Wait before retrying
-                    await new Promise(res => setTimeout(res, Config.connection.retry_delay || 100));
                     continue;
                 }
-                // Non-connection error, rethrow
-                throw err;
+                const conditions = [];
+                for (const [op, value] of Object.entries(condition)) {
+                    if (op == "$in" || op == "$nin") {
+                        if (!Array.isArray(value)) throw new SchemaError(`Filter operator ${op} expects an array`);
+                        // An empty list matches nothing ($in) or everything ($nin)
+                        if (value.length == 0) {
+                            conditions.push(op == "$in" ? "0" : "1");
+                            continue;
+                        }
+                        conditions.push(`${column} ${op == "$in" ? "IN" : "NOT IN"} (${value.map(() => "?").join(", ")})`);
+                        values.push(...value.map(serialize));
+                    } else if (op == "$null") {
+                        conditions.push(`${column} IS ${value ? "" : "NOT "}NULL`);
+                    } else if (Filter.operators[op]) {
+                        if (value == null && (op == "$eq" || op == "$ne")) {
+                            conditions.push(`${column} IS ${op == "$eq" ? "" : "NOT "}NULL`);
+                            continue;
+                        }
+                        conditions.push(`${column} ${Filter.operators[op]} ?`);
+                        values.push(serialize(value));
+                    } else {
+                        throw new SchemaError(`Unknown filter operator: ${op}`);
+                    }
+                }
+                if (conditions.length) parts.push(conditions.length == 1 ? conditions[0] : `(${conditions.join(" AND ")})`);
             }
-        }
-    },
-    /**
-     * Get connection status for monitoring purposes.
-     * @returns {Object}
-     */
-    GetConnectionStatus: () => {
-        return ConnectionManager.getStatus();
-    },
+            return { sql: parts.join(" AND "), values: values };
+        },
+        /**
+         * Compiles an `orderBy` option.
+         * Accepts "Col", "-Col" (descending), `{ Col: "asc" | "desc" }` or an array of those.
+         * @param {string|Object|(string|Object)[]} orderBy Ordering
+         * @param {string[]} [used] Receives the referenced column names
+         * @returns {string} SQL ordering (without ORDER BY)
+         */
+        order: (orderBy, used = []) => {
+            const list = Array.isArray(orderBy) ? orderBy : [orderBy];
+            const parts = [];
+            for (const item of list) {
+                if (typeof item == "string") {
+                    const desc = item.startsWith("-");
+                    const target = Identifier.path(desc ? item.slice(1) : item);
+                    parts.push(`${target.sql}${desc ? " DESC" : " ASC"}`);
+                    used.push(target.column);
+                } else if (item && typeof item == "object") {
+                    for (const [key, dir] of Object.entries(item)) {
+                        const target = Identifier.path(key);
+                        parts.push(`${target.sql}${String(dir).toLowerCase() == "desc" ? " DESC" : " ASC"}`);
+                        used.push(target.column);
+                    }
+                }
+            }
+            return parts.join(", ");
+        },
+        /**
+         * Compiles a `select` option: array of column names or projection object.
+         * @param {string[]|Object} [select] Selected columns
+         * @param {string[]} [used] Receives the referenced column names
+         * @returns {string}
+         */
+        select: (select, used = []) => {
+            if (!select) return "*";
+            const keys = Array.isArray(select) ? select : Object.keys(select);
+            used.push(...keys);
+            return keys.length ? Identifier.list(keys) : "*";
+        },
+        /**
+         * Builds a complete SELECT statement from Find options.
+         * @param {string} table Table name
+         * @param {Object} options Find options
+         * @param {Object<string, string>} kinds Column kinds
+         * @param {string} [columns] Selected columns SQL (defaults to `options.select`)
+         * @returns {{sql: string, values: any[], columns: string[]}} Statement, bound values and referenced columns
+         */
+        build: (table, options, kinds, columns) => {
+            const used = [];
+            const where = Filter.compile(options.where, kinds, used);
+            let sql = `SELECT ${columns || Filter.select(options.select, used)} FROM ${Identifier.table(table)}`;
+            if (where.sql) sql += ` WHERE ${where.sql}`;
+            if (options.orderBy) sql += ` ORDER BY ${Filter.order(options.orderBy, used)}`;
+            if (options.limit != null) {
+                sql += ` LIMIT ?`;
+                where.values.push(Number(options.limit));
+            }
+            if (options.offset != null) {
+                if (options.limit == null) sql += ` LIMIT -1`;
+                sql += ` OFFSET ?`;
+                where.values.push(Number(options.offset));
+            }
+            return { sql: sql + ";", values: where.values, columns: used };
+        },
+    };
+    //#endregion
 
+    //#region TRANSACTION LAYER
     /**
-     * Manually close a database connection.
-     * @param {string} arq Database file name
-     * @returns {void}
+     * Transaction context tracking.
+     * The transactions of the current async call chain are kept in an AsyncLocalStorage,
+     * so calls made inside `Query.Transaction` run on the write connection held by the transaction.
      */
-    CloseConnection: (arq) => {
-        const filePath = BaseState.Path([arq]);
-        ConnectionManager.closeConnection(filePath);
-    },
+    const Transactions = {
+        /** Active transactions of the current call chain (Map of file path -> transaction) */
+        storage: new (require("async_hooks").AsyncLocalStorage)(),
+        /**
+         * Gets the running transaction of the current call chain for a database file.
+         * @param {string} file Database file path
+         * @returns {Object|undefined}
+         */
+        current: (file) => {
+            const store = Transactions.storage.getStore();
+            const tx = store && store.get(file);
+            return tx && !tx.done ? tx : undefined;
+        },
+        /**
+         * Checks if the current call chain runs inside any transaction.
+         * @returns {boolean}
+         */
+        active: () => {
+            const store = Transactions.storage.getStore();
+            if (!store) return false;
+            for (const tx of store.values()) if (!tx.done) return true;
+            return false;
+        },
+        /**
+         * Runs a callback once the current transaction of a file commits (dropped if it rolls back),
+         * or right away outside transactions.
+         * @param {string} file Database file path
+         * @param {Function} fn Callback
+         * @returns {void}
+         */
+        afterCommit: (file, fn) => {
+            const tx = Transactions.current(file);
+            if (tx) tx.afterCommit.push(fn);
+            else fn();
+        },
+    };
+    //#endregion
 
+    //#region CACHE LAYER
     /**
-     * Shuts down all database connections.
-     * @returns {void}
+     * Optional per-table LRU cache of the Query read methods.
+     * Query results (rows) are cached by SQL and bound values, so every call still gets new objects.
+     * Any write made through Query on the table clears its cache; reads inside transactions skip it.
      */
-    Shutdown: () => {
-        ConnectionManager.shutdown();
-    },
-    /****
-    Execute: async (arq, sql, values, method) => {
-        return new Promise((resolve, reject) => {
-            const db = new SQLITE.Database(BaseState.Path([arq]));
-            const callback = (err, result) => {
-                db.close();
-                if (err) reject(err);
-                else resolve(result);
+    const Cache = {
+        /** Caches by "db/table": { size, ttl, entries (Map, oldest first), generation, stats } */
+        tables: new Map(),
+        /**
+         * Enables (or reconfigures) the cache of a table, or disables it.
+         * @param {string} db Database file name
+         * @param {string} table Table name
+         * @param {boolean|{size?: number, ttl?: number}} options `false` disables it
+         * @returns {void}
+         */
+        configure: (db, table, options) => {
+            const key = `${db}/${table}`;
+            if (!options) {
+                Cache.tables.delete(key);
+                return;
+            }
+            const settings = options === true ? {} : options;
+            const cache = Cache.tables.get(key) || {
+                entries: new Map(),
+                generation: 0,
+                stats: { hits: 0, misses: 0, evictions: 0, invalidations: 0 }
             };
+            cache.size = Math.max(1, Number(settings.size ?? Config.cache.size) || 1);
+            cache.ttl = Math.max(0, Number(settings.ttl ?? Config.cache.ttl) || 0);
+            while (cache.entries.size > cache.size) Cache.evict(cache);
+            Cache.tables.set(key, cache);
+        },
+        /**
+         * Drops the least recently used entry of a cache.
+         * @param {Object} cache Table cache
+         * @returns {void}
+         */
+        evict: (cache) => {
+            cache.entries.delete(cache.entries.keys().next().value);
+            cache.stats.evictions++;
+        },
+        /**
+         * Runs a read query through the cache of its table (when enabled, and outside transactions).
+         *
+         * @param {string} db Database file name
+         * @param {string} table Table name
+         * @param {string} sql SQL query
+         * @param {any[]} values Bound query parameters
+         * @param {"all"|"get"} [method] `Data.Read` or `Data.Check`
+         * @returns {Promise<Object[]|Object|undefined>}
+         */
+        read: async (db, table, sql, values, method = "all") => {
+            const run = () => method == "get" ? Data.Check(db, sql, values) : Data.Read(db, sql, values);
+            const cache = Cache.tables.get(`${db}/${table}`);
+            if (!cache || Transactions.current(BaseState.Path([db]))) return run();
 
-            if (method == "get") {
-                db.get(sql, values, callback);
-            } else if (method == "all") {
-                db.all(sql, values, callback);
-            } else if (method == "run") {
-                db.run(sql, values, function (err) {
-                    callback(err, this.changes);
-                });
+            const key = `${method}:${sql}:${JSON.stringify(values)}`;
+            const entry = cache.entries.get(key);
+            if (entry && (!entry.expires || entry.expires > Date.now())) {
+                // Most recently used goes last
+                cache.entries.delete(key);
+                cache.entries.set(key, entry);
+                cache.stats.hits++;
+                return Cache.copy(entry.value);
             }
-        });
-    }
-    ****/
-};
-//#endregion
+            if (entry) cache.entries.delete(key);
+            cache.stats.misses++;
 
-//#region QUERY LAYER
-/**
- * High-level query abstraction layer.
- * Responsible for schema management and CRUD operations.
- */
-const Query = {
+            // A write during the query makes its result stale: don't keep it
+            const generation = cache.generation;
+            const value = await run();
+            if (cache.generation == generation && Cache.tables.get(`${db}/${table}`) === cache) {
+                cache.entries.set(key, { value: value, expires: cache.ttl ? Date.now() + cache.ttl : 0 });
+                while (cache.entries.size > cache.size) Cache.evict(cache);
+            }
+            return Cache.copy(value);
+        },
+        /**
+         * Deep copies cached rows, so callers can't change the cache (even through a BLOB's Buffer).
+         * Buffers are copied as Buffers (`structuredClone` would make them plain Uint8Arrays).
+         * @param {Object[]|Object|undefined} value Rows or row
+         * @returns {Object[]|Object|undefined}
+         */
+        copy: (value) => {
+            const field = (val) => Buffer.isBuffer(val) ? Buffer.from(val) : val && typeof val == "object" ? structuredClone(val) : val;
+            const row = (obj) => Object.fromEntries(Object.entries(obj).map(([key, val]) => [key, field(val)]));
+            return Array.isArray(value) ? value.map(row) : value && row(value);
+        },
+        /**
+         * Clears the cache of a table (or of every table of a database file).
+         * Inside a transaction, it's cleared again after the commit, as other readers
+         * may have cached the data it replaced in between.
+         *
+         * @param {string} db Database file name
+         * @param {string} [table] Table name
+         * @returns {void}
+         */
+        invalidate: (db, table) => {
+            const clear = () => {
+                for (const [key, cache] of Cache.tables) {
+                    if (table ? key != `${db}/${table}` : !key.startsWith(`${db}/`)) continue;
+                    cache.entries.clear();
+                    cache.generation++;
+                    cache.stats.invalidations++;
+                }
+            };
+            clear();
+            if (Transactions.current(BaseState.Path([db]))) Transactions.afterCommit(BaseState.Path([db]), clear);
+        },
+        /**
+         * Cache statistics by "db/table".
+         * @returns {Object<string, {entries: number, size: number, ttl: number, hits: number, misses: number, hitRate: number, evictions: number, invalidations: number}>}
+         */
+        status: () => {
+            const status = {};
+            for (const [key, cache] of Cache.tables) {
+                const total = cache.stats.hits + cache.stats.misses;
+                status[key] = {
+                    entries: cache.entries.size,
+                    size: cache.size,
+                    ttl: cache.ttl,
+                    ...cache.stats,
+                    hitRate: total ? cache.stats.hits / total : 0
+                };
+            }
+            return status;
+        },
+    };
+    //#endregion
+
+    //#region BACKUP LAYER
     /**
-     * Creates a table if it does not exist.
-     * Object keys define column names.
-     * The `Id` field is enforced as PRIMARY KEY.
-     *
-     * @param {string} db Database file name
-     * @param {string} table Table name
-     * @param {Object} obj Schema definition object
-     * @returns {Promise<number|null>}
+     * Online copies of database files with the SQLite backup API.
+     * Copies are consistent even while the source is written (WAL included),
+     * so files never have to be copied by hand.
      */
-    CheckTable: async (db, table, obj) => {
-        let keys = Object.keys(obj).join(' TEXT, ');
-        let query = `CREATE TABLE IF NOT EXISTS "${table}" (${keys});`;
-        query = query.replace("Id TEXT,", "Id TEXT NOT NULL PRIMARY KEY,");
-        query = query.replace(");", " TEXT);");
-        try {
-            return await Data.Write(db, query, []);
-        } catch (err) {
-            Logger.Log("Database query failed", "error", err);
-            return null;
-        }
-    },
+    const Backups = {
+        /** Scheduled backups timer */
+        timer: null,
+        /** A scheduled run is in progress */
+        running: false,
+        /**
+         * Gets the backup folder of a database version.
+         * @param {string} [version] Database version (defaults to `Config.database_version`)
+         * @returns {string}
+         */
+        folder: (version = Config.database_version) => {
+            return require("path").join(Config.backup.folder || require("path").join(Config.database_folder, "backup"), version);
+        },
+        /**
+         * Runs the backup API on an open connection until the copy completes.
+         * Busy pages are retried with the same backoff as `Data.Execute`.
+         *
+         * @param {SQLITE.Database} db Open connection
+         * @param {string} file Other database file
+         * @param {boolean} toFile `true` copies `db` into `file`, `false` copies `file` into `db`
+         * @returns {Promise<void>}
+         */
+        copy: (db, file, toFile) => {
+            return new Promise((resolve, reject) => {
+                let attempt = 0;
+                const backup = db.backup(file, "main", "main", toFile, (err) => {
+                    if (err) return reject(err);
+                    step();
+                });
+                const step = () => backup.step(-1, (err) => {
+                    if (err) return backup.finish(() => reject(err));
+                    if (backup.completed) return backup.finish(() => resolve());
+                    if (backup.failed || attempt >= (Config.connection.max_retries ?? 3)) {
+                        return backup.finish(() => reject(Object.assign(new Error(`Backup of ${file} didn't complete: database is busy`), { code: "SQLITE_BUSY" })));
+                    }
+                    setTimeout(step, Data.RetryDelay(++attempt));
+                });
+            });
+        },
+        /**
+         * Runs `PRAGMA integrity_check` on a file, with its own read-only connection.
+         * @param {string} file Database file path
+         * @returns {Promise<string[]>} Problems found (empty if the file is valid)
+         */
+        check: (file) => {
+            return new Promise((resolve, reject) => {
+                const db = new SQLITE.Database(file, SQLITE.OPEN_READONLY, (err) => {
+                    if (err) return reject(err);
+                    db.all("PRAGMA integrity_check;", [], (err, rows) => {
+                        db.close(() => err ? reject(err) : resolve(Backups.problems(rows)));
+                    });
+                });
+            });
+        },
+        /**
+         * Reads the result rows of `PRAGMA integrity_check`.
+         * @param {Object[]} rows Result rows
+         * @returns {string[]} Problems found (empty if the database is valid)
+         */
+        problems: (rows) => {
+            const messages = rows.map(row => row.integrity_check);
+            return messages.length == 1 && messages[0] == "ok" ? [] : messages;
+        },
+        /**
+         * Copies a live database file to a new file.
+         * The copy is written to a temporary file, checked, then renamed, so `destination` is never left half written.
+         *
+         * @param {string} file Database file path
+         * @param {string} destination Backup file path
+         * @param {boolean} check Runs `PRAGMA integrity_check` on the copy
+         * @returns {Promise<{file: string, destination: string, size: number, integrity: string[]|null, duration: number}>}
+         */
+        save: async (file, destination, check) => {
+            const fs = require("fs");
+            const start = Date.now();
+            if (Config.memory) throw new DatabaseError("Backups need database files: not available in memory mode");
+            if (!fs.existsSync(file)) throw new ConnectionError(`Database file not found: ${file}`, { code: "SQLITE_CANTOPEN" });
+            fs.mkdirSync(require("path").dirname(destination), { recursive: true });
+            const temp = `${destination}.${process.pid}.tmp`;
+            const conn = await ConnectionManager.acquire(file, "read");
+            try {
+                await Backups.copy(conn.db, temp, true);
+            } catch (err) {
+                fs.rmSync(temp, { force: true });
+                throw err;
+            } finally {
+                ConnectionManager.release(file, conn);
+            }
+            // Standalone file: no -wal/-shm next to the backup
+            await new Promise((resolve, reject) => {
+                const db = new SQLITE.Database(temp, SQLITE.OPEN_READWRITE, (err) => {
+                    if (err) return reject(err);
+                    db.run("PRAGMA journal_mode = DELETE;", [], (err) => db.close(() => err ? reject(err) : resolve()));
+                });
+            }).catch(err => {
+                fs.rmSync(temp, { force: true });
+                throw err;
+            });
+            const integrity = check ? await Backups.check(temp) : null;
+            if (integrity && integrity.length) {
+                fs.rmSync(temp, { force: true });
+                throw new DatabaseError(`Backup integrity check failed: ${integrity.slice(0, 3).join("; ")}`, { code: "SQLITE_CORRUPT" });
+            }
+            fs.renameSync(temp, destination);
+            return {
+                file: file,
+                destination: destination,
+                size: fs.statSync(destination).size,
+                integrity: integrity,
+                duration: Date.now() - start
+            };
+        },
+        /**
+         * Replaces the content of a database file with another file, through its write connection.
+         * Queued writes wait for the copy, and open connections see the new content afterwards.
+         *
+         * @param {string} file Database file path (created if needed)
+         * @param {string} source File to copy
+         * @param {boolean} check Runs `PRAGMA integrity_check` on the source first, and on the result
+         * @returns {Promise<{file: string, source: string, size: number, integrity: string[]|null, duration: number}>}
+         */
+        load: async (file, source, check) => {
+            const fs = require("fs");
+            const start = Date.now();
+            if (Config.memory) throw new DatabaseError("Restores need database files: not available in memory mode");
+            if (!fs.existsSync(source)) throw new ConnectionError(`Backup file not found: ${source}`, { code: "SQLITE_CANTOPEN" });
+            if (Transactions.current(file)) throw new DatabaseError(`Can't restore ${file} inside one of its transactions`);
+            if (check) {
+                const problems = await Backups.check(source);
+                if (problems.length) throw new DatabaseError(`Backup integrity check failed: ${problems.slice(0, 3).join("; ")}`, { code: "SQLITE_CORRUPT" });
+            }
+            let integrity = null;
+            const conn = await ConnectionManager.acquire(file, "write");
+            try {
+                await Backups.copy(conn.db, source, false);
+                if (check) {
+                    integrity = await new Promise((resolve, reject) => {
+                        conn.db.all("PRAGMA integrity_check;", [], (err, rows) => err ? reject(err) : resolve(Backups.problems(rows)));
+                    });
+                }
+            } finally {
+                ConnectionManager.release(file, conn);
+            }
+            return {
+                file: file,
+                source: source,
+                size: fs.statSync(file).size,
+                integrity: integrity,
+                duration: Date.now() - start
+            };
+        },
+        /**
+         * Lists the SQLite database files of a folder (checked by their header, so WAL/SHM files,
+         * logs and other files are skipped).
+         * @param {string} folder Folder path
+         * @returns {string[]} File names
+         */
+        databases: (folder) => {
+            const fs = require("fs");
+            if (!fs.existsSync(folder)) return [];
+            return fs.readdirSync(folder, { withFileTypes: true })
+                .filter(entry => entry.isFile())
+                .map(entry => entry.name)
+                .filter(name => {
+                    const header = Buffer.alloc(16);
+                    const fd = fs.openSync(require("path").join(folder, name), "r");
+                    try {
+                        fs.readSync(fd, header, 0, 16, 0);
+                    } finally {
+                        fs.closeSync(fd);
+                    }
+                    return header.toString("latin1") == "SQLite format 3\0";
+                });
+        },
+        /**
+         * Deletes the oldest scheduled backups of a database file, keeping `retention` of them.
+         * @param {string} db Database file name
+         * @param {number} retention Backups kept
+         * @returns {string[]} Deleted files
+         */
+        prune: (db, retention) => {
+            const fs = require("fs");
+            const folder = Backups.folder();
+            if (!fs.existsSync(folder)) return [];
+            const pattern = new RegExp(`^${db.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}\\.\\d{8}-\\d{6}(-\\d+)?\\.bak$`);
+            const old = fs.readdirSync(folder)
+                .filter(name => pattern.test(name))
+                .map(name => ({ name: name, time: fs.statSync(require("path").join(folder, name)).mtimeMs }))
+                .sort((a, b) => b.time - a.time || (a.name < b.name ? 1 : -1))
+                .slice(Math.max(0, retention))
+                .map(file => file.name);
+            old.forEach(name => fs.rmSync(require("path").join(folder, name), { force: true }));
+            return old;
+        },
+        /**
+         * Builds the file name of a scheduled backup: `<db>.<YYYYMMDD-HHMMSS>.bak`.
+         * @param {string} db Database file name
+         * @returns {string}
+         */
+        name: (db) => {
+            const stamp = new Date().toISOString().replace(/[-:]/g, "").replace("T", "-").slice(0, 15);
+            let name = `${db}.${stamp}.bak`;
+            for (let n = 1; require("fs").existsSync(require("path").join(Backups.folder(), name)); n++) name = `${db}.${stamp}-${n}.bak`;
+            return name;
+        },
+    };
+    //#endregion
+
+    //#region METRICS LAYER
     /**
-     * Checks if a record exists by Id.
-     *
-     * @param {string} db Database file name
-     * @param {string} table Table name
-     * @param {string} id Record identifier
-     * @returns {Promise<boolean>}
+     * Query metrics recorded by `Data.Execute`, by database file and table:
+     * calls, errors, retries, slow queries and a latency histogram.
+     * The table of a statement is read by its type (see `Metrics.statements`);
+     * statements without one (BEGIN, COMMIT, PRAGMA...) are counted under an empty table.
      */
-    Check: async (db, table, id) => {
-        try {
-            const res = await Data.Check(db, `SELECT * FROM '${table}' WHERE Id = ?`, [id]);
-            return res != undefined;
-        } catch (err) {
-            Logger.Log("Database query failed", "error", err);
-            return false;
-        }
-    },
+    const Metrics = {
+        /** Metrics by "db/table" */
+        tables: new Map(),
+        /** Last slow queries, oldest first */
+        slow: [],
+        /** Start of the recording (last reset) */
+        since: new Date(),
+        /**
+         * Where the table is named, by statement type (first match): the target of INSERT/REPLACE and UPDATE,
+         * the indexed table of CREATE INDEX/TRIGGER, the table of CREATE/DROP/ALTER TABLE, else the first FROM
+         * (SELECT, DELETE, WITH...). Tables in subqueries, joins and CTEs are not counted.
+         */
+        statements: [
+            [/^\s*(?:INSERT|REPLACE)\b/i, String.raw`\bINTO`],
+            [/^\s*UPDATE\b/i, String.raw`^\s*UPDATE(?:\s+OR\s+\w+)?`],
+            [/^\s*CREATE\s+(?:UNIQUE\s+)?INDEX\b|^\s*CREATE\s+(?:TEMP\w*\s+)?TRIGGER\b/i, String.raw`\bON`],
+            [/^\s*(?:CREATE|DROP|ALTER)\s+(?:TEMP\w*\s+|VIRTUAL\s+)?TABLE\b/i, String.raw`\bTABLE(?:\s+IF\s+(?:NOT\s+)?EXISTS)?`],
+            [/^/, String.raw`\bFROM`]
+        ].map(([type, before]) => [type, new RegExp(String.raw`${before}\s+(?:"((?:[^"]|"")+)"|([\p{L}_][\p{L}\p{N}_-]*))`, "iu")]),
+        /**
+         * Finds the table of a statement (see `Metrics.statements`).
+         * @param {string} sql SQL statement
+         * @returns {string} Table name, or "" when there's none
+         */
+        table: (sql) => {
+            // The query plans of the slow query log count for the table of their statement
+            const text = String(sql).replace(/^\s*EXPLAIN(?:\s+QUERY\s+PLAN)?\b/i, "");
+            const [, pattern] = Metrics.statements.find(([type]) => type.test(text));
+            const match = pattern.exec(text);
+            const table = match ? (match[1] != null ? match[1].replace(/""/g, '"') : match[2]) : "";
+            return /^pragma_/i.test(table) ? "" : table;
+        },
+        /**
+         * Gets (or creates) the metrics of a table.
+         * @param {string} db Database file name
+         * @param {string} table Table name
+         * @returns {Object}
+         */
+        get: (db, table) => {
+            const key = `${db}/${table}`;
+            let metrics = Metrics.tables.get(key);
+            if (!metrics) {
+                const buckets = Config.metrics.buckets || [];
+                metrics = { db: db, table: table, calls: 0, errors: 0, retries: 0, slow: 0, duration: { sum: 0, max: 0, buckets: buckets.map(() => 0) }, bounds: [...buckets] };
+                Metrics.tables.set(key, metrics);
+            }
+            return metrics;
+        },
+        /**
+         * Records a finished statement.
+         * @param {string} db Database file name
+         * @param {string} sql SQL statement
+         * @param {number} duration Duration in milliseconds (retries included)
+         * @param {number} retries Retries made
+         * @param {boolean} failed The statement failed
+         * @returns {Object} Table metrics
+         */
+        record: (db, sql, duration, retries, failed) => {
+            const metrics = Metrics.get(db, Metrics.table(sql));
+            metrics.calls++;
+            metrics.retries += retries;
+            if (failed) metrics.errors++;
+            metrics.duration.sum += duration;
+            metrics.duration.max = Math.max(metrics.duration.max, duration);
+            metrics.bounds.forEach((bound, i) => {
+                if (duration <= bound) metrics.duration.buckets[i]++;
+            });
+            return metrics;
+        },
+        /**
+         * Records a slow query in the slow query list, and logs it.
+         * With `Config.metrics.explain`, the plan of SELECT, INSERT, UPDATE and DELETE statements
+         * is read in the background (`EXPLAIN QUERY PLAN`, same values, same transaction): the entry
+         * gets it when it's ready, and the log record is written then. The caller never waits for it.
+         *
+         * @param {string} db Database file name
+         * @param {string} sql SQL statement
+         * @param {any[]} values Bound values (only used for the query plan)
+         * @param {string} method Execution method
+         * @param {number} duration Duration in milliseconds
+         * @returns {void}
+         */
+        slowQuery: (db, sql, values, method, duration) => {
+            const metrics = Metrics.get(db, Metrics.table(sql));
+            metrics.slow++;
+            const entry = {
+                at: new Date().toISOString(),
+                db: db,
+                table: metrics.table,
+                duration: Math.round(duration),
+                sql: new DatabaseError("", { sql: sql }).sql,
+                plan: null
+            };
+            Metrics.slow.push(entry);
+            while (Metrics.slow.length > Math.max(0, Config.metrics.slow_log_size || 0)) Metrics.slow.shift();
+            const log = () => Logger.Log(`Slow query (${entry.duration} ms) on file: ${db}: ${entry.sql}${entry.plan ? `\n${entry.plan.join("\n")}` : ""}`, "warn");
+
+            if (!Config.metrics.explain || !["get", "all", "run"].includes(method) || !/^\s*(SELECT|INSERT|UPDATE|DELETE|REPLACE|WITH)\b/i.test(sql)) return log();
+            Data.Read(db, `EXPLAIN QUERY PLAN ${sql}`, values).then(rows => {
+                entry.plan = rows.map(row => row.detail);
+            }, err => {
+                Logger.Log(`Query plan unavailable on file: ${db}`, "debug", err);
+            }).finally(log);
+        },
+        /**
+         * Snapshot of the metrics.
+         * @returns {{since: string, buckets: number[], tables: Object<string, Object>, slowQueries: Object[]}}
+         */
+        snapshot: () => {
+            const tables = {};
+            for (const [key, metrics] of Metrics.tables) {
+                const buckets = {};
+                metrics.bounds.forEach((bound, i) => buckets[bound] = metrics.duration.buckets[i]);
+                tables[key] = {
+                    db: metrics.db,
+                    table: metrics.table,
+                    calls: metrics.calls,
+                    errors: metrics.errors,
+                    retries: metrics.retries,
+                    slow: metrics.slow,
+                    duration: {
+                        sum: metrics.duration.sum,
+                        avg: metrics.calls ? metrics.duration.sum / metrics.calls : 0,
+                        max: metrics.duration.max,
+                        buckets: buckets
+                    }
+                };
+            }
+            return { since: Metrics.since.toISOString(), buckets: [...(Config.metrics.buckets || [])], tables: tables, slowQueries: Metrics.slow.map(entry => ({ ...entry })) };
+        },
+        /**
+         * Renders the metrics in the Prometheus text format (version 0.0.4).
+         * Durations are in seconds, as Prometheus expects.
+         * @returns {string}
+         */
+        prometheus: () => {
+            const label = (value) => String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n");
+            const lines = [];
+            const counters = [
+                ["sqlite_queries_total", "Statements run", "calls"],
+                ["sqlite_query_errors_total", "Statements that failed", "errors"],
+                ["sqlite_query_retries_total", "Retries of busy or failed statements", "retries"],
+                ["sqlite_slow_queries_total", "Statements over the slow query threshold", "slow"]
+            ];
+            for (const [name, help, field] of counters) {
+                lines.push(`# HELP ${name} ${help}.`, `# TYPE ${name} counter`);
+                for (const metrics of Metrics.tables.values()) {
+                    lines.push(`${name}{db="${label(metrics.db)}",table="${label(metrics.table)}"} ${metrics[field]}`);
+                }
+            }
+            const name = "sqlite_query_duration_seconds";
+            lines.push(`# HELP ${name} Statement latency, retries included.`, `# TYPE ${name} histogram`);
+            for (const metrics of Metrics.tables.values()) {
+                const labels = `db="${label(metrics.db)}",table="${label(metrics.table)}"`;
+                metrics.bounds.forEach((bound, i) => {
+                    lines.push(`${name}_bucket{${labels},le="${bound / 1000}"} ${metrics.duration.buckets[i]}`);
+                });
+                lines.push(`${name}_bucket{${labels},le="+Inf"} ${metrics.calls}`);
+                lines.push(`${name}_sum{${labels}} ${metrics.duration.sum / 1000}`);
+                lines.push(`${name}_count{${labels}} ${metrics.calls}`);
+            }
+            return lines.join("\n") + "\n";
+        },
+        /**
+         * Clears every metric and the slow query list.
+         * @returns {void}
+         */
+        reset: () => {
+            Metrics.tables.clear();
+            Metrics.slow = [];
+            Metrics.since = new Date();
+        },
+    };
+    //#endregion
+
+    //#region DATA LAYER
     /**
-     * Inserts a new record.
-     *
-     * @param {string} db Database file name
-     * @param {string} table Table name
-     * @param {Object} obj Data object
-     * @returns {Promise<number|null>}
+     * Low-level data access layer.
+     * Handles SQLite connection lifecycle and filesystem preparation.
      */
-    Create: async (db, table, obj) => {
-        let keys = Object.keys(obj).join(', ');
-        let values = Object.values(obj);
-        let placeholders = values.map(() => '?').join(', ');
+    const Data = {
+        /**
+         * Executes a query expecting a single row.
+         *
+         * @param {string} arq Database file name
+         * @param {string} sql SQL query
+         * @param {any[]} values Bound query parameters
+         * @returns {Promise<Object|undefined>}
+         */
+        Check: async (arq, sql, values) => {
+            return Data.Execute(arq, sql, values, "get");
+        },
+        /**
+         * Executes a query expecting multiple rows.
+         *
+         * @param {string} arq Database file name
+         * @param {string} sql SQL query
+         * @param {any[]} values Bound query parameters
+         * @returns {Promise<Object[]>}
+         */
+        Read: async (arq, sql, values) => {
+            return Data.Execute(arq, sql, values, "all");
+        },
+        /**
+         * Executes a write operation (INSERT, UPDATE, DELETE).
+         *
+         * @param {string} arq Database file name
+         * @param {string} sql SQL query
+         * @param {any[]} values Bound query parameters
+         * @returns {Promise<number>} Number of affected rows
+         */
+        Write: async (arq, sql, values) => {
+            return Data.Execute(arq, sql, values, "run");
+        },
+        /**
+         * Executes one or more SQL statements without bound parameters.
+         * Used for multi-statement scripts such as migrations.
+         *
+         * @param {string} arq Database file name
+         * @param {string} sql SQL script
+         * @returns {Promise<void>}
+         */
+        Exec: async (arq, sql) => {
+            return Data.Execute(arq, sql, [], "exec");
+        },
+        /**
+         * Runs the same write statement once per row, reusing one prepared statement.
+         * Rows failing (e.g. constraint violations) are reported and don't stop the others.
+         * Wrap it in `Query.Transaction` to get a single transaction.
+         *
+         * @param {string} arq Database file name
+         * @param {string} sql SQL statement
+         * @param {any[][]} rows Bound parameters of each run
+         * @returns {Promise<{changes: number[], failed: {index: number, error: Error}[]}>}
+         */
+        Batch: async (arq, sql, rows) => {
+            return Data.Execute(arq, sql, rows, "batch");
+        },
+        /**
+         * Core execution method.
+         * Automatically creates directories and manages SQLite connection lifecycle:
+         * "get"/"all" run on a pooled read connection, the other modes on the write connection.
+         *
+         * @param {string} arq Database file name
+         * @param {string} sql SQL query
+         * @param {any[]} values Bound query parameters
+         * @param {"get"|"all"|"run"|"exec"|"batch"} method Execution mode
+         * @returns {Promise<any>}
+         */
+        Execute: async (arq, sql, values, method) => {
+            const file = BaseState.Path([arq]);
+            /** Pooled connection of the last attempt (not set inside transactions) */
+            let used = null;
+            /** Rows of a batch already run: a retry resumes after them */
+            const progress = { index: 0, changes: [], failed: [] };
 
-        let query = `INSERT INTO "${table}" (${keys}) VALUES (${placeholders});`;
+            async function executeCall() {
+                // Inside a transaction, use its connection. Otherwise reads get a read
+                // connection and writes wait for the write connection.
+                const tx = Transactions.current(file);
+                const conn = tx ? tx.conn : await ConnectionManager.acquire(file, method == "get" || method == "all" ? "read" : "write");
+                used = tx ? null : conn;
+                const db = conn.db;
+                if (!db) {
+                    throw new Error(`Failed to obtain database connection for file: ${arq}`);
+                }
+                //
+                try {
+                    return await new Promise((resolve, reject) => {
+                        const callback = (err, result) => {
+                            if (err) {
+                                reject(err);
+                            } else {
+                                if (method == "run") {
+                                    resolve(result || 0); // Number of affected rows
+                                } else {
+                                    resolve(result);
+                                }
+                            }
+                        };
 
-        try {
-            return await Data.Write(db, query, values);
-        } catch (err) {
-            Logger.Log("Database query failed", "error", err);
+                        if (method == "get") {
+                            db.get(sql, values, callback);
+                        } else if (method == "all") {
+                            db.all(sql, values, callback);
+                        } else if (method == "run") {
+                            db.run(sql, values, function (err) {
+                                callback(err, this.changes);
+                            });
+                        } else if (method == "exec") {
+                            db.exec(sql, callback);
+                        } else if (method == "batch") {
+                            // One prepared statement reused for every row of `values`.
+                            // A failing row is recorded and the next ones still run.
+                            const { changes, failed } = progress;
+                            const stmt = db.prepare(sql, (err) => {
+                                if (err) return callback(err);
+                                next();
+                            });
+                            const next = () => {
+                                if (progress.index >= values.length) {
+                                    return stmt.finalize(() => callback(null, { changes, failed }));
+                                }
+                                const current = progress.index++;
+                                stmt.run(values[current], function (err) {
+                                    if (err) {
+                                        changes.push(0);
+                                        failed.push({ index: current, error: err });
+                                    } else {
+                                        changes.push(this.changes);
+                                    }
+                                    next();
+                                });
+                            };
+                        }
+                    });
+                } finally {
+                    if (!tx) ConnectionManager.release(file, conn);
+                }
+            }
+            // Retry logic for transient errors, with exponential backoff
+            const maxRetries = Math.max(0, Number(Config.connection.max_retries ?? 3) || 0);
+            const start = process.hrtime.bigint();
+            const measure = (attempt, failed) => {
+                if (!Config.metrics.enabled) return;
+                const duration = Number(process.hrtime.bigint() - start) / 1e6;
+                Metrics.record(arq, sql, duration, attempt, failed);
+                // The query plans read for the slow query log are not logged themselves
+                if (Config.metrics.slow_query > 0 && duration >= Config.metrics.slow_query && !/^\s*EXPLAIN\b/i.test(sql)) {
+                    Metrics.slowQuery(arq, sql, values, method, duration);
+                }
+            };
+            for (let attempt = 0; ; attempt++) {
+                try {
+                    const result = await executeCall();
+                    measure(attempt, false);
+                    return result;
+                } catch (err) {
+                    let kind = Data.Retryable(err, file);
+                    // The statements of a script before the busy one are already applied: running it again would repeat them.
+                    // (A closed connection fails before the first one; a batch resumes after its last run row.)
+                    if (kind == "busy" && method == "exec") kind = null;
+                    if (!kind || attempt >= maxRetries) measure(attempt, true);
+                    if (!kind) throw DatabaseError.from(err, { db: arq, sql: sql });
+                    if (kind == "connection" && used && !used.busy) {
+                        // Close the failed connection only, the retry opens a new one.
+                        // Once acquired again (e.g. by a transaction), it belongs to its new user.
+                        ConnectionManager.closeOne(file, used);
+                    }
+                    if (attempt >= maxRetries) {
+                        ConnectionManager.retried(file, "exhausted");
+                        const message = `Database ${kind == "busy" ? "busy" : "connection failed"} after ${maxRetries} retries: ${err.message}`;
+                        const details = { code: err.code, db: arq, sql: sql };
+                        const error = kind == "busy" ? new BusyError(message, details) : new ConnectionError(message, details);
+                        error.retries = maxRetries;
+                        throw error;
+                    }
+                    const delay = Data.RetryDelay(attempt + 1);
+                    ConnectionManager.retried(file, kind);
+                    Logger.Log(`Retrying query on file: ${arq} (${attempt + 1}/${maxRetries}) in ${delay} ms`, "warn", err);
+                    await new Promise(res => setTimeout(res, delay));
+                }
+            }
+        },
+        /**
+         * Classifies an error by its SQLite code to decide if the statement can be retried.
+         * Busy and locked databases are retried, as well as closed connections (outside transactions,
+         * where reopening would lose the transaction, and memory mode, where it would lose the database). Waiting for a pool connection isn't retried.
+         *
+         * @param {Error} err Error thrown by SQLite or the pool
+         * @param {string} file Database file path
+         * @returns {"busy"|"connection"|null} Retry reason, `null` if the error is final
+         */
+        Retryable: (err, file) => {
+            if (!err || err.acquire) return null;
+            if (err.code == "SQLITE_BUSY" || err.code == "SQLITE_LOCKED") return "busy";
+            if (err.code == "SQLITE_MISUSE" || (!err.code && /closed|not open/i.test(err.message || ""))) {
+                // A new in-memory connection would be an empty database
+                return Transactions.current(file) || Config.memory ? null : "connection";
+            }
             return null;
-        }
-    },
+        },
+        /**
+         * Delay before a retry: `retry_delay` doubled on each attempt, capped by `retry_max_delay`,
+         * with a random part (`retry_jitter`) so concurrent callers don't retry at the same time.
+         *
+         * @param {number} attempt Retry number, starting at 1
+         * @returns {number} Delay in milliseconds
+         */
+        RetryDelay: (attempt) => {
+            const base = Number(Config.connection.retry_delay ?? 100);
+            const max = Number(Config.connection.retry_max_delay ?? 2000);
+            const jitter = Math.min(1, Math.max(0, Number(Config.connection.retry_jitter ?? 0.5)));
+            const delay = Math.min(max, base * 2 ** (attempt - 1));
+            return Math.round(delay * (1 - jitter * Math.random()));
+        },
+        /**
+         * Get connection status for monitoring purposes.
+         * @returns {Object}
+         */
+        GetConnectionStatus: () => {
+            return ConnectionManager.getStatus();
+        },
+
+        /**
+         * Get read cache statistics for monitoring purposes, by "db/table".
+         * @returns {Object}
+         */
+        GetCacheStatus: () => {
+            return Cache.status();
+        },
+
+        /**
+         * Query metrics snapshot, by "db/table": calls, errors, retries, slow queries and latency
+         * (milliseconds, with histogram buckets counting the statements up to each bound),
+         * plus the last slow queries.
+         * @returns {{since: string, buckets: number[], tables: Object<string, Object>, slowQueries: Object[]}}
+         */
+        GetMetrics: () => {
+            return Metrics.snapshot();
+        },
+
+        /**
+         * Query metrics in the Prometheus text format.
+         * @returns {string}
+         */
+        RenderMetrics: () => {
+            return Metrics.prometheus();
+        },
+
+        /**
+         * HTTP handler serving `RenderMetrics`, to mount on an existing server (e.g. on `/metrics`).
+         * @example http.createServer((req, res) => req.url == "/metrics" ? Data.MetricsHandler()(req, res) : app(req, res));
+         * @returns {(req: import("http").IncomingMessage, res: import("http").ServerResponse) => void}
+         */
+        MetricsHandler: () => {
+            return (req, res) => {
+                res.writeHead(200, { "Content-Type": "text/plain; version=0.0.4; charset=utf-8" });
+                res.end(Metrics.prometheus());
+            };
+        },
+
+        /**
+         * Clears the query metrics and the slow query list.
+         * @returns {void}
+         */
+        ResetMetrics: () => {
+            Metrics.reset();
+        },
+
+        /**
+         * Manually close a database connection.
+         * In memory mode the connection holds the data: it's kept (use `close()` of the store).
+         * @param {string} arq Database file name
+         * @returns {Promise<void>} Resolved once its connections are closed
+         */
+        CloseConnection: (arq) => {
+            const filePath = BaseState.Path([arq]);
+            if (Config.memory) {
+                Logger.Log(`Connection kept in memory mode: ${arq}. Closing it would drop the database`, "warn");
+                return Promise.resolve();
+            }
+            return ConnectionManager.closeConnection(filePath);
+        },
+
+        /**
+         * Shuts down all database connections (and stops the scheduled backups and the health check).
+         * @returns {Promise<void>} Resolved once every connection is closed
+         */
+        Shutdown: () => {
+            Data.StopBackups();
+            Lifecycle.stopHealthCheck();
+            return ConnectionManager.shutdown();
+        },
+
+        /**
+         * Starts the idle connection health check (see `Config.health_check`).
+         * @returns {void}
+         */
+        StartHealthCheck: () => {
+            Lifecycle.startHealthCheck();
+        },
+
+        /**
+         * Stops the idle connection health check.
+         * @returns {void}
+         */
+        StopHealthCheck: () => {
+            Lifecycle.stopHealthCheck();
+        },
+
+        /**
+         * Installs the SIGINT/SIGTERM/SIGBREAK handlers: they close every connection and exit the process.
+         * @returns {void}
+         */
+        HandleSignals: () => {
+            Lifecycle.handleSignals();
+        },
+
+        /**
+         * Backs up a database file while it's in use (SQLite online backup API).
+         * Reads and writes go on during the copy, and the backup is a consistent snapshot.
+         *
+         * @param {string} arq Database file name
+         * @param {string} [destination] Backup file or folder, absolute or relative to the backup folder
+         * (defaults to `<backup folder>/<version>/<arq>.<YYYYMMDD-HHMMSS>.bak`)
+         * @param {Object} [options]
+         * @param {boolean} [options.check] Runs `PRAGMA integrity_check` on the copy (defaults to `Config.backup.integrity_check`)
+         * @returns {Promise<{db: string, destination: string, size: number, integrity: string[]|null, duration: number}>}
+         * `integrity` lists the problems found (empty when valid, `null` when not checked). Throws if the backup fails.
+         */
+        Backup: async (arq, destination, options = {}) => {
+            const path = require("path");
+            let target = destination ? path.resolve(Backups.folder(), destination) : path.join(Backups.folder(), Backups.name(arq));
+            if (destination && (/[\\/]$/.test(destination) || (require("fs").existsSync(target) && require("fs").statSync(target).isDirectory()))) {
+                target = path.join(target, Backups.name(arq));
+            }
+            try {
+                const report = await Backups.save(BaseState.Path([arq]), target, options.check ?? Config.backup.integrity_check);
+                Logger.Log(`Database backed up: ${arq} -> ${target} (${report.size} bytes, ${report.duration} ms)`, "info");
+                return { db: arq, destination: report.destination, size: report.size, integrity: report.integrity, duration: report.duration };
+            } catch (err) {
+                throw DatabaseError.from(err, { db: arq });
+            }
+        },
+
+        /**
+         * Restores a database file from a backup, while it's in use.
+         * The copy runs on the write connection: queued writes run after it, and reads see the restored data.
+         * The backup is checked with `PRAGMA integrity_check` before anything is replaced.
+         *
+         * @param {string} arq Database file name
+         * @param {string} source Backup file, absolute or relative to the backup folder
+         * @param {Object} [options]
+         * @param {boolean} [options.check] Checks the backup and the result (defaults to `Config.backup.integrity_check`)
+         * @returns {Promise<{db: string, source: string, size: number, integrity: string[]|null, duration: number}>}
+         * Throws if the restore fails.
+         */
+        Restore: async (arq, source, options = {}) => {
+            const file = BaseState.Path([arq]);
+            const from = require("path").resolve(Backups.folder(), source);
+            try {
+                if (from == file) throw new DatabaseError(`Can't restore ${arq} from itself`);
+                const report = await Backups.load(file, from, options.check ?? Config.backup.integrity_check);
+                Identifier.forget(arq);
+                Cache.invalidate(arq);
+                Logger.Log(`Database restored: ${arq} <- ${from} (${report.size} bytes, ${report.duration} ms)`, "warn");
+                return { db: arq, source: from, size: report.size, integrity: report.integrity, duration: report.duration };
+            } catch (err) {
+                throw DatabaseError.from(err, { db: arq });
+            }
+        },
+
+        /**
+         * Runs `PRAGMA integrity_check` on a database file.
+         *
+         * @param {string} arq Database file name
+         * @returns {Promise<{ok: boolean, problems: string[]}>}
+         */
+        IntegrityCheck: async (arq) => {
+            const problems = Backups.problems(await Data.Read(arq, "PRAGMA integrity_check;", []));
+            if (problems.length) Logger.Log(`Integrity check failed on file: ${arq}`, "error", new Error(problems.slice(0, 3).join("; ")));
+            return { ok: problems.length == 0, problems: problems };
+        },
+
+        /**
+         * Rebuilds a database file with `VACUUM`, returning the freed space to the file system.
+         * The write connection is held during the rebuild. VACUUM may renumber rowids,
+         * so the search indexes (see `Query.EnableSearch`) are rebuilt afterwards.
+         *
+         * @param {string} arq Database file name
+         * @returns {Promise<{before: number, after: number}>} Database size in bytes, before and after
+         */
+        Vacuum: async (arq) => {
+            const size = async () => {
+                const row = await Data.Check(arq, "SELECT page_count * page_size AS size FROM pragma_page_count(), pragma_page_size();", []);
+                return row ? row.size : 0;
+            };
+            const before = await size();
+            await Data.Exec(arq, "VACUUM;");
+            // VACUUM may renumber the rowids the search indexes point to
+            const tables = (await Data.Read(arq, "SELECT name FROM sqlite_master WHERE type = 'table';", [])).map(row => row.name);
+            for (const table of tables.filter(name => tables.includes(Search.table(name)))) {
+                await Data.Write(arq, Search.rebuild(table), []);
+                Cache.invalidate(arq, table);
+            }
+            // Empties the WAL file too, so the new size shows on disk
+            if (!Config.memory) await Data.Exec(arq, "PRAGMA wal_checkpoint(TRUNCATE);");
+            const after = await size();
+            Logger.Log(`Vacuumed file: ${arq} (${before} → ${after} bytes)`, "info");
+            return { before: before, after: after };
+        },
+
+        /**
+         * Lists the database files of a version folder.
+         *
+         * @param {string} [version] Database version (defaults to `Config.database_version`)
+         * @returns {string[]} File names
+         */
+        ListDatabases: (version = Config.database_version) => {
+            return Backups.databases(require("path").join(Config.database_folder, version));
+        },
+
+        /**
+         * Copies every database file of a version folder into another one (e.g. test "0.0" → production "0.1").
+         * Each file is copied with the online backup API, so both versions can be in use.
+         * Existing target files are backed up first, in the backup folder of the target version.
+         *
+         * @param {string} from Source version
+         * @param {string} to Target version
+         * @param {Object} [options]
+         * @param {boolean} [options.backup] Backs up existing target files first (default true)
+         * @param {boolean} [options.check] Integrity checks (defaults to `Config.backup.integrity_check`)
+         * @returns {Promise<{from: string, to: string, files: {db: string, size: number, backup: string|null, integrity: string[]|null}[]}>}
+         * Throws on the first failing file (the files before it are already promoted).
+         */
+        PromoteVersion: async (from, to, options = {}) => {
+            const path = require("path");
+            if (from == to) throw new DatabaseError(`Can't promote version ${from} to itself`);
+            const check = options.check ?? Config.backup.integrity_check;
+            const source = path.join(Config.database_folder, from);
+            const report = { from: from, to: to, files: [] };
+            for (const name of Backups.databases(source)) {
+                const file = path.join(Config.database_folder, to, name);
+                try {
+                    let backup = null;
+                    if (options.backup !== false && require("fs").existsSync(file)) {
+                        backup = (await Backups.save(file, path.join(Backups.folder(to), Backups.name(name)), check)).destination;
+                    }
+                    const result = await Backups.load(file, path.join(source, name), check);
+                    if (to == Config.database_version) {
+                        Identifier.forget(name);
+                        Cache.invalidate(name);
+                    }
+                    report.files.push({ db: name, size: result.size, backup: backup, integrity: result.integrity });
+                } catch (err) {
+                    throw DatabaseError.from(err, { db: name });
+                }
+            }
+            Logger.Log(`Promoted ${report.files.length} database(s) from version ${from} to ${to}`, "warn");
+            return report;
+        },
+
+        /**
+         * Starts scheduled backups of every database file of the current version.
+         * Old backups are deleted, keeping `retention` of them per file. Failures are logged.
+         *
+         * @param {Object} [options] Defaults to `Config.backup`
+         * @param {number} [options.interval] Interval in milliseconds
+         * @param {number} [options.retention] Backups kept per database file
+         * @param {string[]} [options.databases] Database file names (defaults to every file of the version folder)
+         * @returns {void}
+         */
+        ScheduleBackups: (options = {}) => {
+            const interval = options.interval ?? Config.backup.interval;
+            const retention = options.retention ?? Config.backup.retention;
+            Data.StopBackups();
+            if (!(interval > 0)) return;
+            Backups.timer = setInterval(async () => {
+                // Skip a run while the previous one is still copying
+                if (Backups.running) return;
+                Backups.running = true;
+                try {
+                    const names = options.databases || Backups.databases(BaseState.Path());
+                    for (const name of names) {
+                        try {
+                            await Data.Backup(name);
+                            Backups.prune(name, retention);
+                        } catch (err) {
+                            Logger.Log(`Scheduled backup failed on file: ${name}`, "error", err);
+                        }
+                    }
+                } catch (err) {
+                    // e.g. the database folder can't be listed: the next run tries again
+                    Logger.Log("Scheduled backups failed", "error", err);
+                } finally {
+                    Backups.running = false;
+                }
+            }, interval);
+            // Don't keep the process alive just for backups
+            Backups.timer.unref();
+        },
+
+        /**
+         * Stops scheduled backups.
+         * @returns {void}
+         */
+        StopBackups: () => {
+            clearInterval(Backups.timer);
+            Backups.timer = null;
+        },
+    };
+    //#endregion
+
+    //#region TRANSFER LAYER
     /**
-     * Retrieves a single record by Id.
-     *
-     * @param {string} db Database file name
-     * @param {string} table Table name
-     * @param {string} id Record identifier
-     * @param {Object} obj Projection object (keys define selected columns)
-     * @returns {Promise<Object|null>}
+     * Streaming readers and writers of the export/import formats: JSON (array of objects),
+     * NDJSON (one object per line) and CSV (header line, RFC 4180 quoting).
+     * Dates are written as ISO 8601 strings and blobs as base64.
      */
-    Get: async (db, table, id, obj) => {
-        let keys = Object.keys(obj).join(', ');
-        let query = `SELECT ${keys} FROM "${table}" WHERE Id = ?;`;
-        try {
-            const res = await Data.Read(db, query, [id]);
-            return res[0];
-        } catch (err) {
-            Logger.Log("Database query failed", "error", err);
-            return null;
-        }
-    },
+    const Transfer = {
+        /** Supported formats */
+        formats: ["json", "ndjson", "csv"],
+        /**
+         * Converts a JS value to its exported form.
+         * @param {any} value JS value (as read by `Query.Iterate`)
+         * @param {boolean} [text] For a text format (CSV), where JSON values are written as JSON text
+         * @returns {any}
+         */
+        plain: (value, text) => {
+            if (value == null) return null;
+            if (Buffer.isBuffer(value)) return value.toString("base64");
+            if (value instanceof Date) return isNaN(value) ? null : value.toISOString();
+            if (text && typeof value == "object") return JSON.stringify(value);
+            return value;
+        },
+        /**
+         * Converts an imported value to the JS type of its column.
+         * @param {string|undefined} kind Column kind
+         * @param {any} value Imported value
+         * @param {boolean} text The value comes from a text format (CSV), where "" means null
+         * @returns {any}
+         */
+        value: (kind, value, text) => {
+            if (value == null) return null;
+            if (text && value === "" && kind && kind != "text") return null;
+            if (kind == "blob" && typeof value == "string") return Buffer.from(value, "base64");
+            const result = Types.deserialize(kind, value);
+            if ((kind == "integer" || kind == "real") && Number.isNaN(result)) throw new Error(`Invalid number: ${JSON.stringify(value)}`);
+            return result;
+        },
+        /**
+         * Formats a CSV field.
+         * @param {any} value Exported value
+         * @returns {string}
+         */
+        field: (value) => {
+            if (value == null) return "";
+            const text = String(value);
+            return /[",\r\n]/.test(text) || text != text.trim() ? `"${text.replace(/"/g, '""')}"` : text;
+        },
+        /**
+         * Formats one exported record.
+         * @param {"json"|"ndjson"|"csv"} format File format
+         * @param {string[]} columns Exported columns
+         * @param {Object} obj Record
+         * @param {boolean} first First record of the file
+         * @returns {string}
+         */
+        line: (format, columns, obj, first) => {
+            if (format == "csv") return columns.map(column => Transfer.field(Transfer.plain(obj[column], true))).join(",") + "\n";
+            const record = {};
+            for (const column of columns) record[column] = Transfer.plain(obj[column]);
+            if (format == "ndjson") return JSON.stringify(record) + "\n";
+            return `${first ? "" : ",\n"}${JSON.stringify(record)}`;
+        },
+        /**
+         * Reads the records of a text stream.
+         * Every record is `{ index, record }`, or `{ index, error }` when it can't be parsed.
+         *
+         * @param {"json"|"ndjson"|"csv"} format File format
+         * @param {import("stream").Readable} stream Source stream
+         * @returns {AsyncGenerator<{index: number, record?: Object, error?: string}>}
+         */
+        read: async function* (format, stream) {
+            stream.setEncoding("utf8");
+            if (format == "ndjson") {
+                let index = 0;
+                for await (const line of require("readline").createInterface({ input: stream, crlfDelay: Infinity })) {
+                    if (!line.trim()) continue;
+                    try {
+                        yield { index: index, record: JSON.parse(line) };
+                    } catch (err) {
+                        yield { index: index, error: err.message };
+                    }
+                    index++;
+                }
+            } else if (format == "csv") {
+                let header = null;
+                let index = 0;
+                for await (const fields of Transfer.csv(stream)) {
+                    if (!header) {
+                        header = fields.map((name, i) => i == 0 ? name.replace(/^\uFEFF/, "") : name);
+                        continue;
+                    }
+                    if (fields.length == 1 && fields[0] === "") continue;
+                    if (fields.length != header.length) {
+                        yield { index: index++, error: `Expected ${header.length} fields, got ${fields.length}` };
+                        continue;
+                    }
+                    const record = {};
+                    header.forEach((name, i) => record[name] = fields[i]);
+                    yield { index: index++, record: record };
+                }
+            } else {
+                let index = 0;
+                for await (const text of Transfer.elements(stream)) {
+                    try {
+                        const record = JSON.parse(text);
+                        if (!record || typeof record != "object" || Array.isArray(record)) throw new Error("Expected an object");
+                        yield { index: index, record: record };
+                    } catch (err) {
+                        yield { index: index, error: err.message };
+                    }
+                    index++;
+                }
+            }
+        },
+        /**
+         * Splits a CSV stream into records (arrays of fields).
+         * Quoted fields may contain commas, quotes ("") and line breaks.
+         *
+         * @param {import("stream").Readable} stream Source stream (utf8)
+         * @returns {AsyncGenerator<string[]>}
+         */
+        csv: async function* (stream) {
+            let fields = [];
+            let field = "";
+            let quoted = false;
+            let quote = false; // A quote was just read inside a quoted field
+            let pending = false; // The current record has content
+            for await (const chunk of stream) {
+                for (const char of chunk) {
+                    if (quoted) {
+                        if (quote) {
+                            quote = false;
+                            if (char == '"') {
+                                field += char;
+                                continue;
+                            }
+                            quoted = false;
+                        } else if (char == '"') {
+                            quote = true;
+                            continue;
+                        } else {
+                            field += char;
+                            continue;
+                        }
+                    }
+                    if (char == '"' && field === "") {
+                        quoted = true;
+                        pending = true;
+                    } else if (char == ",") {
+                        fields.push(field);
+                        field = "";
+                        pending = true;
+                    } else if (char == "\n") {
+                        fields.push(field.endsWith("\r") ? field.slice(0, -1) : field);
+                        yield fields;
+                        fields = [];
+                        field = "";
+                        pending = false;
+                    } else {
+                        field += char;
+                        pending = true;
+                    }
+                }
+            }
+            if (pending || field) {
+                fields.push(field.endsWith("\r") ? field.slice(0, -1) : field);
+                yield fields;
+            }
+        },
+        /**
+         * Splits a JSON array stream into the source text of its elements,
+         * without holding the whole array in memory.
+         *
+         * @param {import("stream").Readable} stream Source stream (utf8)
+         * @returns {AsyncGenerator<string>}
+         */
+        elements: async function* (stream) {
+            let started = false;
+            let ended = false;
+            let depth = 0;
+            let string = false;
+            let escape = false;
+            let text = "";
+            for await (const chunk of stream) {
+                for (const char of chunk) {
+                    if (ended) {
+                        if (char.trim()) throw new Error("Unexpected data after the JSON array");
+                        continue;
+                    }
+                    if (!started) {
+                        if (char == "[") started = true;
+                        else if (char.trim() && char != "\uFEFF") throw new Error("The JSON file must contain an array");
+                        continue;
+                    }
+                    if (string) {
+                        text += char;
+                        if (escape) escape = false;
+                        else if (char == "\\") escape = true;
+                        else if (char == '"') string = false;
+                        continue;
+                    }
+                    if (depth == 0 && (char == "," || char == "]")) {
+                        if (text.trim()) yield text;
+                        else if (char == ",") throw new Error("Unexpected comma in the JSON array");
+                        text = "";
+                        if (char == "]") ended = true;
+                        continue;
+                    }
+                    if (char == '"') string = true;
+                    else if (char == "{" || char == "[") depth++;
+                    else if (char == "}" || char == "]") depth--;
+                    text += char;
+                }
+            }
+            if (!ended) throw new Error("Unexpected end of the JSON array");
+        },
+    };
+    //#endregion
+
+    //#region AUDIT LAYER
     /**
-     * Retrieves multiple records filtered by a specific column.
-     *
-     * @param {string} db Database file name
-     * @param {string} table Table name
-     * @param {string} property Column name used as filter
-     * @param {any} value Value to match
-     * @param {Object} obj Projection object (keys define selected columns)
-     * @returns {Promise<Object[]>}
+     * Per-table audit trail and soft delete, enabled with `Query.CheckTable` options.
+     * Audited tables get a `<table>_History` companion table: every write adds a row per changed
+     * record with its version, the operation, the changed columns (before/after), the actor
+     * (the `UserID` of the Logger context) and the time.
+     * Soft delete tables get a `DeletedAt` column: `Remove` sets it, and reads hide those records.
      */
-    GetManyByProperty: async (db, table, property, value, obj) => {
-        const keys = Object.keys(obj).join(", ");
-        const query = `SELECT ${keys} FROM "${table}" WHERE ${property} = ?;`;
-
-        try {
-            return await Data.Read(db, query, [value]);
-        } catch (err) {
-            Logger.Log("Database query failed", "error", err);
-            return [];
-        }
-    },
+    const Audit = {
+        /** Audit settings by "db/table" */
+        tables: new Map(),
+        /**
+         * Gets the audit settings of a table.
+         * @param {string} db Database file name
+         * @param {string} table Table name
+         * @returns {{audit: boolean, softDelete: boolean}}
+         */
+        settings: (db, table) => {
+            return Audit.tables.get(`${db}/${table}`) || { audit: false, softDelete: false };
+        },
+        /**
+         * Name of the history table of a table.
+         * @param {string} table Table name
+         * @returns {string}
+         */
+        history: (table) => `${table}_History`,
+        /**
+         * Statements creating the history table of a table.
+         * @param {string} table Table name
+         * @returns {string[]}
+         */
+        create: (table) => {
+            const history = Identifier.table(Audit.history(table));
+            return [
+                `CREATE TABLE IF NOT EXISTS ${history} ("HistoryId" INTEGER PRIMARY KEY AUTOINCREMENT, "RecordId" TEXT NOT NULL, "Version" INTEGER NOT NULL, ` +
+                `"Operation" TEXT NOT NULL, "Changes" TEXT NOT NULL, "Actor" TEXT, "At" TEXT NOT NULL, UNIQUE ("RecordId", "Version"));`
+            ];
+        },
+        /**
+         * Adds the soft delete condition to a `where` object, unless `options.withDeleted` is set.
+         * @param {string} db Database file name
+         * @param {string} table Table name
+         * @param {Object} [options] Query options (`where`, `withDeleted`)
+         * @returns {Object|undefined}
+         */
+        where: (db, table, options = {}) => {
+            if (!Audit.settings(db, table).softDelete || options.withDeleted) return options.where;
+            return options.where && Object.keys(options.where).length ? { $and: [options.where, { DeletedAt: null }] } : { DeletedAt: null };
+        },
+        /**
+         * SQL condition added to the queries by Id of soft delete tables.
+         * @param {string} db Database file name
+         * @param {string} table Table name
+         * @param {Object} [options] Query options (`withDeleted`)
+         * @param {string} [alias] Alias of the table in the query (for joins)
+         * @returns {string} ` AND "DeletedAt" IS NULL`, or an empty string
+         */
+        alive: (db, table, options = {}, alias = null) => {
+            if (!Audit.settings(db, table).softDelete || options.withDeleted) return "";
+            return ` AND ${alias ? `${alias}.` : ""}"DeletedAt" IS NULL`;
+        },
+        /**
+         * Stored value to its JSON form in the history (blobs as `{ $blob: base64 }`).
+         * @param {any} value Stored value
+         * @returns {any}
+         */
+        encode: (value) => Buffer.isBuffer(value) ? { $blob: value.toString("base64") } : value,
+        /**
+         * History JSON value back to its stored value.
+         * @param {any} value History value
+         * @returns {any}
+         */
+        decode: (value) => value && typeof value == "object" && "$blob" in value ? Buffer.from(value.$blob, "base64") : value,
+        /**
+         * Lists the changed columns between two stored rows.
+         * @param {Object|undefined} before Row before the write
+         * @param {Object|undefined} after Row after the write
+         * @returns {Object<string, {from: any, to: any}>}
+         */
+        diff: (before = {}, after = {}) => {
+            const changes = {};
+            for (const key of new Set([...Object.keys(before), ...Object.keys(after)])) {
+                const from = before[key] ?? null;
+                const to = after[key] ?? null;
+                const same = Buffer.isBuffer(from) && Buffer.isBuffer(to) ? from.equals(to) : from === to;
+                if (!same) changes[key] = { from: Audit.encode(from), to: Audit.encode(to) };
+            }
+            return changes;
+        },
+        /**
+         * Reads the stored rows of some records.
+         * @param {string} db Database file name
+         * @param {string} table Table name
+         * @param {any[]} ids Record identifiers
+         * @returns {Promise<Map<string, Object>>} Rows by Id
+         */
+        rows: async (db, table, ids) => {
+            const rows = new Map();
+            const list = [...new Set(ids.filter(id => id != null).map(String))];
+            for (let start = 0; start < list.length; start += 500) {
+                const part = list.slice(start, start + 500);
+                const res = await Data.Read(db, `SELECT * FROM ${Identifier.table(table)} WHERE "Id" IN (${part.map(() => "?").join(", ")});`, part);
+                res.forEach(row => rows.set(String(row.Id), row));
+            }
+            return rows;
+        },
+        /**
+         * Runs a write and records the changes of the given records in the history,
+         * in one transaction. Tables without audit just run the write.
+         * Either way, the read cache of the table is cleared.
+         *
+         * @param {string} db Database file name
+         * @param {string} table Table name
+         * @param {any[]} ids Identifiers of the written records
+         * @param {() => Promise<any>} write Write operation
+         * @param {string} [operation] Recorded operation (by default "create", "modify" or "remove", from the changes)
+         * @returns {Promise<any>} Value returned by `write`
+         */
+        track: async (db, table, ids, write, operation) => {
+            try {
+                return await Audit.record(db, table, ids, write, operation);
+            } finally {
+                // Every Query write passes here
+                Cache.invalidate(db, table);
+            }
+        },
+        /**
+         * Runs a write, recording its history when the table is audited (see `Audit.track`).
+         * @param {string} db Database file name
+         * @param {string} table Table name
+         * @param {any[]} ids Ids of the written records
+         * @param {() => Promise<any>} write Write operation
+         * @param {string} [operation] Recorded operation
+         * @returns {Promise<any>} Value returned by `write`
+         */
+        record: async (db, table, ids, write, operation) => {
+            if (!Audit.settings(db, table).audit) return write();
+            return Query.Transaction(db, async () => {
+                const before = await Audit.rows(db, table, ids);
+                const result = await write();
+                const after = await Audit.rows(db, table, ids);
+                const history = Identifier.table(Audit.history(table));
+                const actor = (Logger.context.getStore() || {}).UserID ?? null;
+                const at = new Date().toISOString();
+                for (const id of new Set(ids.filter(id => id != null).map(String))) {
+                    const changes = Audit.diff(before.get(id), after.get(id));
+                    if (Object.keys(changes).length == 0) continue;
+                    const op = operation || (!before.has(id) ? "create" : !after.has(id) ? "remove" : "modify");
+                    const last = await Data.Check(db, `SELECT MAX("Version") AS Version FROM ${history} WHERE "RecordId" = ?;`, [id]);
+                    await Data.Write(db, `INSERT INTO ${history} ("RecordId", "Version", "Operation", "Changes", "Actor", "At") VALUES (?, ?, ?, ?, ?, ?);`,
+                        [id, (last && last.Version || 0) + 1, op, JSON.stringify(changes), actor == null ? null : String(actor), at]);
+                }
+                return result;
+            });
+        },
+    };
+    //#endregion
+
+    //#region HOOK LAYER
     /**
-     * Retrieves all records from a table.
+     * Per-table lifecycle hooks and change events.
      *
-     * @param {string} db Database file name
-     * @param {string} table Table name
-     * @returns {Promise<Object[]>}
+     * Hooks (`Query.Hook`) run around `Create`/`CreateMany`, `Modify`/`ModifyMany` and `Remove`.
+     * Upserts (`Upsert`/`UpsertMany`, `Import` with updates) and `Restore` run the Create hooks for new
+     * records and the Modify hooks for existing ones. `before*` hooks may change the data (by mutating it or returning a new object) or veto the
+     * operation (by returning `false` or throwing); `after*` hooks run once the write is done.
+     * Change events (`Query.Events`) are emitted after the write, or after the commit inside a transaction.
      */
-    GetAll: async (db, table) => {
-        const query = `SELECT * FROM "${table}";`;
-
-        try {
-            return await Data.Read(db, query, []);
-        } catch (err) {
-            Logger.Log("Database query failed", "error", err);
-            return [];
-        }
-    },
+    const Hooks = {
+        /** Hook names */
+        names: ["beforeCreate", "afterCreate", "beforeModify", "afterModify", "beforeRemove", "afterRemove"],
+        /** Registered hooks by "db/table", then by hook name */
+        tables: new Map(),
+        /** Change events emitter (`Query.Events`) */
+        events: new (require("events").EventEmitter)(),
+        /**
+         * Lists the hooks of a table.
+         * @param {string} db Database file name
+         * @param {string} table Table name
+         * @param {string} name Hook name
+         * @returns {Function[]}
+         */
+        list: (db, table, name) => {
+            const hooks = Hooks.tables.get(`${db}/${table}`);
+            return hooks && hooks[name] ? [...hooks[name]] : [];
+        },
+        /**
+         * Runs the `before` hooks of an operation.
+         * @param {string} db Database file name
+         * @param {string} table Table name
+         * @param {"Create"|"Modify"|"Remove"} operation Operation
+         * @param {Object} data Data object (`{ Id }` for Remove)
+         * @returns {Promise<Object>} The data to write. Throws a VetoError if a hook returned `false`.
+         */
+        before: async (db, table, operation, data) => {
+            for (const hook of Hooks.list(db, table, `before${operation}`)) {
+                const res = await hook(data, { db: db, table: table, operation: operation });
+                if (res === false) throw new VetoError(`${operation} vetoed by a before${operation} hook`, { db: db, table: table });
+                if (res && typeof res == "object") data = res;
+            }
+            return data;
+        },
+        /**
+         * Runs the `after` hooks of an operation, and emits its change event.
+         * Hook errors are logged: the write is already done.
+         *
+         * @param {string} db Database file name
+         * @param {string} table Table name
+         * @param {"Create"|"Modify"|"Remove"} operation Operation
+         * @param {any} id Record identifier
+         * @param {Object|null} data Written data (`null` for Remove)
+         * @returns {Promise<void>}
+         */
+        after: async (db, table, operation, id, data) => {
+            for (const hook of Hooks.list(db, table, `after${operation}`)) {
+                try {
+                    await hook(data || { Id: id }, { db: db, table: table, operation: operation });
+                } catch (err) {
+                    Logger.Log(`after${operation} hook failed on table ${table} (${db})`, "error", err);
+                }
+            }
+            const event = { Create: "created", Modify: "modified", Remove: "removed" }[operation];
+            const payload = { db: db, table: table, id: id, data: data };
+            Transactions.afterCommit(BaseState.Path([db]), () => {
+                try {
+                    Hooks.events.emit(event, payload);
+                } catch (err) {
+                    Logger.Log(`Listener of "${event}" failed on table ${table} (${db})`, "error", err);
+                }
+            });
+        },
+        /**
+         * Runs the `before` hooks of every row of a bulk write.
+         * Vetoed rows are returned as an Error, so the statement builder rejects them.
+         *
+         * @param {string} db Database file name
+         * @param {string} table Table name
+         * @param {"Create"|"Modify"|("Create"|"Modify")[]} operation Operation, or the operation of each row
+         * @param {Object[]} rows Data objects
+         * @returns {Promise<(Object|Error)[]>}
+         */
+        beforeMany: async (db, table, operation, rows) => {
+            const operations = Array.isArray(operation) ? operation : rows.map(() => operation);
+            if ([...new Set(operations)].every(op => Hooks.list(db, table, `before${op}`).length == 0)) return rows;
+            const prepared = [];
+            for (let i = 0; i < rows.length; i++) {
+                try {
+                    prepared.push(await Hooks.before(db, table, operations[i], rows[i]));
+                } catch (err) {
+                    prepared.push(err instanceof Error ? err : new Error(String(err)));
+                }
+            }
+            return prepared;
+        },
+        /**
+         * Tells the records an upsert creates from the ones it modifies.
+         * Read before the write: a record created concurrently in between is reported as created.
+         *
+         * @param {string} db Database file name
+         * @param {string} table Table name
+         * @param {any[]} ids Record identifiers, in write order
+         * @returns {Promise<("Create"|"Modify")[]>} Operation of each identifier (a repeated new one is created, then modified)
+         */
+        operations: async (db, table, ids) => {
+            const existing = new Set();
+            const unique = [...new Set(ids.filter(id => id != null))];
+            for (let start = 0; start < unique.length; start += 500) {
+                const chunk = unique.slice(start, start + 500);
+                const rows = await Data.Read(db, `SELECT "Id" FROM ${Identifier.table(table)} WHERE "Id" IN (${chunk.map(() => "?").join(", ")});`, chunk);
+                rows.forEach(row => existing.add(String(row.Id)));
+            }
+            return ids.map(id => {
+                if (existing.has(String(id))) return "Modify";
+                existing.add(String(id));
+                return "Create";
+            });
+        },
+    };
+    //#endregion
+
+    //#region SEARCH LAYER
     /**
-     * Retrieves all record Ids from a table.
-     * 
-     * @param {string} db Database file name
-     * @param {string} table Table name
-     * @returns {Promise<Object[]>}
+     * Full-text search with FTS5.
+     * `<table>_Search` is an external content FTS5 table: it indexes the base table rows (by `rowid`)
+     * without copying them, and is kept in sync by insert, update and delete triggers.
      */
-    GetAllIds: async (db, table) => {
-        const query = `SELECT Id FROM "${table}";`;
-
-        try {
-            return await Data.Read(db, query, []);
-        } catch (err) {
-            Logger.Log("Database query failed", "error", err);
-            return [];
-        }
-    },
-    /** 
-     * @description This is used to get an User Id by the user himself
-     * 
-     * @param {string} db Database file name
-     * @param {string} table Table name
-     * @param {string} username Username
-     * @returns {Promise<string|null>}
+    const Search = {
+        /** Default FTS5 tokenizer (case and accent insensitive) */
+        tokenize: "unicode61 remove_diacritics 2",
+        /**
+         * FTS5 table of a table.
+         * @param {string} table Table name
+         * @returns {string}
+         */
+        table: (table) => `${table}_Search`,
+        /**
+         * Indexed columns of a table (empty when search is not enabled).
+         * @param {string} db Database file name
+         * @param {string} table Table name
+         * @returns {Promise<string[]>}
+         */
+        columns: async (db, table) => {
+            return (await Data.Read(db, `SELECT name FROM pragma_table_info(?) ORDER BY cid;`, [Search.table(table)])).map(col => col.name);
+        },
+        /**
+         * SQL creating the FTS5 table (as stored in sqlite_master).
+         * @param {string} table Table name
+         * @param {string[]} columns Indexed columns
+         * @param {string} tokenize FTS5 tokenizer
+         * @returns {string}
+         */
+        definition: (table, columns, tokenize) => {
+            return `CREATE VIRTUAL TABLE ${Identifier.table(Search.table(table))} USING fts5(${Identifier.list(columns)}, ` +
+                `content=${Identifier.table(table)}, content_rowid='rowid', tokenize='${String(tokenize).replace(/'/g, "''")}')`;
+        },
+        /**
+         * SQL of the triggers keeping the FTS5 table in sync.
+         * @param {string} table Table name
+         * @param {string[]} columns Indexed columns
+         * @returns {string[]}
+         */
+        triggers: (table, columns) => {
+            const fts = Identifier.table(Search.table(table));
+            const base = Identifier.table(table);
+            const list = Identifier.list(columns);
+            const insert = `INSERT INTO ${fts} (rowid, ${list}) VALUES (new.rowid, ${columns.map(col => `new.${Identifier.quote(col)}`).join(", ")});`;
+            const remove = `INSERT INTO ${fts} (${fts}, rowid, ${list}) VALUES ('delete', old.rowid, ${columns.map(col => `old.${Identifier.quote(col)}`).join(", ")});`;
+            return [
+                `CREATE TRIGGER IF NOT EXISTS ${Identifier.quote(`${Search.table(table)}_insert`, "trigger")} AFTER INSERT ON ${base} BEGIN ${insert} END;`,
+                `CREATE TRIGGER IF NOT EXISTS ${Identifier.quote(`${Search.table(table)}_delete`, "trigger")} AFTER DELETE ON ${base} BEGIN ${remove} END;`,
+                `CREATE TRIGGER IF NOT EXISTS ${Identifier.quote(`${Search.table(table)}_update`, "trigger")} AFTER UPDATE OF ${list} ON ${base} BEGIN ${remove} ${insert} END;`
+            ];
+        },
+        /**
+         * SQL dropping the FTS5 table and its triggers.
+         * @param {string} table Table name
+         * @returns {string[]}
+         */
+        drop: (table) => [
+            ...["insert", "delete", "update"].map(name => `DROP TRIGGER IF EXISTS ${Identifier.quote(`${Search.table(table)}_${name}`, "trigger")};`),
+            `DROP TABLE IF EXISTS ${Identifier.table(Search.table(table))};`
+        ],
+        /**
+         * SQL reindexing every row of the base table.
+         * @param {string} table Table name
+         * @returns {string}
+         */
+        rebuild: (table) => {
+            const fts = Identifier.table(Search.table(table));
+            return `INSERT INTO ${fts} (${fts}) VALUES ('rebuild');`;
+        },
+        /**
+         * Search text to an FTS5 query: every word must match (quoted, so FTS5 operators are plain text).
+         * @param {string} text Search text
+         * @param {boolean} [prefix] Words also match as prefixes ("dat" finds "database")
+         * @returns {string}
+         */
+        match: (text, prefix) => {
+            return String(text).split(/\s+/).filter(Boolean)
+                .map(word => `"${word.replace(/"/g, '""')}"${prefix ? "*" : ""}`)
+                .join(" ");
+        },
+    };
+    //#endregion
+
+    //#region RELATION LAYER
+    /**
+     * Table relations, declared with the `relations` option of `Query.CheckTable`.
+     * A belongs-to relation adds a FOREIGN KEY on its key column (enforced on every connection,
+     * see `Config.connection.foreign_keys`), while a has-many relation names the key column of the other table.
+     * `Query.GetWith` loads them with one query per included relation (`WHERE key IN (...)`), never one per record.
      */
-    GetIdByUsername: async (db, table, username) => {
-        const query = `SELECT Id FROM "${table}" WHERE Username = ?;`;
+    const Relations = {
+        /** Declared relations by "db/table" */
+        tables: new Map(),
+        /** ON DELETE actions of belongs-to relations */
+        actions: { "no action": "NO ACTION", "restrict": "RESTRICT", "cascade": "CASCADE", "set null": "SET NULL" },
+        /** Values bound per `IN (...)` list */
+        chunkSize: 500,
+        /**
+         * Validates the `relations` option of `CheckTable`.
+         * @param {string} table Table name
+         * @param {Object<string, string>} kinds Column kinds of the table
+         * @param {Object<string, {belongsTo?: string, hasMany?: string, key: string, onDelete?: string}>} [relations]
+         * @returns {Object<string, {type: "belongsTo"|"hasMany", table: string, key: string, onDelete: string}>}
+         */
+        parse: (table, kinds, relations = {}) => {
+            const parsed = {};
+            for (const [name, def] of Object.entries(relations)) {
+                Identifier.validate(name);
+                if (name in kinds) throw new SchemaError(`Relation ${name} of table ${table} has the name of a column`);
+                const type = !def ? null : def.belongsTo && !def.hasMany ? "belongsTo" : def.hasMany && !def.belongsTo ? "hasMany" : null;
+                if (!type) throw new SchemaError(`Relation ${name} of table ${table} needs either belongsTo or hasMany`);
+                const key = Identifier.validate(def.key);
+                if (type == "belongsTo" && !(key in kinds)) throw new SchemaError(`Relation ${name}: no column ${key} in table ${table}`);
+                const onDelete = String(def.onDelete || "no action").toLowerCase();
+                if (!Relations.actions[onDelete]) throw new SchemaError(`Relation ${name}: unknown onDelete action ${JSON.stringify(def.onDelete)}`);
+                parsed[name] = { type: type, table: Identifier.validate(def[type], "table"), key: key, onDelete: onDelete };
+            }
+            return parsed;
+        },
+        /**
+         * Gets the declared relations of a table.
+         * @param {string} db Database file name
+         * @param {string} table Table name
+         * @returns {Object<string, {type: string, table: string, key: string, onDelete: string}>}
+         */
+        get: (db, table) => {
+            return Relations.tables.get(`${db}/${table}`) || {};
+        },
+        /**
+         * FOREIGN KEY clauses of the belongs-to relations, for CREATE TABLE.
+         * @param {Object} relations Parsed relations
+         * @returns {string[]}
+         */
+        constraints: (relations) => {
+            return Object.values(relations).filter(rel => rel.type == "belongsTo")
+                .map(rel => `FOREIGN KEY (${Identifier.quote(rel.key)}) REFERENCES ${Identifier.table(rel.table)} ("Id") ON DELETE ${Relations.actions[rel.onDelete]}`);
+        },
+        /**
+         * Foreign keys declared by the belongs-to relations, in the form of `foreignKeys`.
+         * @param {Object} relations Parsed relations
+         * @returns {string[]}
+         */
+        declared: (relations) => {
+            return Object.values(relations).filter(rel => rel.type == "belongsTo")
+                .map(rel => `${rel.key} → ${rel.table}.Id ON DELETE ${Relations.actions[rel.onDelete]}`);
+        },
+        /**
+         * Foreign keys of a table (PRAGMA foreign_key_list), with their `text` in the form of `declared`
+         * ("UserId → Users.Id ON DELETE CASCADE").
+         * @param {string} db Database file name
+         * @param {string} table Table name
+         * @returns {Promise<{columns: string[], table: string, to: (string|null)[], onUpdate: string, onDelete: string, text: string}[]>}
+         */
+        foreignKeys: async (db, table) => {
+            const rows = await Data.Read(db, `SELECT id, "from", "table", "to", on_update, on_delete FROM pragma_foreign_key_list(?) ORDER BY id, seq;`, [table]);
+            const keys = new Map();
+            for (const fk of rows) {
+                if (!keys.has(fk.id)) keys.set(fk.id, { columns: [], table: fk.table, to: [], onUpdate: fk.on_update, onDelete: fk.on_delete });
+                keys.get(fk.id).columns.push(fk.from);
+                keys.get(fk.id).to.push(fk.to);
+            }
+            return [...keys.values()].map(fk => ({ ...fk, text: `${fk.columns.join(", ")} → ${fk.table}.${fk.to.map(col => col || "Id").join(", ")} ON DELETE ${fk.onDelete}` }));
+        },
+        /**
+         * FOREIGN KEY clause re-creating an existing foreign key (see `foreignKeys`), for a rebuild.
+         * @param {Object} fk Foreign key
+         * @returns {string}
+         */
+        clause: (fk) => {
+            const to = fk.to.every(col => col != null) ? ` (${Identifier.list(fk.to)})` : "";
+            return `FOREIGN KEY (${Identifier.list(fk.columns)}) REFERENCES ${Identifier.table(fk.table)}${to} ON UPDATE ${fk.onUpdate} ON DELETE ${fk.onDelete}`;
+        },
+        /**
+         * Turns include paths ("Tasks", "Tasks.Project") into a tree of relation names.
+         * @param {string[]} include Relation paths
+         * @returns {Object}
+         */
+        tree: (include) => {
+            const tree = {};
+            for (const path of include) {
+                let node = tree;
+                for (const name of String(path).split(".")) node = node[name] = node[name] || {};
+            }
+            return tree;
+        },
+        /**
+         * Reads the records of a table whose column is in a list of values, `chunkSize` values per query.
+         * @param {string} db Database file name
+         * @param {string} table Table name
+         * @param {string} column Column name
+         * @param {any[]} values Values (JS values)
+         * @returns {Promise<Object[]>}
+         */
+        fetch: async (db, table, column, values) => {
+            // Without its kinds, the rows would come back as stored (JSON as text, dates as strings...)
+            if (!Types.schemas.has(`${db}/${table}`)) {
+                throw new SchemaError(`Related table ${table} is not registered: call CheckTable on it before loading it`, { db: db, table: table });
+            }
+            const kinds = Types.get(db, table);
+            const records = [];
+            for (let i = 0; i < values.length; i += Relations.chunkSize) {
+                const chunk = values.slice(i, i + Relations.chunkSize);
+                const query = `SELECT * FROM ${Identifier.table(table)} WHERE ${Identifier.quote(column)} IN (${chunk.map(() => "?").join(", ")})${Audit.alive(db, table)} ORDER BY rowid;`;
+                const rows = await Cache.read(db, table, query, chunk.map(value => Types.serialize(kinds[column], value)));
+                records.push(...rows.map(row => Types.fromRow(kinds, row)));
+            }
+            return records;
+        },
+        /**
+         * Loads the relations of a tree into records (in place), one relation at a time.
+         * Belongs-to relations set the related record (or null), has-many relations an array.
+         * @param {string} db Database file name
+         * @param {string} table Table name of the records
+         * @param {Object[]} records Records
+         * @param {Object} tree Relation tree (see `tree`)
+         * @returns {Promise<void>}
+         */
+        load: async (db, table, records, tree) => {
+            const relations = Relations.get(db, table);
+            for (const [name, children] of Object.entries(tree)) {
+                const rel = relations[name];
+                if (!rel) throw new SchemaError(`Unknown relation ${name} of table ${table}`, { db: db, table: table });
+                let related;
+                if (rel.type == "belongsTo") {
+                    const keys = [...new Set(records.map(record => record[rel.key]).filter(key => key != null))];
+                    related = keys.length ? await Relations.fetch(db, rel.table, "Id", keys) : [];
+                    const byId = new Map(related.map(record => [record.Id, record]));
+                    for (const record of records) record[name] = byId.get(record[rel.key]) ?? null;
+                } else {
+                    const ids = [...new Set(records.map(record => record.Id))];
+                    related = ids.length ? await Relations.fetch(db, rel.table, rel.key, ids) : [];
+                    const groups = new Map(ids.map(id => [id, []]));
+                    for (const record of related) if (groups.has(record[rel.key])) groups.get(record[rel.key]).push(record);
+                    for (const record of records) record[name] = groups.get(record.Id);
+                }
+                if (related.length && Object.keys(children).length) await Relations.load(db, rel.table, related, children);
+            }
+        },
+    };
+    //#endregion
 
-        try {
-            const res = await Data.Read(db, query, [username]);
-            if (!res[0] || !res[0]["Id"]) return null;
-            return res[0]["Id"];
-        } catch (err) {
-            Logger.Log("Database query failed", "error", err);
-            return null;
-        }
-    },
+    //#region QUERY LAYER
     /**
-     * @description This is used to get an User Id by the user email
+     * Runs bulk writes in chunks, one transaction and one prepared statement per chunk
+     * (rows with different keys get their own statement).
      *
      * @param {string} db Database file name
      * @param {string} table Table name
-     * @param {string} mail User email
-     * @returns {Promise<string|null>}
+     * @param {Object[]} rows Data objects
+     * @param {number} chunkSize Rows per transaction
+     * @param {(row: Object, index: number) => {sql: string, values: any[], id: any, existing?: boolean}} statement Builds the statement of a row (throws to reject it),
+     * `id` is the written record (for the audit trail), `existing` fails the row when it changes nothing (record not found)
+     * @param {(index: number) => Promise<void>} [written] Called for every row that changed the table, once its chunk is committed
+     * @returns {Promise<{affected: number, batches: {index: number, size: number, affected: number, error?: string}[], failed: {index: number, row: Object, error: string}[]}>}
      */
-    GetIdByEmail: async (db, table, mail) => {
-        const query = `SELECT Id FROM "${table}" WHERE Email = ?;`;
-        try {
-            const res = await Data.Read(db, query, [mail]);
-            if (!res[0] || !res[0]["Id"]) return null;
-            return res[0]["Id"];
-        } catch (err) {
-            Logger.Log("Database query failed", "error", err);
-            return null;
+    async function bulkWrite(db, table, rows, chunkSize, statement, written) {
+        const result = { affected: 0, batches: [], failed: [] };
+        const size = Math.max(1, Number(chunkSize) || 500);
+        for (let start = 0; start < rows.length; start += size) {
+            const chunk = rows.slice(start, start + size);
+            const batch = { index: result.batches.length, size: chunk.length, affected: 0 };
+            const groups = new Map();
+            const failed = [];
+            const ids = [];
+            const changed = [];
+            chunk.forEach((row, i) => {
+                try {
+                    const st = statement(row, start + i);
+                    ids.push(st.id);
+                    if (!groups.has(st.sql)) groups.set(st.sql, { indexes: [], values: [], ids: [], existing: [] });
+                    groups.get(st.sql).indexes.push(start + i);
+                    groups.get(st.sql).values.push(st.values);
+                    groups.get(st.sql).ids.push(st.id);
+                    groups.get(st.sql).existing.push(!!st.existing);
+                } catch (err) {
+                    failed.push({ index: start + i, row: row, error: err.message });
+                }
+            });
+            try {
+                await Query.Transaction(db, () => Audit.track(db, table, ids, async () => {
+                    for (const [sql, group] of groups) {
+                        let res;
+                        try {
+                            res = await Data.Batch(db, sql, group.values);
+                        } catch (err) {
+                            // The statement itself is invalid (e.g. unknown column): reject its rows only
+                            group.indexes.forEach(index => failed.push({ index: index, row: rows[index], error: err.message }));
+                            continue;
+                        }
+                        batch.affected += res.changes.reduce((sum, c) => sum + c, 0);
+                        const rejected = new Set();
+                        for (const f of res.failed) {
+                            const index = group.indexes[f.index];
+                            rejected.add(f.index);
+                            failed.push({ index: index, row: rows[index], error: f.error.message });
+                        }
+                        for (let i = 0; i < group.indexes.length; i++) {
+                            if (res.changes[i] > 0) {
+                                changed.push(group.indexes[i]);
+                            } else if (group.existing[i] && !rejected.has(i)) {
+                                failed.push({ index: group.indexes[i], row: rows[group.indexes[i]], error: `Record not found: ${JSON.stringify(group.ids[i])}` });
+                            }
+                        }
+                    }
+                }));
+            } catch (err) {
+                queryFailed(err, null, db, table);
+                // The whole chunk was rolled back
+                batch.affected = 0;
+                batch.error = err.message;
+                failed.length = 0;
+                chunk.forEach((row, i) => failed.push({ index: start + i, row: row, error: err.message }));
+            }
+            // Like single writes, the after hooks see committed rows (and don't hold the write connection)
+            if (written && !batch.error) {
+                for (const index of changed) await written(index);
+            }
+            result.affected += batch.affected;
+            result.batches.push(batch);
+            result.failed.push(...failed.sort((a, b) => a.index - b.index));
         }
-    },
+        return result;
+    }
+
     /**
-     * @description Gets a specific property of a record
+     * Prepares the column check of bulk writes: validates the table name and
+     * looks up once which of the keys used by the rows don't exist in the table.
      *
      * @param {string} db Database file name
      * @param {string} table Table name
-     * @param {string} property Property name
-     * @param {string} id Record identifier
-     * @returns {Promise<any|null>}
+     * @param {Object[]} rows Data objects
+     * @returns {Promise<(keys: string[]) => void>} Throws an IdentifierError for rows using unknown keys
      */
-    GetProperty: async (db, table, property, id) => {
-        const query = `SELECT ${property} FROM "${table}" WHERE Id = ?;`;
-
-        try {
-            const res = await Data.Read(db, query, [id]);
-            return res[0][property];
-        } catch (err) {
-            Logger.Log("Database query failed", "error", err);
-            return null;
-        }
-    },
+    async function bulkColumns(db, table, rows) {
+        Identifier.validate(table, "table");
+        const keys = new Set();
+        rows.forEach(row => Object.keys(row).forEach(key => keys.add(key)));
+        const valid = [...keys].filter(key => Identifier.valid(key));
+        const unknown = new Set(await Identifier.unknown(db, table, valid));
+        return (names) => {
+            for (const name of names) {
+                Identifier.validate(name);
+                if (unknown.has(name)) {
+                    throw new IdentifierError(`Unknown column ${JSON.stringify(name)} in table ${JSON.stringify(table)}`, name, { db: db, table: table });
+                }
+            }
+        };
+    }
+
     /**
-     * Updates an existing record.
-     * The Id field is mandatory.
+     * Builds an `INSERT ... ON CONFLICT(Id) DO UPDATE` statement for a data object.
      *
-     * @param {string} db Database file name
      * @param {string} table Table name
-     * @param {Object} obj Updated data (must include Id)
-     * @returns {Promise<number|null>}
+     * @param {Object} row Serialised data object (must include Id)
+     * @returns {{sql: string, values: any[], id: any}}
      */
-    Modify: async (db, table, obj) => {
-        let keys = Object.keys(obj).filter(key => key.toLowerCase() !== 'id');
-        let values = keys.map(key => obj[key]);
-        let placeholders = keys.map(key => `${key} = ?`).join(', ');
-
-        let id = obj['Id'] || obj['ID'] || obj['id'];
-        values.push(id);
+    function upsertSQL(table, row) {
+        const keys = Object.keys(row);
+        if (!keys.includes("Id")) throw new Error("Upsert requires an Id");
+        const updates = keys.filter(key => key != "Id").map(key => `${Identifier.quote(key)} = excluded.${Identifier.quote(key)}`);
+        const conflict = updates.length ? `DO UPDATE SET ${updates.join(", ")}` : "DO NOTHING";
+        return {
+            sql: `INSERT INTO ${Identifier.table(table)} (${Identifier.list(keys)}) VALUES (${keys.map(() => "?").join(", ")}) ON CONFLICT("Id") ${conflict};`,
+            values: Object.values(row),
+            id: row.Id
+        };
+    }
 
-        let query = `UPDATE "${table}" SET ${placeholders} WHERE Id = ?;`;
+    /**
+     * Handles a failed Query operation: logs the error and returns the fallback value.
+     * In strict mode, or inside a transaction (so it rolls back), the typed error is thrown instead.
+     *
+     * @param {Error} err Error thrown by the Data layer
+     * @param {any} fallback Value returned to the caller
+     * @param {string} [db] Database file name
+     * @param {string} [table] Table name
+     * @param {boolean} [strict] Forces strict mode
+     * @returns {any}
+     */
+    function queryFailed(err, fallback, db, table, strict = false) {
+        const error = DatabaseError.from(err, { db: db, table: table });
+        Logger.Log("Database query failed", "error", error);
+        if (strict || Strict.enabled() || Transactions.active()) throw error;
+        return fallback;
+    }
 
-        try {
-            return await Data.Write(db, query, values);
-        } catch (err) {
-            Logger.Log("Database query failed", "error", err);
-            return null;
-        }
-    },
     /**
-     * Deletes a record by Id.
+     * Handles a missing record: returns the fallback value, or throws a NotFoundError in strict mode.
      *
+     * @param {any} fallback Value returned to the caller
      * @param {string} db Database file name
      * @param {string} table Table name
-     * @param {string} id Record identifier
-     * @returns {Promise<number|null>}
+     * @param {any} id Record identifier (or lookup value)
+     * @returns {any}
      */
-    Remove: async (db, table, id) => {
-        const query = `DELETE FROM "${table}" WHERE Id = ?;`;
-        try {
-            return await Data.Write(db, query, [id]);
-        } catch (err) {
-            Logger.Log("Database query failed", "error", err);
-            return null;
-        }
+    function notFound(fallback, db, table, id) {
+        if (Strict.enabled()) throw new NotFoundError(`Record not found: ${JSON.stringify(id)}`, { db: db, table: table });
+        return fallback;
     }
-};
-//#endregion
 
-//#region LOGGING LAYER
-/**
- * @description File-based logging system.
- * Designed for post-mortem analysis and debugging.
- */
-const Logger = {
-    State: {
-        Type: "info",
-        DateTime: null,
-        UserID: null,
-        MemoryUsage: null,
-        Message: "",
-        Error: "",
-        Trace: ""
-    },
     /**
-     * Writes a structured log file to disk.
+     * Builds the CREATE INDEX statement used by `CheckTable` and `EnsureIndex`.
+     * The default name is `idx_<table>_<columns>` (`uidx_` for unique indexes).
+     * JSON paths ("Settings.theme") index their `json_extract` expression.
      *
-     * @param {string} msg Log message
-     * @param {"info"|"error"} type Log severity
-     * @param {Error|null} error Error object
-     * @returns {Promise<void>}
+     * @param {string} table Table name
+     * @param {string|string[]} columns Indexed column(s) or JSON path(s)
+     * @param {{unique?: boolean, name?: string}} [options]
+     * @returns {string}
      */
-    Log: async (msg = "empty message", type = "info", error = new Error()) => {
-        Logger.State.DateTime = new Date().toLocaleString().replaceAll("/", "").replaceAll(":", "").replaceAll(", ", "-");
-        Logger.State.MemoryUsage = (require("os").freemem() / 1000000000).toFixed(2);
-        if (error != null) Logger.State.Error += error.message;
-        Logger.State.Trace += error.stack.split("\n")[1];
-        Logger.State.Message = msg;
-        Logger.State.Type = type == null ? "info" : type;
-        let logFileName = `${Config.database_folder}/log/${Logger.State.DateTime}`;
-        if (Logger.State.Type == "error") logFileName += "!";
-        logFileName += ".log";
-        console.log("\n\n-=-=-=-=-=-=-=-=- " + type + ": -=-=-=-=-=-=-=-");
-        console.log(Logger.State.Message);
-        console.log(Logger.State.Trace);
-        console.log(logFileName);
-        console.log("-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-\n\n");
-        require("fs").writeFileSync(logFileName, JSON.stringify(Logger.State, false, 3), "utf-8");
-        Logger.State.Type = "info";
-        Logger.State.DateTime = null;
-        Logger.State.UserID = null;
-        Logger.State.MemoryUsage = null;
-        Logger.State.Message = "";
-        Logger.State.Error = "";
-        Logger.State.Trace = "";
+    function indexSQL(table, columns, options = {}) {
+        const cols = Array.isArray(columns) ? columns : [columns];
+        const name = options.name || `${options.unique ? "uidx" : "idx"}_${table}_${cols.map(col => String(col).replace(/[^\p{L}\p{N}_]+/gu, "_")).join("_")}`;
+        return `CREATE ${options.unique ? "UNIQUE " : ""}INDEX IF NOT EXISTS ${Identifier.quote(name, "index")} ON ${Identifier.table(table)} (${cols.map(col => Identifier.path(col).sql).join(", ")});`;
     }
-};
-//#endregion
 
-//#region CONNECTION HEALTH CHECK
-/**
- * @description Connection health check
- * Closes idle connections that haven't been used in the last 5 minutes.
- */
-setInterval(() => {
-    const status = ConnectionManager.getStatus();
-    const now = Date.now();
-    for (const [arq, info] of Object.entries(status)) {
-        // If connection hasn't been used in 5 minutes, close it
-        if (info.age > 5 * 60 * 1000) {
-            ConnectionManager.closeConnection(arq);
-            Logger.Log(`Closed idle database connection: ${arq}`, "info");
+    /**
+     * High-level query abstraction layer.
+     * Responsible for schema management and CRUD operations.
+     */
+    const Query = {
+        /**
+         * Creates a table if it does not exist, or evolves it to match the schema object.
+         * Object keys define column names and their sample values the column types (see `Types`).
+         * The `Id` field is enforced as PRIMARY KEY.
+         *
+         * On an existing table, the schema is compared with `PRAGMA table_info`:
+         * new keys are added with `ALTER TABLE ADD COLUMN`, while removed, renamed and retyped
+         * columns are only reported, unless `options.rebuild` is set.
+         *
+         * @param {string} db Database file name
+         * @param {string} table Table name
+         * @param {Object} obj Schema definition object
+         * @param {Object} [options]
+         * @param {(string[]|{columns: string[], unique?: boolean, name?: string})[]} [options.indexes] Indexes to ensure on the table
+         * @param {boolean} [options.rebuild] Rebuilds the table to match the schema exactly (drops removed columns, applies types)
+         * @param {Object<string, string>} [options.renames] Column renames applied by a rebuild (`{ OldName: "NewName" }`)
+         * @param {boolean} [options.audit] Records every change in a `<table>_History` table
+         * @param {boolean} [options.softDelete] `Remove` sets `DeletedAt` instead of deleting. A `DeletedAt` date column is added
+         * to the schema when `obj` doesn't have one (on a copy: `obj` itself isn't changed)
+         * @param {boolean|{size?: number, ttl?: number}} [options.cache] Caches the read methods (defaults from `Config.cache`)
+         * @param {Object<string, {belongsTo?: string, hasMany?: string, key: string, onDelete?: "no action"|"restrict"|"cascade"|"set null"}>} [options.relations]
+         * Relations by name (see `GetWith`). `belongsTo` adds a FOREIGN KEY (and an index) on the `key` column of this table;
+         * `hasMany` names the `key` column of the other table. Foreign keys of an existing table are only reported, unless `options.rebuild` is set.
+         * @param {boolean} [options.dropForeignKeys] A rebuild also drops the undeclared foreign keys (by default it keeps
+         * the ones that aren't on a `belongsTo` key, as the relations didn't create them)
+         * @returns {Promise<{table: string, created: boolean, added: string[], removed: string[], renamed: {from: string, to: string}[], suggested: {from: string, to: string}[], changed: {column: string, from: string, to: string}[], foreignKeys: {added: string[], removed: string[]}, rebuilt: boolean, rows: number}|null>}
+         */
+        CheckTable: async (db, table, obj, options = {}) => {
+            if (options.softDelete && !("DeletedAt" in obj)) obj = { ...obj, DeletedAt: new Date(0) };
+            const kinds = Types.describe(obj);
+            let relations;
+            try {
+                relations = Relations.parse(table, kinds, options.relations);
+            } catch (err) {
+                return queryFailed(err, null, db, table);
+            }
+            const renames = options.renames || {};
+            Cache.invalidate(db, table);
+            Identifier.forget(db, table);
+
+            const report = { table: table, created: false, added: [], removed: [], renamed: [], suggested: [], changed: [], foreignKeys: { added: [], removed: [] }, rebuilt: false, rows: 0 };
+            try {
+                const definitions = Object.entries(kinds).map(([key, kind]) => {
+                    const column = `${Identifier.quote(key)} ${Types.sql[kind]}`;
+                    return key == "Id" ? `${column} NOT NULL PRIMARY KEY` : column;
+                });
+                definitions.push(...Relations.constraints(relations));
+                const create = (name, extra = []) => `CREATE TABLE IF NOT EXISTS ${Identifier.table(name)} (${[...definitions, ...extra].join(", ")});`;
+                const indexes = (options.indexes || []).map(index => {
+                    const def = Array.isArray(index) ? { columns: index } : index;
+                    return indexSQL(table, def.columns, def);
+                });
+                // Belongs-to keys are indexed, for has-many loads and ON DELETE actions
+                Object.values(relations).filter(rel => rel.type == "belongsTo").forEach(rel => indexes.push(indexSQL(table, rel.key)));
+                for (const [from, to] of Object.entries(renames)) {
+                    Identifier.validate(from);
+                    Identifier.validate(to);
+                }
+                await Query.Transaction(db, async () => {
+                    const existing = await Data.Read(db, `SELECT name, type FROM pragma_table_info(?);`, [table]);
+                    if (existing.length == 0) {
+                        await Data.Write(db, create(table), []);
+                        report.created = true;
+                    } else {
+                        const current = new Map(existing.map(col => [col.name, String(col.type).toUpperCase()]));
+                        report.added = Object.keys(kinds).filter(key => !current.has(key));
+                        report.removed = [...current.keys()].filter(name => !(name in kinds));
+                        report.changed = Object.keys(kinds)
+                            .filter(key => current.has(key) && current.get(key) != Types.sql[kinds[key]])
+                            .map(key => ({ column: key, from: current.get(key), to: Types.sql[kinds[key]] }));
+                        // SQLite can't add or drop a foreign key without rebuilding the table
+                        const declared = Relations.declared(relations);
+                        const foreignKeys = await Relations.foreignKeys(db, table);
+                        report.foreignKeys.added = declared.filter(fk => !foreignKeys.some(key => key.text == fk));
+                        report.foreignKeys.removed = foreignKeys.filter(fk => !declared.includes(fk.text)).map(fk => fk.text);
+                        // Undeclared foreign keys off the belongs-to keys weren't created by the relations:
+                        // a rebuild keeps them (unless their columns are removed), and only drops them with `dropForeignKeys`
+                        const keys = Object.values(relations).filter(rel => rel.type == "belongsTo").map(rel => rel.key);
+                        const kept = options.dropForeignKeys ? [] : foreignKeys.filter(fk => !declared.includes(fk.text) &&
+                            !fk.columns.some(col => keys.includes(col)) && fk.columns.every(col => col in kinds));
+                        // Explicit renames (copied by a rebuild). A removed and an added column as the only ones
+                        // of the same type are only suggested: a rebuild drops them until they're listed in `renames`
+                        for (const [from, to] of Object.entries(renames)) {
+                            if (report.removed.includes(from) && to in kinds) report.renamed.push({ from, to });
+                        }
+                        for (const type of new Set(report.removed.map(name => current.get(name)))) {
+                            const removed = report.removed.filter(name => current.get(name) == type && !(name in renames));
+                            const added = report.added.filter(key => Types.sql[kinds[key]] == type && !Object.values(renames).includes(key));
+                            if (removed.length == 1 && added.length == 1) report.suggested.push({ from: removed[0], to: added[0] });
+                        }
+
+                        const destructive = report.removed.length > 0 || report.changed.length > 0 ||
+                            report.foreignKeys.added.length > 0 || report.foreignKeys.removed.length > kept.length;
+                        if (options.rebuild && destructive) {
+                            // Dropping a referenced table runs its ON DELETE actions: only safe with foreign keys off,
+                            // which can't be switched inside the caller's transaction
+                            const enforced = await Data.Check(db, "PRAGMA foreign_keys;", []);
+                            if (enforced && enforced.foreign_keys == 1) {
+                                const referenced = await Data.Check(db, `SELECT m.name FROM sqlite_master m JOIN pragma_foreign_key_list(m.name) f WHERE m.type = 'table' AND m.name != ? AND f."table" = ? LIMIT 1;`, [table, table]);
+                                if (referenced) throw new SchemaError(`Can't rebuild table ${table} inside a transaction: table ${referenced.name} references it`);
+                            }
+                            // Copy the kept (and explicitly renamed) columns into a new table, then swap them
+                            const temp = `_rebuild_${table}`;
+                            // Target column -> source expression (a renamed column may already exist from an additive run)
+                            const copy = new Map();
+                            Object.keys(kinds).filter(key => current.has(key)).forEach(key => copy.set(key, Identifier.quote(key)));
+                            for (const [from, to] of Object.entries(renames)) {
+                                if (!current.has(from) || !(to in kinds)) continue;
+                                copy.set(to, current.has(to) ? `COALESCE(${Identifier.quote(to)}, ${Identifier.quote(from)})` : Identifier.quote(from));
+                            }
+                            const oldIndexes = [];
+                            for (const index of await Data.Read(db, `SELECT name, sql FROM sqlite_master WHERE type = 'index' AND tbl_name = ? AND sql IS NOT NULL;`, [table])) {
+                                const info = await Data.Read(db, `SELECT name FROM pragma_index_info(?);`, [index.name]);
+                                // Expression (JSON path) indexes have no column name: check the columns of their paths
+                                const names = info.map(col => col.name).filter(name => name != null);
+                                names.push(...Identifier.paths(index.sql).map(path => Identifier.path(path).column));
+                                if (names.every(name => name in kinds)) oldIndexes.push(index.sql);
+                            }
+                            const searched = await Search.columns(db, table);
+                            await Data.Write(db, `DROP TABLE IF EXISTS ${Identifier.table(temp)};`, []);
+                            await Data.Write(db, create(temp, kept.map(Relations.clause)), []);
+                            if (copy.size) {
+                                await Data.Write(db, `INSERT INTO ${Identifier.table(temp)} (${Identifier.list([...copy.keys()])}) SELECT ${[...copy.values()].join(", ")} FROM ${Identifier.table(table)};`, []);
+                            }
+                            await Data.Write(db, `DROP TABLE ${Identifier.table(table)};`, []);
+                            await Data.Write(db, `ALTER TABLE ${Identifier.table(temp)} RENAME TO ${Identifier.table(table)};`, []);
+                            // Restore the indexes whose columns still exist
+                            for (const sql of oldIndexes) {
+                                await Data.Write(db, sql, []);
+                            }
+                            // The triggers of the search index were dropped with the table, and the rowids changed
+                            if (searched.length && searched.every(col => col in kinds)) {
+                                for (const sql of Search.triggers(table, searched)) await Data.Write(db, sql, []);
+                                await Data.Write(db, Search.rebuild(table), []);
+                            } else if (searched.length) {
+                                for (const sql of Search.drop(table)) await Data.Write(db, sql, []);
+                                Logger.Log(`Search disabled on table ${table} (${db}): searched columns were removed`, "warn");
+                            }
+                            // The copied rows weren't checked against the new foreign keys
+                            const violations = await Data.Check(db, `SELECT COUNT(*) AS Total FROM pragma_foreign_key_check(?);`, [table]);
+                            if (violations && violations.Total > 0) {
+                                throw new ConstraintError(`Foreign key check failed on table ${table}: ${violations.Total} row(s) reference missing records`, { code: "SQLITE_CONSTRAINT" });
+                            }
+                            report.rebuilt = true;
+                        } else {
+                            for (const key of report.added) {
+                                await Data.Write(db, `ALTER TABLE ${Identifier.table(table)} ADD COLUMN ${Identifier.quote(key)} ${Types.sql[kinds[key]]};`, []);
+                            }
+                        }
+                    }
+                    for (const index of indexes) {
+                        await Data.Write(db, index, []);
+                    }
+                    if (options.audit) {
+                        for (const sql of Audit.create(table)) await Data.Write(db, sql, []);
+                    }
+                    const count = await Data.Check(db, `SELECT COUNT(*) AS Total FROM ${Identifier.table(table)};`, []);
+                    report.rows = count ? count.Total : 0;
+                }, { foreignKeys: options.rebuild ? false : undefined });
+                // Registered once the schema is written (the end of the savepoint, inside another transaction)
+                Types.register(db, table, obj);
+                Audit.tables.set(`${db}/${table}`, { audit: options.audit === true, softDelete: options.softDelete === true });
+                Relations.tables.set(`${db}/${table}`, relations);
+                Cache.configure(db, table, options.cache);
+                const foreignKeys = report.foreignKeys.added.length || report.foreignKeys.removed.length;
+                if (!report.created && (report.removed.length || report.changed.length || foreignKeys) && !report.rebuilt) {
+                    Logger.Log(`Schema drift on table ${table} (${db}): ${JSON.stringify(report)}`, "warn");
+                }
+                return report;
+            } catch (err) {
+                return queryFailed(err, null, db, table, err instanceof IdentifierError);
+            } finally {
+                Identifier.forget(db, table);
+            }
+        },
+        /**
+         * Creates an index if it does not exist.
+         *
+         * @param {string} db Database file name
+         * @param {string} table Table name
+         * @param {string|string[]} columns Indexed column(s), more than one for a composite index,
+         * or JSON paths ("Settings.theme") for an index on their `json_extract` expression
+         * @param {Object} [options]
+         * @param {boolean} [options.unique] Creates a UNIQUE index
+         * @param {string} [options.name] Index name
+         * @returns {Promise<number|null>}
+         */
+        EnsureIndex: async (db, table, columns, options = {}) => {
+            const query = indexSQL(table, columns, options);
+            await Identifier.check(db, table, Array.isArray(columns) ? columns : [columns]);
+            try {
+                return await Data.Write(db, query, []);
+            } catch (err) {
+                return queryFailed(err, null, db, table);
+            }
+        },
+        /**
+         * Drops an index if it exists.
+         *
+         * @param {string} db Database file name
+         * @param {string} name Index name
+         * @returns {Promise<number|null>}
+         */
+        DropIndex: async (db, name) => {
+            const query = `DROP INDEX IF EXISTS ${Identifier.quote(name, "index")};`;
+            try {
+                return await Data.Write(db, query, []);
+            } catch (err) {
+                return queryFailed(err, null, db);
+            }
+        },
+        /**
+         * Lists the indexes of a table as stored in `sqlite_master`.
+         * Automatic indexes (PRIMARY KEY / UNIQUE constraints) have no `sql`.
+         *
+         * @param {string} db Database file name
+         * @param {string} table Table name
+         * @returns {Promise<{name: string, table: string, unique: boolean, columns: string[], sql: string|null}[]>}
+         */
+        ListIndexes: async (db, table) => {
+            Identifier.validate(table, "table");
+            const query = `SELECT name, tbl_name, sql FROM sqlite_master WHERE type = 'index' AND tbl_name = ? ORDER BY name;`;
+            try {
+                const rows = await Data.Read(db, query, [table]);
+                const list = [];
+                for (const row of rows) {
+                    const info = await Data.Read(db, `SELECT name FROM pragma_index_info(?) ORDER BY seqno;`, [row.name]);
+                    const paths = Identifier.paths(row.sql);
+                    const flags = await Data.Check(db, `SELECT "unique" FROM pragma_index_list(?) WHERE name = ?;`, [table, row.name]);
+                    list.push({
+                        name: row.name,
+                        table: row.tbl_name,
+                        unique: flags ? flags.unique == 1 : false,
+                        columns: info.map(i => i.name ?? paths.shift() ?? null),
+                        sql: row.sql
+                    });
+                }
+                return list;
+            } catch (err) {
+                return queryFailed(err, [], db, table);
+            }
+        },
+        /**
+         * Lists the tables of a database file, with their row counts.
+         * SQLite internal tables and the FTS5 tables of `EnableSearch` (and their shadow tables) are skipped.
+         *
+         * @param {string} db Database file name
+         * @returns {Promise<{name: string, rows: number}[]>}
+         */
+        ListTables: async (db) => {
+            try {
+                const rows = await Data.Read(db, `SELECT name, sql FROM sqlite_master WHERE type = 'table' AND substr(name, 1, 7) != 'sqlite_' ORDER BY name;`, []);
+                const virtual = rows.filter(row => /^CREATE VIRTUAL TABLE/i.test(row.sql || "")).map(row => row.name);
+                const list = [];
+                for (const row of rows) {
+                    if (virtual.some(name => row.name == name || row.name.startsWith(`${name}_`))) continue;
+                    // Tables created by other tools may have any name
+                    const count = await Data.Check(db, `SELECT COUNT(*) AS Total FROM "${row.name.replace(/"/g, '""')}";`, []);
+                    list.push({ name: row.name, rows: count ? count.Total : 0 });
+                }
+                return list;
+            } catch (err) {
+                return queryFailed(err, [], db, null);
+            }
+        },
+        /**
+         * Describes a table: its columns (PRAGMA table_info), indexes (see `ListIndexes`),
+         * foreign keys, full-text search columns and row count.
+         *
+         * @param {string} db Database file name
+         * @param {string} table Table name
+         * @returns {Promise<{table: string, columns: {name: string, type: string, notNull: boolean, default: any, primaryKey: boolean}[], indexes: Object[], foreignKeys: {column: string, references: string, onDelete: string}[], search: string[]|null, rows: number}|null>}
+         * `null` if the table doesn't exist (SchemaError in strict mode)
+         */
+        DescribeTable: async (db, table) => {
+            Identifier.validate(table, "table");
+            try {
+                const info = await Data.Read(db, `SELECT name, type, "notnull", dflt_value, pk FROM pragma_table_info(?) ORDER BY cid;`, [table]);
+                if (!info.length) throw new SchemaError(`no such table: ${table}`);
+                const search = await Search.columns(db, table);
+                const foreignKeys = await Data.Read(db, `SELECT "from", "table", on_delete FROM pragma_foreign_key_list(?) ORDER BY id, seq;`, [table]);
+                const count = await Data.Check(db, `SELECT COUNT(*) AS Total FROM ${Identifier.table(table)};`, []);
+                return {
+                    table: table,
+                    columns: info.map(col => ({
+                        name: col.name,
+                        type: col.type,
+                        notNull: col.notnull == 1,
+                        default: col.dflt_value,
+                        primaryKey: col.pk > 0
+                    })),
+                    indexes: await Query.ListIndexes(db, table),
+                    foreignKeys: foreignKeys.map(fk => ({ column: fk.from, references: fk.table, onDelete: fk.on_delete })),
+                    search: search.length ? search : null,
+                    rows: count ? count.Total : 0
+                };
+            } catch (err) {
+                return queryFailed(err, null, db, table);
+            }
+        },
+        /**
+         * Checks if a record exists by Id.
+         *
+         * @param {string} db Database file name
+         * @param {string} table Table name
+         * @param {string} id Record identifier
+         * @returns {Promise<boolean>}
+         */
+        Check: async (db, table, id) => {
+            const query = `SELECT 1 FROM ${Identifier.table(table)} WHERE "Id" = ?${Audit.alive(db, table)};`;
+            try {
+                const res = await Cache.read(db, table, query, [id], "get");
+                return res != undefined;
+            } catch (err) {
+                return queryFailed(err, false, db, table);
+            }
+        },
+        /**
+         * Inserts a new record.
+         *
+         * @param {string} db Database file name
+         * @param {string} table Table name
+         * @param {Object} obj Data object
+         * @returns {Promise<number|null>}
+         */
+        Create: async (db, table, obj) => {
+            try {
+                obj = await Hooks.before(db, table, "Create", obj);
+            } catch (err) {
+                return queryFailed(err, null, db, table);
+            }
+            const row = Types.toRow(Types.get(db, table), obj);
+            let keys = Identifier.list(Object.keys(row));
+            let values = Object.values(row);
+            let placeholders = values.map(() => '?').join(', ');
+
+            let query = `INSERT INTO ${Identifier.table(table)} (${keys}) VALUES (${placeholders});`;
+            await Identifier.check(db, table, Object.keys(row));
+
+            let changes;
+            try {
+                changes = await Audit.track(db, table, [row.Id], () => Data.Write(db, query, values));
+            } catch (err) {
+                return queryFailed(err, null, db, table);
+            }
+            await Hooks.after(db, table, "Create", obj.Id, obj);
+            return changes;
+        },
+        /**
+         * Inserts many records, in chunks of one transaction each.
+         *
+         * @param {string} db Database file name
+         * @param {string} table Table name
+         * @param {Object[]} rows Data objects
+         * @param {Object} [options]
+         * @param {number} [options.chunkSize] Rows per transaction (default 500)
+         * @returns {Promise<{affected: number, batches: Object[], failed: Object[]}>}
+         */
+        CreateMany: async (db, table, rows, options = {}) => {
+            const kinds = Types.get(db, table);
+            const check = await bulkColumns(db, table, rows);
+            const prepared = await Hooks.beforeMany(db, table, "Create", rows);
+            return bulkWrite(db, table, rows, options.chunkSize, (_, index) => {
+                const obj = prepared[index];
+                if (obj instanceof Error) throw obj;
+                const row = Types.toRow(kinds, obj);
+                const keys = Object.keys(row);
+                check(keys);
+                return {
+                    sql: `INSERT INTO ${Identifier.table(table)} (${Identifier.list(keys)}) VALUES (${keys.map(() => "?").join(", ")});`,
+                    values: Object.values(row),
+                    id: row.Id
+                };
+            }, (index) => Hooks.after(db, table, "Create", prepared[index].Id, prepared[index]));
+        },
+        /**
+         * Inserts a record, or updates it if its Id already exists.
+         * Runs the Create hooks for a new record, the Modify hooks for an existing one.
+         *
+         * @param {string} db Database file name
+         * @param {string} table Table name
+         * @param {Object} obj Data object (must include Id)
+         * @returns {Promise<number|null>}
+         */
+        Upsert: async (db, table, obj) => {
+            let operation;
+            try {
+                [operation] = await Hooks.operations(db, table, [obj.Id]);
+                obj = await Hooks.before(db, table, operation, obj);
+            } catch (err) {
+                return queryFailed(err, null, db, table);
+            }
+            const query = upsertSQL(table, Types.toRow(Types.get(db, table), obj));
+            await Identifier.check(db, table, Object.keys(obj));
+
+            let changes;
+            try {
+                changes = await Audit.track(db, table, [query.id], () => Data.Write(db, query.sql, query.values));
+            } catch (err) {
+                return queryFailed(err, null, db, table);
+            }
+            if (changes > 0) await Hooks.after(db, table, operation, query.id, obj);
+            return changes;
+        },
+        /**
+         * Inserts or updates many records (see `Upsert`), in chunks of one transaction each.
+         *
+         * @param {string} db Database file name
+         * @param {string} table Table name
+         * @param {Object[]} rows Data objects (must include Id)
+         * @param {Object} [options]
+         * @param {number} [options.chunkSize] Rows per transaction (default 500)
+         * @returns {Promise<{affected: number, batches: Object[], failed: Object[]}>}
+         */
+        UpsertMany: async (db, table, rows, options = {}) => {
+            const kinds = Types.get(db, table);
+            const check = await bulkColumns(db, table, rows);
+            let operations;
+            try {
+                operations = await Hooks.operations(db, table, rows.map(row => row.Id));
+            } catch (err) {
+                queryFailed(err, null, db, table);
+                return { affected: 0, batches: [], failed: rows.map((row, index) => ({ index: index, row: row, error: err.message })) };
+            }
+            const prepared = await Hooks.beforeMany(db, table, operations, rows);
+            return bulkWrite(db, table, rows, options.chunkSize, (_, index) => {
+                const obj = prepared[index];
+                if (obj instanceof Error) throw obj;
+                check(Object.keys(obj));
+                return upsertSQL(table, Types.toRow(kinds, obj));
+            }, (index) => Hooks.after(db, table, operations[index], prepared[index].Id, prepared[index]));
+        },
+        /**
+         * Retrieves a single record by Id.
+         *
+         * @param {string} db Database file name
+         * @param {string} table Table name
+         * @param {string} id Record identifier
+         * @param {Object} obj Projection object (keys define selected columns)
+         * @param {Object} [options]
+         * @param {boolean} [options.withDeleted] Also finds soft deleted records
+         * @returns {Promise<Object|undefined|null>} `undefined` if not found (NotFoundError in strict mode)
+         */
+        Get: async (db, table, id, obj, options = {}) => {
+            let keys = Identifier.list(Object.keys(obj));
+            let query = `SELECT ${keys} FROM ${Identifier.table(table)} WHERE "Id" = ?${Audit.alive(db, table, options)};`;
+            await Identifier.check(db, table, Object.keys(obj));
+            let res;
+            try {
+                res = await Cache.read(db, table, query, [id]);
+            } catch (err) {
+                return queryFailed(err, null, db, table);
+            }
+            if (!res[0]) return notFound(undefined, db, table, id);
+            return Types.fromRow(Types.get(db, table, obj), res[0]);
+        },
+        /**
+         * Retrieves a record by Id with its related records (see the `relations` option of `CheckTable`).
+         * Each included relation costs one query, whatever the number of records:
+         * `{ include: ["Tasks", "Tasks.Project"] }` runs 3 queries.
+         *
+         * @example const user = await Query.GetWith("app.db", "Users", id, { include: ["Tasks"] });
+         *
+         * @param {string} db Database file name
+         * @param {string} table Table name
+         * @param {string} id Record identifier
+         * @param {Object} [options]
+         * @param {string[]} [options.include] Relation names, or dotted paths for nested relations ("Tasks.Project")
+         * @param {boolean} [options.withDeleted] Also finds a soft deleted record (related records never include soft deleted ones)
+         * @returns {Promise<Object|undefined|null>} Record with a property per relation (record or null for belongsTo, array for hasMany),
+         * `undefined` if not found (NotFoundError in strict mode)
+         */
+        GetWith: async (db, table, id, options = {}) => {
+            const query = `SELECT * FROM ${Identifier.table(table)} WHERE "Id" = ?${Audit.alive(db, table, options)};`;
+            let res;
+            try {
+                res = await Cache.read(db, table, query, [id]);
+            } catch (err) {
+                return queryFailed(err, null, db, table);
+            }
+            if (!res[0]) return notFound(undefined, db, table, id);
+            const record = Types.fromRow(Types.get(db, table), res[0]);
+            try {
+                await Relations.load(db, table, [record], Relations.tree(options.include || []));
+            } catch (err) {
+                return queryFailed(err, null, db, table);
+            }
+            return record;
+        },
+        /**
+         * Retrieves multiple records filtered by a specific column.
+         *
+         * @param {string} db Database file name
+         * @param {string} table Table name
+         * @param {string} property Column name (or JSON path, like "Settings.theme") used as filter
+         * @param {any} value Value to match
+         * @param {Object} obj Projection object (keys define selected columns)
+         * @returns {Promise<Object[]>}
+         */
+        GetManyByProperty: async (db, table, property, value, obj) => {
+            const keys = Identifier.list(Object.keys(obj));
+            const target = Identifier.path(property);
+            const query = `SELECT ${keys} FROM ${Identifier.table(table)} WHERE ${target.sql} = ?${Audit.alive(db, table)};`;
+            const kinds = Types.get(db, table, obj);
+            await Identifier.check(db, table, [...Object.keys(obj), property]);
+
+            try {
+                const rows = await Cache.read(db, table, query, [Types.serialize(kinds[property], value)]);
+                return rows.map(row => Types.fromRow(kinds, row));
+            } catch (err) {
+                return queryFailed(err, [], db, table);
+            }
+        },
+        /**
+         * Retrieves the records matching a filter (see `Filter` for the `where` language).
+         *
+         * @param {string} db Database file name
+         * @param {string} table Table name
+         * @param {Object} [options]
+         * @param {Object} [options.where] Filter object
+         * @param {string[]|Object} [options.select] Selected columns or projection object
+         * @param {string|Object|(string|Object)[]} [options.orderBy] Ordering ("Col", "-Col" or { Col: "desc" })
+         * @param {number} [options.limit] Maximum number of rows
+         * @param {number} [options.offset] Number of rows to skip
+         * @param {boolean} [options.withDeleted] Also returns soft deleted records
+         * @returns {Promise<Object[]>}
+         */
+        Find: async (db, table, options = {}) => {
+            const kinds = Types.get(db, table, Array.isArray(options.select) ? undefined : options.select);
+            try {
+                const query = Filter.build(table, { ...options, where: Audit.where(db, table, options) }, kinds);
+                await Identifier.check(db, table, query.columns);
+                const rows = await Cache.read(db, table, query.sql, query.values);
+                return rows.map(row => Types.fromRow(kinds, row));
+            } catch (err) {
+                // A rejected name is always thrown (see `Identifier`), a malformed filter is a failed query
+                return queryFailed(err, [], db, table, err instanceof IdentifierError);
+            }
+        },
+        /**
+         * Counts the records matching a filter.
+         *
+         * @param {string} db Database file name
+         * @param {string} table Table name
+         * @param {Object} [options]
+         * @param {Object} [options.where] Filter object
+         * @param {boolean} [options.withDeleted] Also counts soft deleted records
+         * @returns {Promise<number|null>}
+         */
+        Count: async (db, table, options = {}) => {
+            try {
+                const query = Filter.build(table, { where: Audit.where(db, table, options) }, Types.get(db, table), "COUNT(*) AS Total");
+                await Identifier.check(db, table, query.columns);
+                const res = await Cache.read(db, table, query.sql, query.values, "get");
+                return res ? res.Total : 0;
+            } catch (err) {
+                return queryFailed(err, null, db, table, err instanceof IdentifierError);
+            }
+        },
+        /**
+         * Checks if at least one record matches a filter.
+         *
+         * @param {string} db Database file name
+         * @param {string} table Table name
+         * @param {Object} [options]
+         * @param {Object} [options.where] Filter object
+         * @param {boolean} [options.withDeleted] Also matches soft deleted records
+         * @returns {Promise<boolean>}
+         */
+        Exists: async (db, table, options = {}) => {
+            try {
+                const query = Filter.build(table, { where: Audit.where(db, table, options), limit: 1 }, Types.get(db, table), "1 AS Found");
+                await Identifier.check(db, table, query.columns);
+                const res = await Cache.read(db, table, query.sql, query.values, "get");
+                return res != undefined;
+            } catch (err) {
+                return queryFailed(err, false, db, table, err instanceof IdentifierError);
+            }
+        },
+        /**
+         * Enables full-text search (FTS5) on columns of a table.
+         * Creates the `<table>_Search` table and the triggers keeping it in sync, and indexes the existing rows.
+         * Safe to call on every startup: it only recreates the index when the columns or the tokenizer change.
+         *
+         * @param {string} db Database file name
+         * @param {string} table Table name
+         * @param {string[]} columns Searched columns
+         * @param {Object} [options]
+         * @param {string} [options.tokenize] FTS5 tokenizer (defaults to "unicode61 remove_diacritics 2")
+         * @returns {Promise<{table: string, columns: string[], created: boolean, rows: number}|null>}
+         */
+        EnableSearch: async (db, table, columns, options = {}) => {
+            columns = Array.isArray(columns) ? columns : [columns];
+            try {
+                if (columns.length == 0) throw new SchemaError("EnableSearch needs at least one column", { db: db, table: table });
+                await Identifier.check(db, table, columns);
+                const definition = Search.definition(table, columns, options.tokenize || Search.tokenize);
+                const report = { table: Search.table(table), columns: columns, created: false, rows: 0 };
+                await Query.Transaction(db, async () => {
+                    const current = await Data.Check(db, `SELECT sql FROM sqlite_master WHERE type = 'table' AND name = ?;`, [Search.table(table)]);
+                    if (!current || current.sql != definition) {
+                        for (const sql of Search.drop(table)) await Data.Write(db, sql, []);
+                        await Data.Write(db, `${definition};`, []);
+                        await Data.Write(db, Search.rebuild(table), []);
+                        report.created = true;
+                    }
+                    for (const sql of Search.triggers(table, columns)) await Data.Write(db, sql, []);
+                    const count = await Data.Check(db, `SELECT COUNT(*) AS Total FROM ${Identifier.table(table)};`, []);
+                    report.rows = count ? count.Total : 0;
+                });
+                Cache.invalidate(db, table);
+                return report;
+            } catch (err) {
+                return queryFailed(err, null, db, table, err instanceof IdentifierError);
+            }
+        },
+        /**
+         * Reindexes every row of a searched table (after a VACUUM run by hand, which may renumber rowids, or writes made without the triggers).
+         *
+         * @param {string} db Database file name
+         * @param {string} table Table name
+         * @returns {Promise<{table: string, columns: string[], rows: number}|null>}
+         */
+        RebuildSearch: async (db, table) => {
+            try {
+                const columns = await Search.columns(db, table);
+                if (columns.length == 0) throw new SchemaError(`Search is not enabled on table ${table}`, { db: db, table: table });
+                await Data.Write(db, Search.rebuild(table), []);
+                const count = await Data.Check(db, `SELECT COUNT(*) AS Total FROM ${Identifier.table(table)};`, []);
+                Cache.invalidate(db, table);
+                return { table: Search.table(table), columns: columns, rows: count ? count.Total : 0 };
+            } catch (err) {
+                return queryFailed(err, null, db, table);
+            }
+        },
+        /**
+         * Full-text search on a table with `EnableSearch`, best matches first (bm25).
+         * Words are matched whole, case and accent insensitive, and every word must match.
+         *
+         * @example await Query.Search("tasks.db", "Tasks", "release notes", { limit: 10, highlight: true })
+         *
+         * @param {string} db Database file name
+         * @param {string} table Table name
+         * @param {string} text Search text
+         * @param {Object} [options]
+         * @param {number} [options.limit] Maximum number of rows (default 20)
+         * @param {number} [options.offset] Number of rows to skip
+         * @param {boolean|Object<string, number>} [options.rank] `true` (default) orders by relevance, `false` by insertion,
+         * or column weights (`{ Title: 10, Body: 1 }`)
+         * @param {boolean|{open?: string, close?: string, tokens?: number}} [options.highlight] Adds `$highlight`
+         * to each row: the searched columns with the matches between `open` and `close` ("<mark>" and "</mark>"),
+         * cut to snippets of about `tokens` words when set
+         * @param {boolean} [options.prefix] Words also match as prefixes
+         * @param {boolean} [options.raw] `text` is an FTS5 query (operators, phrases, `column:` filters)
+         * @param {boolean} [options.withDeleted] Also returns soft deleted records
+         * @returns {Promise<Object[]>}
+         */
+        Search: async (db, table, text, options = {}) => {
+            const match = options.raw ? String(text) : Search.match(text, options.prefix);
+            if (!match.trim()) return [];
+            const kinds = Types.get(db, table);
+            const fts = Identifier.table(Search.table(table));
+            const base = Identifier.table(table);
+
+            try {
+                const columns = await Search.columns(db, table);
+                if (columns.length == 0) throw new SchemaError(`Search is not enabled on table ${table}`, { db: db, table: table });
+                const values = [];
+                const select = ["t.*"];
+                if (options.highlight) {
+                    const settings = options.highlight === true ? {} : options.highlight;
+                    const open = settings.open ?? "<mark>";
+                    const close = settings.close ?? "</mark>";
+                    columns.forEach((col, i) => {
+                        if (settings.tokens > 0) {
+                            select.push(`snippet(${fts}, ${i}, ?, ?, '…', ?) AS "$highlight_${i}"`);
+                            values.push(open, close, Math.min(64, Math.floor(settings.tokens)));
+                        } else {
+                            select.push(`highlight(${fts}, ${i}, ?, ?) AS "$highlight_${i}"`);
+                            values.push(open, close);
+                        }
+                    });
+                }
+                let order = "t.rowid";
+                if (options.rank && typeof options.rank == "object") {
+                    order = `bm25(${fts}, ${columns.map(col => Number(options.rank[col] ?? 1) || 0).join(", ")})`;
+                } else if (options.rank !== false) {
+                    order = "rank";
+                }
+                const sql = `SELECT ${select.join(", ")} FROM ${fts} JOIN ${base} AS t ON t.rowid = ${fts}.rowid ` +
+                    `WHERE ${fts} MATCH ?${Audit.alive(db, table, options, "t")} ORDER BY ${order} LIMIT ? OFFSET ?;`;
+                values.push(match, Math.max(0, Math.floor(options.limit ?? 20)), Math.max(0, Math.floor(options.offset || 0)));
+
+                const rows = await Cache.read(db, table, sql, values);
+                return rows.map(row => {
+                    const record = {};
+                    const highlight = {};
+                    for (const [key, value] of Object.entries(row)) {
+                        if (key.startsWith("$highlight_")) highlight[columns[Number(key.slice(11))]] = value;
+                        else record[key] = value;
+                    }
+                    const obj = Types.fromRow(kinds, record);
+                    if (options.highlight) obj.$highlight = highlight;
+                    return obj;
+                });
+            } catch (err) {
+                return queryFailed(err, [], db, table);
+            }
+        },
+        /**
+         * Iterates over the records of a table in batches, without loading the whole table in memory.
+         * Without `orderBy`, pages are read with a keyset cursor on `rowid` (`Id` for tables created WITHOUT ROWID);
+         * with it, with LIMIT/OFFSET.
+         * The connection is only used while each batch is read, so stopping early (break/return)
+         * leaves nothing open.
+         *
+         * @example for await (const row of Query.Iterate("logs.db", "Logs", { batchSize: 200 })) { ... }
+         *
+         * @param {string} db Database file name
+         * @param {string} table Table name
+         * @param {Object} [options] Same options as `Find`, plus:
+         * @param {number} [options.batchSize] Rows read per query (default 500)
+         * @returns {AsyncGenerator<Object>} Throws (typed errors, like strict mode) when a batch can't be read
+         */
+        Iterate: async function* (db, table, options = {}) {
+            const kinds = Types.get(db, table, Array.isArray(options.select) ? undefined : options.select);
+            const batchSize = Math.max(1, Number(options.batchSize) || 500);
+            const used = [];
+            const where = Filter.compile(Audit.where(db, table, options), kinds, used);
+            const columns = Filter.select(options.select, used);
+            const order = options.orderBy ? Filter.order(options.orderBy, used) : null;
+            const from = Identifier.table(table);
+            await Identifier.check(db, table, used);
+            let remaining = options.limit == null ? Infinity : Number(options.limit);
+            let offset = Number(options.offset) || 0;
+            let lastRowId = null;
+            // Tables created WITHOUT ROWID have no rowid: their primary key is the cursor
+            let key = "rowid";
+            if (!order) {
+                try {
+                    const schema = await Data.Check(db, `SELECT sql FROM sqlite_master WHERE type = 'table' AND name = ?;`, [table]);
+                    if (schema && /\bWITHOUT\s+ROWID\b/i.test(schema.sql)) key = `"Id"`;
+                } catch (err) {
+                    queryFailed(err, null, db, table, true);
+                }
+            }
+
+            while (remaining > 0) {
+                const size = Math.min(batchSize, remaining);
+                let query, values;
+                if (order) {
+                    query = `SELECT ${columns} FROM ${from}${where.sql ? ` WHERE ${where.sql}` : ""} ORDER BY ${order} LIMIT ? OFFSET ?;`;
+                    values = [...where.values, size, offset];
+                } else {
+                    const conditions = [where.sql, lastRowId == null ? "" : `${key} > ?`].filter(Boolean);
+                    query = `SELECT ${key} AS "__rowid", ${columns} FROM ${from}${conditions.length ? ` WHERE ${conditions.map(c => `(${c})`).join(" AND ")}` : ""} ORDER BY ${key} LIMIT ?;`;
+                    values = [...where.values, ...(lastRowId == null ? [] : [lastRowId]), size];
+                }
+
+                let rows;
+                try {
+                    rows = await Data.Read(db, query, values);
+                } catch (err) {
+                    // Ending the iteration would look like the end of the table
+                    queryFailed(err, null, db, table, true);
+                }
+                for (const row of rows) {
+                    if (!order) {
+                        lastRowId = row.__rowid;
+                        delete row.__rowid;
+                    }
+                    yield Types.fromRow(kinds, row);
+                }
+                if (rows.length < size) return;
+                remaining -= rows.length;
+                offset += rows.length;
+            }
+        },
+        /**
+         * Same as `Iterate`, exposed as an object-mode Readable stream.
+         * Backpressure is respected (the next batch is only read when the consumer asks for it),
+         * and destroying the stream stops the iteration.
+         *
+         * @param {string} db Database file name
+         * @param {string} table Table name
+         * @param {Object} [options] Same options as `Iterate`
+         * @returns {import("stream").Readable}
+         */
+        Stream: (db, table, options = {}) => {
+            return require("stream").Readable.from(Query.Iterate(db, table, options), { objectMode: true });
+        },
+        /**
+         * Exports the records of a table to a file or a writable stream, in batches (see `Iterate`).
+         * A file is written to a temporary name first, and renamed once complete.
+         *
+         * @example await Query.Export("users.db", "Users", "csv", "/tmp/users.csv", { schema: userSchema });
+         *
+         * @param {string} db Database file name
+         * @param {string} table Table name
+         * @param {"json"|"ndjson"|"csv"} format File format
+         * @param {string|import("stream").Writable} destination File path or stream (left open)
+         * @param {Object} [options] Same options as `Iterate`, plus:
+         * @param {Object} [options.schema] Schema object: exported columns and their types (defaults to every column)
+         * @returns {Promise<{rows: number, columns: string[], format: string}|null>}
+         */
+        Export: async (db, table, format, destination, options = {}) => {
+            const fs = require("fs");
+            const file = typeof destination == "string" ? destination : null;
+            const temp = file ? `${file}.${process.pid}.tmp` : null;
+            let stream = null;
+            try {
+                if (!Transfer.formats.includes(format)) throw new DatabaseError(`Unknown export format: ${JSON.stringify(format)}`);
+                const columns = options.schema ? Object.keys(options.schema) : await Identifier.tableColumns(db, table);
+                if (!columns.length) throw new SchemaError(`no such table: ${table}`);
+                if (file) fs.mkdirSync(require("path").dirname(require("path").resolve(file)), { recursive: true });
+                stream = file ? fs.createWriteStream(temp) : destination;
+                const write = async (text) => {
+                    if (!stream.write(text)) await require("events").once(stream, "drain");
+                };
+
+                let rows = 0;
+                if (format == "csv") await write(columns.map(Transfer.field).join(",") + "\n");
+                if (format == "json") await write("[\n");
+                const select = options.schema ? Object.fromEntries(columns.map(key => [key, options.schema[key]])) : columns;
+                for await (const obj of Query.Iterate(db, table, { ...options, select: select })) {
+                    await write(Transfer.line(format, columns, obj, rows == 0));
+                    rows++;
+                }
+                if (format == "json") await write(rows ? "\n]\n" : "]\n");
+                if (file) {
+                    await new Promise((resolve, reject) => stream.end(err => err ? reject(err) : resolve()));
+                    fs.renameSync(temp, file);
+                }
+                return { rows: rows, columns: columns, format: format };
+            } catch (err) {
+                if (file) {
+                    if (stream) stream.destroy();
+                    fs.rmSync(temp, { force: true });
+                }
+                return queryFailed(err, null, db, table);
+            }
+        },
+        /**
+         * Imports records from a file or a readable stream, in chunks of one transaction each.
+         * Values are converted to the column types (CSV fields are text; empty fields are null
+         * for non-text columns), and keys that aren't columns are ignored. Every record needs an Id.
+         * Inserted records run the Create hooks, updated ones the Modify hooks.
+         *
+         * Conflicts (an Id already in the table, or repeated in the file) are handled by `options.conflict`:
+         * - "skip" (default): the existing record is kept
+         * - "replace": the existing record is updated with the imported fields
+         * - "fail": nothing is imported (the whole import runs in one transaction, rolled back)
+         *
+         * @example const summary = await Query.Import("users.db", "Users", "ndjson", "/tmp/users.ndjson", { conflict: "replace" });
+         *
+         * @param {string} db Database file name
+         * @param {string} table Table name
+         * @param {"json"|"ndjson"|"csv"} format File format
+         * @param {string|import("stream").Readable} source File path or stream
+         * @param {Object} [options]
+         * @param {"skip"|"replace"|"fail"} [options.conflict] Conflict handling (default "skip")
+         * @param {Object} [options.schema] Schema object: imported columns and their types (defaults to every column)
+         * @param {number} [options.chunkSize] Records per transaction (default 500)
+         * @returns {Promise<{inserted: number, updated: number, skipped: number, rejected: number, errors: {index: number, error: string}[]}|null>}
+         * `errors` lists the first 100 rejected records (`index` is the position of the record in the source)
+         */
+        Import: async (db, table, format, source, options = {}) => {
+            const conflict = options.conflict || "skip";
+            const summary = { inserted: 0, updated: 0, skipped: 0, rejected: 0, errors: [] };
+            const reject = (index, error) => {
+                summary.rejected++;
+                if (summary.errors.length < 100) summary.errors.push({ index: index, error: error });
+            };
+
+            const run = async () => {
+                if (!Transfer.formats.includes(format)) throw new DatabaseError(`Unknown import format: ${JSON.stringify(format)}`);
+                if (!["skip", "replace", "fail"].includes(conflict)) throw new DatabaseError(`Unknown conflict mode: ${JSON.stringify(conflict)}`);
+                Identifier.validate(table, "table");
+                const columns = await Identifier.tableColumns(db, table, true);
+                if (!columns.length) throw new SchemaError(`no such table: ${table}`);
+                const names = options.schema ? Object.keys(options.schema).filter(key => columns.includes(key)) : columns;
+                const kinds = Types.get(db, table, options.schema);
+                const seen = new Set();
+
+                // Writes records in file order, counting the results
+                const write = async (writes) => {
+                    if (!writes.length) return;
+                    const operations = writes.map(item => item.update ? "Modify" : "Create");
+                    const prepared = await Hooks.beforeMany(db, table, operations, writes.map(item => item.data));
+                    const result = await bulkWrite(db, table, writes, writes.length, (item, index) => {
+                        const obj = prepared[index];
+                        if (obj instanceof Error) throw obj;
+                        // Hooks may have changed the data: serialised again, still ignoring the keys that aren't columns
+                        const row = Types.toRow(kinds, Object.fromEntries(Object.entries(obj).filter(([key]) => names.includes(key))));
+                        const keys = Object.keys(row);
+                        return item.update ? upsertSQL(table, row) : {
+                            sql: `INSERT INTO ${Identifier.table(table)} (${Identifier.list(keys)}) VALUES (${keys.map(() => "?").join(", ")});`,
+                            values: Object.values(row),
+                            id: row.Id
+                        };
+                    }, (index) => Hooks.after(db, table, operations[index], prepared[index].Id, prepared[index]));
+                    const failed = new Set(result.failed.map(f => f.index));
+                    if (failed.size && conflict == "fail") throw new ConstraintError(result.failed[0].error, { db: db, table: table });
+                    writes.forEach((item, i) => {
+                        if (failed.has(i)) return;
+                        if (item.update) summary.updated++;
+                        else summary.inserted++;
+                    });
+                    result.failed.forEach(f => reject(f.row.index, f.error));
+                };
+                // Writes a chunk of { index, row } records
+                const flush = async (chunk) => {
+                    const ids = [...new Set(chunk.map(item => item.row.Id))];
+                    const existing = new Set((await Data.Read(db, `SELECT "Id" FROM ${Identifier.table(table)} WHERE "Id" IN (${ids.map(() => "?").join(", ")});`, ids)).map(row => String(row.Id)));
+                    let writes = [];
+                    let pending = new Set();
+                    for (const item of chunk) {
+                        const id = String(item.row.Id);
+                        if (existing.has(id) || seen.has(id)) {
+                            if (conflict == "fail") throw new ConstraintError(`Import conflict on Id ${JSON.stringify(item.row.Id)} (record ${item.index})`, { code: "SQLITE_CONSTRAINT", db: db, table: table });
+                            if (conflict == "skip") {
+                                summary.skipped++;
+                                continue;
+                            }
+                            item.update = true;
+                            // Repeated in this chunk: write the first one before updating it
+                            if (pending.has(id)) {
+                                await write(writes);
+                                writes = [];
+                                pending = new Set();
+                            }
+                        }
+                        seen.add(id);
+                        pending.add(id);
+                        writes.push(item);
+                    }
+                    await write(writes);
+                };
+
+                const size = Math.max(1, Number(options.chunkSize) || 500);
+                const stream = typeof source == "string" ? require("fs").createReadStream(source) : source;
+                let chunk = [];
+                try {
+                    for await (const { index, record, error } of Transfer.read(format, stream)) {
+                        if (error) {
+                            reject(index, error);
+                            continue;
+                        }
+                        const data = {};
+                        let row;
+                        try {
+                            for (const name of names) {
+                                if (name in record) data[name] = Transfer.value(kinds[name], record[name], format == "csv");
+                            }
+                            row = Types.toRow(kinds, data);
+                        } catch (err) {
+                            reject(index, err.message);
+                            continue;
+                        }
+                        if (row.Id == null || row.Id === "") {
+                            reject(index, "Missing Id");
+                            continue;
+                        }
+                        chunk.push({ index: index, row: row, data: data });
+                        if (chunk.length >= size) {
+                            await flush(chunk);
+                            chunk = [];
+                        }
+                    }
+                    if (chunk.length) await flush(chunk);
+                } finally {
+                    if (typeof source == "string") stream.destroy();
+                }
+            };
+
+            try {
+                if (conflict == "fail") await Query.Transaction(db, run);
+                else await run();
+            } catch (err) {
+                return queryFailed(err, null, db, table);
+            }
+            Logger.Log(`Imported into ${table} on file: ${db}: ${summary.inserted} inserted, ${summary.updated} updated, ${summary.skipped} skipped, ${summary.rejected} rejected`, "info");
+            return summary;
+        },
+        /**
+         * Retrieves all records from a table.
+         *
+         * @param {string} db Database file name
+         * @param {string} table Table name
+         * @param {Object} [options]
+         * @param {boolean} [options.withDeleted] Also returns soft deleted records
+         * @returns {Promise<Object[]>}
+         */
+        GetAll: async (db, table, options = {}) => {
+            const query = `SELECT * FROM ${Identifier.table(table)} WHERE 1${Audit.alive(db, table, options)};`;
+
+            try {
+                const rows = await Cache.read(db, table, query, []);
+                const kinds = Types.get(db, table);
+                return rows.map(row => Types.fromRow(kinds, row));
+            } catch (err) {
+                return queryFailed(err, [], db, table);
+            }
+        },
+        /**
+         * Retrieves all record Ids from a table.
+         * 
+         * @param {string} db Database file name
+         * @param {string} table Table name
+         * @returns {Promise<Object[]>}
+         */
+        GetAllIds: async (db, table) => {
+            const query = `SELECT "Id" FROM ${Identifier.table(table)} WHERE 1${Audit.alive(db, table)};`;
+
+            try {
+                return await Cache.read(db, table, query, []);
+            } catch (err) {
+                return queryFailed(err, [], db, table);
+            }
+        },
+        /** 
+         * @description This is used to get an User Id by the user himself
+         * 
+         * @param {string} db Database file name
+         * @param {string} table Table name
+         * @param {string} username Username
+         * @returns {Promise<string|null>}
+         */
+        GetIdByUsername: async (db, table, username) => {
+            const query = `SELECT "Id" FROM ${Identifier.table(table)} WHERE "Username" = ?${Audit.alive(db, table)};`;
+
+            let res;
+            try {
+                res = await Cache.read(db, table, query, [username]);
+            } catch (err) {
+                return queryFailed(err, null, db, table);
+            }
+            if (!res[0] || !res[0]["Id"]) return notFound(null, db, table, username);
+            return res[0]["Id"];
+        },
+        /**
+         * @description This is used to get an User Id by the user email
+         *
+         * @param {string} db Database file name
+         * @param {string} table Table name
+         * @param {string} mail User email
+         * @returns {Promise<string|null>}
+         */
+        GetIdByEmail: async (db, table, mail) => {
+            const query = `SELECT "Id" FROM ${Identifier.table(table)} WHERE "Email" = ?${Audit.alive(db, table)};`;
+            let res;
+            try {
+                res = await Cache.read(db, table, query, [mail]);
+            } catch (err) {
+                return queryFailed(err, null, db, table);
+            }
+            if (!res[0] || !res[0]["Id"]) return notFound(null, db, table, mail);
+            return res[0]["Id"];
+        },
+        /**
+         * @description Gets a specific property of a record
+         *
+         * @param {string} db Database file name
+         * @param {string} table Table name
+         * @param {string} property Property name, or JSON path (like "Settings.theme")
+         * @param {string} id Record identifier
+         * @returns {Promise<any|null>}
+         */
+        GetProperty: async (db, table, property, id) => {
+            const target = Identifier.path(property);
+            const select = target.path
+                ? `${target.sql} AS "Value", json_type(${Identifier.quote(target.column)}, '${target.path}') AS "Type"`
+                : Identifier.quote(property);
+            const query = `SELECT ${select} FROM ${Identifier.table(table)} WHERE "Id" = ?${Audit.alive(db, table)};`;
+            await Identifier.check(db, table, [property]);
+
+            let res;
+            try {
+                res = await Cache.read(db, table, query, [id]);
+            } catch (err) {
+                return queryFailed(err, null, db, table);
+            }
+            if (!res[0]) return notFound(null, db, table, id);
+            if (target.path) return Types.deserialize({ object: "json", array: "json", true: "boolean", false: "boolean" }[res[0].Type], res[0].Value);
+            return Types.deserialize(Types.get(db, table)[property], res[0][property]);
+        },
+        /**
+         * Updates an existing record.
+         * The Id field is mandatory.
+         *
+         * @param {string} db Database file name
+         * @param {string} table Table name
+         * @param {Object} obj Updated data (must include Id)
+         * @returns {Promise<number|null>}
+         */
+        Modify: async (db, table, obj) => {
+            try {
+                obj = await Hooks.before(db, table, "Modify", obj);
+            } catch (err) {
+                return queryFailed(err, null, db, table);
+            }
+            const kinds = Types.get(db, table);
+            let keys = Object.keys(obj).filter(key => key.toLowerCase() !== 'id');
+            let values = keys.map(key => Types.serialize(kinds[key], obj[key]));
+            let placeholders = keys.map(key => `${Identifier.quote(key)} = ?`).join(', ');
+
+            let id = obj['Id'] || obj['ID'] || obj['id'];
+            values.push(id);
+
+            let query = `UPDATE ${Identifier.table(table)} SET ${placeholders} WHERE "Id" = ?${Audit.alive(db, table)};`;
+            await Identifier.check(db, table, keys);
+
+            let changes;
+            try {
+                changes = await Audit.track(db, table, [id], () => Data.Write(db, query, values));
+            } catch (err) {
+                return queryFailed(err, null, db, table);
+            }
+            if (changes == 0) return notFound(0, db, table, id);
+            await Hooks.after(db, table, "Modify", id, obj);
+            return changes;
+        },
+        /**
+         * Updates many records, in chunks of one transaction each.
+         * Each object must include Id.
+         *
+         * @param {string} db Database file name
+         * @param {string} table Table name
+         * @param {Object[]} rows Updated data objects
+         * @param {Object} [options]
+         * @param {number} [options.chunkSize] Rows per transaction (default 500)
+         * @returns {Promise<{affected: number, batches: Object[], failed: Object[]}>}
+         */
+        ModifyMany: async (db, table, rows, options = {}) => {
+            const kinds = Types.get(db, table);
+            const check = await bulkColumns(db, table, rows);
+            const prepared = await Hooks.beforeMany(db, table, "Modify", rows);
+            const idOf = (obj) => obj['Id'] || obj['ID'] || obj['id'];
+            return bulkWrite(db, table, rows, options.chunkSize, (_, index) => {
+                const obj = prepared[index];
+                if (obj instanceof Error) throw obj;
+                const id = idOf(obj);
+                if (id == null) throw new Error("Modify requires an Id");
+                const keys = Object.keys(obj).filter(key => key.toLowerCase() !== 'id');
+                if (keys.length == 0) throw new Error("Nothing to modify");
+                check(keys);
+                return {
+                    sql: `UPDATE ${Identifier.table(table)} SET ${keys.map(key => `${Identifier.quote(key)} = ?`).join(', ')} WHERE "Id" = ?${Audit.alive(db, table)};`,
+                    values: [...keys.map(key => Types.serialize(kinds[key], obj[key])), id],
+                    id: id,
+                    existing: true
+                };
+            }, (index) => Hooks.after(db, table, "Modify", idOf(prepared[index]), prepared[index]));
+        },
+        /**
+         * Deletes a record by Id.
+         * On soft delete tables, sets its `DeletedAt` instead (unless `options.hard`).
+         *
+         * @param {string} db Database file name
+         * @param {string} table Table name
+         * @param {string} id Record identifier
+         * @param {Object} [options]
+         * @param {boolean} [options.hard] Really deletes the record of a soft delete table
+         * @returns {Promise<number|null>}
+         */
+        Remove: async (db, table, id, options = {}) => {
+            try {
+                await Hooks.before(db, table, "Remove", { Id: id });
+            } catch (err) {
+                return queryFailed(err, null, db, table);
+            }
+            const soft = Audit.settings(db, table).softDelete && !options.hard;
+            const query = soft
+                ? `UPDATE ${Identifier.table(table)} SET "DeletedAt" = ? WHERE "Id" = ? AND "DeletedAt" IS NULL;`
+                : `DELETE FROM ${Identifier.table(table)} WHERE "Id" = ?;`;
+            let changes;
+            try {
+                changes = await Audit.track(db, table, [id], () => Data.Write(db, query, soft ? [new Date().toISOString(), id] : [id]), "remove");
+            } catch (err) {
+                return queryFailed(err, null, db, table);
+            }
+            if (changes == 0) return notFound(0, db, table, id);
+            await Hooks.after(db, table, "Remove", id, null);
+            return changes;
+        },
+        /**
+         * Lists the history of a record of an audited table (see `CheckTable` options), oldest first.
+         * `changes` holds the changed columns, with their values before and after the operation.
+         *
+         * @param {string} db Database file name
+         * @param {string} table Table name
+         * @param {string} id Record identifier
+         * @returns {Promise<{version: number, operation: string, changes: Object<string, {from: any, to: any}>, actor: string|null, at: Date}[]>}
+         */
+        History: async (db, table, id) => {
+            const query = `SELECT "Version", "Operation", "Changes", "Actor", "At" FROM ${Identifier.table(Audit.history(table))} WHERE "RecordId" = ? ORDER BY "Version";`;
+            try {
+                const rows = await Data.Read(db, query, [String(id)]);
+                const kinds = Types.get(db, table);
+                return rows.map(row => {
+                    const changes = {};
+                    for (const [key, change] of Object.entries(JSON.parse(row.Changes))) {
+                        changes[key] = {
+                            from: Types.deserialize(kinds[key], Audit.decode(change.from)),
+                            to: Types.deserialize(kinds[key], Audit.decode(change.to))
+                        };
+                    }
+                    return { version: row.Version, operation: row.Operation, changes: changes, actor: row.Actor, at: new Date(row.At) };
+                });
+            } catch (err) {
+                return queryFailed(err, [], db, table);
+            }
+        },
+        /**
+         * Restores a record of an audited table as it was after a version of its history.
+         * Without `version`, undoes its last removal (soft or hard); a soft deleted record with no recorded
+         * removal (deleted before the table was audited) gets its `DeletedAt` cleared.
+         * The restore is recorded in the history as a "restore" operation, and runs the Modify hooks
+         * (the Create hooks when the record was deleted) with the restored data.
+         *
+         * @param {string} db Database file name
+         * @param {string} table Table name
+         * @param {string} id Record identifier
+         * @param {number} [version] History version to restore
+         * @returns {Promise<Object|null>} The restored record, `null` if there's no such version
+         */
+        Restore: async (db, table, id, version) => {
+            const history = Identifier.table(Audit.history(table));
+            let restored;
+            try {
+                restored = await Query.Transaction(db, async () => {
+                    const entries = await Data.Read(db, `SELECT "Version", "Operation", "Changes" FROM ${history} WHERE "RecordId" = ? ORDER BY "Version" DESC;`, [String(id)]);
+                    const current = (await Audit.rows(db, table, [id])).get(String(id));
+                    let target = version;
+                    if (target == null) {
+                        const removal = entries.find(entry => entry.Operation == "remove");
+                        if (removal) target = removal.Version - 1;
+                        // Soft deleted without a recorded removal (e.g. before the table was audited)
+                        else if (current && current.DeletedAt != null) target = entries.length ? entries[0].Version : 0;
+                        else return null;
+                    } else if (!entries.some(entry => entry.Version == target)) {
+                        return null;
+                    }
+
+                    // Undo the newer versions, starting from the current row
+                    const state = { ...current };
+                    let exists = !!current;
+                    for (const entry of entries.filter(entry => entry.Version > target)) {
+                        const changes = JSON.parse(entry.Changes);
+                        for (const [key, change] of Object.entries(changes)) state[key] = Audit.decode(change.from);
+                        if (changes.Id) exists = changes.Id.from != null;
+                    }
+                    // Undoing a removal needs no older history: the record only has to be visible again
+                    if (version == null && "DeletedAt" in state) state.DeletedAt = null;
+                    if (!exists) throw new DatabaseError(`Version ${target} of record ${JSON.stringify(id)} is deleted`, { db: db, table: table });
+
+                    const columns = await Identifier.tableColumns(db, table, true);
+                    const kinds = Types.get(db, table);
+                    const operation = current ? "Modify" : "Create";
+                    const fields = Object.fromEntries(Object.keys(state).filter(key => key != "Id" && columns.includes(key)).map(key => [key, state[key] ?? null]));
+                    const data = await Hooks.before(db, table, operation, { Id: id, ...Types.fromRow(kinds, fields) });
+                    const row = Types.toRow(kinds, data);
+                    const keys = Object.keys(row).filter(key => key != "Id" && columns.includes(key));
+                    const changes = await Audit.track(db, table, [id], () => current
+                        ? keys.length && Data.Write(db, `UPDATE ${Identifier.table(table)} SET ${keys.map(key => `${Identifier.quote(key)} = ?`).join(", ")} WHERE "Id" = ?;`, [...keys.map(key => row[key] ?? null), id])
+                        : Data.Write(db, `INSERT INTO ${Identifier.table(table)} (${Identifier.list(["Id", ...keys])}) VALUES (${["Id", ...keys].map(() => "?").join(", ")});`, [id, ...keys.map(key => row[key] ?? null)]),
+                    "restore");
+                    const record = Types.fromRow(kinds, (await Audit.rows(db, table, [id])).get(String(id)));
+                    return { record: record, operation: operation, data: data, changes: changes };
+                });
+            } catch (err) {
+                return queryFailed(err, null, db, table);
+            }
+            if (!restored) return notFound(null, db, table, version == null ? id : `${id}@${version}`);
+            if (restored.changes > 0) await Hooks.after(db, table, restored.operation, id, restored.data);
+            return restored.record;
+        },
+        /**
+         * Registers a lifecycle hook on a table.
+         * `before*` hooks receive the data (`{ Id }` for Remove) and may change it (mutate it or return
+         * a new object) or veto the operation (return `false` or throw). `after*` hooks receive the written data.
+         * Both get a context `{ db, table, operation }` and may be async.
+         *
+         * @example Query.Hook("users.db", "Users", "beforeCreate", async (user) => { user.Password = await hash(user.Password); });
+         *
+         * @param {string} db Database file name
+         * @param {string} table Table name
+         * @param {"beforeCreate"|"afterCreate"|"beforeModify"|"afterModify"|"beforeRemove"|"afterRemove"} name Hook name
+         * @param {(data: Object, context: {db: string, table: string, operation: string}) => any} fn Hook
+         * @returns {() => void} Removes the hook
+         */
+        Hook: (db, table, name, fn) => {
+            if (!Hooks.names.includes(name)) throw new DatabaseError(`Unknown hook: ${JSON.stringify(name)}`, { db: db, table: table });
+            const key = `${db}/${table}`;
+            if (!Hooks.tables.has(key)) Hooks.tables.set(key, {});
+            const hooks = Hooks.tables.get(key);
+            (hooks[name] = hooks[name] || []).push(fn);
+            return () => {
+                hooks[name] = hooks[name].filter(hook => hook !== fn);
+            };
+        },
+        /**
+         * Change events: `created`, `modified` and `removed`, with `{ db, table, id, data }`.
+         * Inside a transaction, they're emitted after the commit (and never if it rolls back).
+         * @example Query.Events.on("modified", ({ table, id }) => cache.delete(`${table}/${id}`));
+         * @type {import("events").EventEmitter}
+         */
+        Events: Hooks.events,
+        /**
+         * Clears the read cache of a table, or of every table of a database file.
+         * Query writes clear it on their own: this is for changes made with `Data.Write`/`Data.Exec`.
+         * @param {string} db Database file name
+         * @param {string} [table] Table name
+         * @returns {void}
+         */
+        ClearCache: (db, table) => {
+            Cache.invalidate(db, table);
+        },
+        /**
+         * Runs a callback inside a transaction (BEGIN IMMEDIATE / COMMIT).
+         * Any error thrown by the callback rolls the transaction back and is rethrown.
+         * The transaction holds the write connection of the file: other writers wait in the queue,
+         * while readers outside the transaction keep reading the last committed data.
+         *
+         * The callback receives a `tx` object exposing the Query CRUD methods without the `db` argument,
+         * `Read`/`Write`/`Exec` from the Data layer and `Transaction` for nested savepoints.
+         * Query methods called inside the transaction throw instead of returning `null`/`[]`.
+         *
+         * @param {string} db Database file name
+         * @param {(tx: Object) => Promise<any>} fn Transaction body
+         * @param {Object} [options]
+         * @param {boolean} [options.foreignKeys] `false` turns foreign key enforcement off during the transaction
+         * (e.g. to reorder related tables). Ignored by nested transactions
+         * @returns {Promise<any>} Value returned by the callback
+         */
+        Transaction: async (db, fn, options = {}) => {
+            const file = BaseState.Path([db]);
+            const parent = Transactions.current(file);
+
+            // Nested transaction: use a savepoint on the running one
+            if (parent) {
+                const savepoint = `sp_${++parent.savepoints}`;
+                const pending = parent.afterCommit.length;
+                await Data.Write(db, `SAVEPOINT ${savepoint};`, []);
+                try {
+                    const res = await fn(parent.api);
+                    await Data.Write(db, `RELEASE ${savepoint};`, []);
+                    return res;
+                } catch (err) {
+                    // Drop the callbacks of the rolled back part
+                    parent.afterCommit.length = pending;
+                    await Data.Write(db, `ROLLBACK TO ${savepoint};`, []);
+                    await Data.Write(db, `RELEASE ${savepoint};`, []);
+                    throw err;
+                }
+            }
+
+            const conn = await ConnectionManager.acquire(file, "write");
+            const tx = { file: file, conn: conn, savepoints: 0, done: false, afterCommit: [], api: {} };
+            for (const name of [
+                "CheckTable", "Check", "Create", "CreateMany", "Upsert", "UpsertMany",
+                "Get", "GetWith", "GetManyByProperty", "Find", "Count", "Exists", "Search", "EnableSearch", "RebuildSearch", "Iterate", "Export", "Import", "GetAll", "GetAllIds",
+                "GetIdByUsername", "GetIdByEmail", "GetProperty", "Modify", "ModifyMany", "Remove", "History", "Restore", "Transaction"
+            ]) {
+                tx.api[name] = (...args) => Query[name](db, ...args);
+            }
+            for (const name of ["Read", "Write", "Exec"]) {
+                tx.api[name] = (...args) => Data[name](db, ...args);
+            }
+            const store = new Map(Transactions.storage.getStore() || []);
+            store.set(file, tx);
+
+            let res;
+            try {
+                res = await Transactions.storage.run(store, async () => {
+                    // PRAGMA foreign_keys does nothing inside a transaction: switched before BEGIN and back after the end
+                    const unchecked = options.foreignKeys === false && Config.connection.foreign_keys !== false;
+                    if (unchecked) await Data.Exec(db, "PRAGMA foreign_keys = OFF;");
+                    try {
+                        await Data.Write(db, "BEGIN IMMEDIATE;", []);
+                        try {
+                            const res = await fn(tx.api);
+                            await Data.Write(db, "COMMIT;", []);
+                            return res;
+                        } catch (err) {
+                            await Data.Write(db, "ROLLBACK;", []).catch(() => { });
+                            Logger.Log(`Transaction rolled back on file: ${db}`, "error", err);
+                            throw err;
+                        }
+                    } finally {
+                        if (unchecked) await Data.Exec(db, "PRAGMA foreign_keys = ON;").catch(() => { });
+                    }
+                });
+            } finally {
+                tx.done = true;
+                ConnectionManager.release(file, conn);
+            }
+            // Committed: run the deferred callbacks (e.g. change events)
+            for (const callback of tx.afterCommit) callback();
+            return res;
+        },
+        /**
+         * Applies or rolls back versioned schema migrations.
+         * Applied versions are recorded in the `_Migrations` table of the database file. Every missing version up to
+         * the target is applied in order, even one lower than the current version (added later to the list), and an applied
+         * version missing from the list fails the migration (the list doesn't match the database).
+         * All pending steps run inside a single `Transaction`: either every step is applied or none.
+         *
+         * Each migration is `{ version, name, up, down }`, where `up`/`down` are a SQL script,
+         * an array of SQL statements or an async function receiving the database file name.
+         *
+         * @param {string} db Database file name
+         * @param {{version: number, name?: string, up: string|string[]|Function, down?: string|string[]|Function}[]} migrations Ordered migration list
+         * @param {Object} [options]
+         * @param {number} [options.target] Target version (defaults to the latest one). Lower than current rolls back
+         * the applied versions above it (missing lower ones are applied by the next forward run).
+         * @param {boolean} [options.dryRun] Only list the pending steps, without running them
+         * @returns {Promise<{from: number, to: number, direction: "up"|"down", steps: {version: number, name: string}[], dryRun: boolean}|null>}
+         */
+        Migrate: async (db, migrations, options = {}) => {
+            const failed = (err) => {
+                Logger.Log("Database migration failed", "error", err);
+                if (Strict.enabled()) throw DatabaseError.from(err, { db: db, table: "_Migrations" });
+                return null;
+            };
+            const sorted = [...migrations].sort((a, b) => a.version - b.version);
+            for (let i = 0; i < sorted.length; i++) {
+                if (!Number.isInteger(sorted[i].version) || sorted[i].version <= 0) {
+                    return failed(new SchemaError(`Invalid migration version: ${sorted[i].version}. Versions must be positive integers`));
+                }
+                if (i > 0 && sorted[i].version == sorted[i - 1].version) {
+                    return failed(new SchemaError(`Duplicated migration version: ${sorted[i].version}`));
+                }
+            }
+
+            const latest = sorted.length ? sorted[sorted.length - 1].version : 0;
+            const target = options.target == null ? latest : options.target;
+
+            try {
+                await Data.Write(db, `CREATE TABLE IF NOT EXISTS "_Migrations" (Version INTEGER NOT NULL PRIMARY KEY, Name TEXT, AppliedAt TEXT);`, []);
+                const applied = new Set((await Data.Read(db, `SELECT Version FROM "_Migrations" ORDER BY Version;`, [])).map(row => row.Version));
+                const unknown = [...applied].filter(version => !sorted.some(m => m.version == version));
+                if (unknown.length) {
+                    throw new SchemaError(`Applied migration ${unknown.join(", ")} is not in the migration list of ${db}`, { db: db, table: "_Migrations" });
+                }
+                const current = applied.size ? Math.max(...applied) : 0;
+
+                const direction = target >= current ? "up" : "down";
+                const steps = direction == "up"
+                    ? sorted.filter(m => !applied.has(m.version) && m.version <= target)
+                    : sorted.filter(m => applied.has(m.version) && m.version > target).reverse();
+                const versions = direction == "up"
+                    ? [...applied, ...steps.map(m => m.version)]
+                    : [...applied].filter(version => version <= target);
+                const report = {
+                    from: current,
+                    to: versions.length ? Math.max(...versions) : 0,
+                    direction: direction,
+                    steps: steps.map(m => ({ version: m.version, name: m.name || "" })),
+                    dryRun: options.dryRun === true
+                };
+                if (report.dryRun || steps.length == 0) return report;
+
+                const run = async (step) => {
+                    if (typeof step == "function") return step(db);
+                    if (Array.isArray(step)) {
+                        for (const sql of step) await Data.Exec(db, sql);
+                        return;
+                    }
+                    return Data.Exec(db, step);
+                };
+
+                await Query.Transaction(db, async () => {
+                    for (const m of steps) {
+                        if (direction == "up") {
+                            await run(m.up);
+                            await Data.Write(db, `INSERT INTO "_Migrations" (Version, Name, AppliedAt) VALUES (?, ?, ?);`, [m.version, m.name || "", new Date().toISOString()]);
+                        } else {
+                            if (!m.down) throw new Error(`Migration ${m.version} has no down step`);
+                            await run(m.down);
+                            await Data.Write(db, `DELETE FROM "_Migrations" WHERE Version = ?;`, [m.version]);
+                        }
+                    }
+                });
+                Identifier.forget(db);
+                Cache.invalidate(db);
+                return report;
+            } catch (err) {
+                return failed(err);
+            }
         }
+    };
+    /**
+     * Strict versions of every Query method: same arguments, but errors are thrown as typed
+     * errors (NotFoundError, ConstraintError, BusyError, SchemaError, ConnectionError)
+     * instead of being returned as `null`, `false` or `[]`.
+     * @example const user = await Query.Strict.Get("users.db", "Users", id, schema);
+     */
+    Query.Strict = {};
+    for (const [name, method] of Object.entries(Query)) {
+        if (typeof method != "function") continue;
+        // Iterations always throw their errors (see `Iterate`)
+        Query.Strict[name] = name == "Iterate" || name == "Stream"
+            ? method
+            : (...args) => Strict.storage.run(true, () => method(...args));
     }
-}, 60000); // Check every minute
+    //#endregion
 
-/**
- * @description Graceful shutdown handlers
- * Closes all database connections on process termination signals.
- * @returns {void}
- */
-function setupShutdownHandlers() {
-    const shutdown = async (signal) => {
-        Logger.Log(`Received ${signal}, shutting down database connections...`, "info");
-        ConnectionManager.shutdown();
-        Logger.Log(`All database connections closed. Exiting process.`, "info");
-
-        // Wait a moment for cleanup
-        setTimeout(() => {
-            process.exit(0);
-        }, 100);
+    //#region LOGGING LAYER
+    /**
+     * @description Structured logging system.
+     * Designed for post-mortem analysis and debugging.
+     * Each call builds its own record and hands it to every transport (console, file, custom).
+     * The file transport appends JSON Lines to `<log folder>/<YYYY-MM-DD>.jsonl`, rotated by size and day.
+     */
+    const Logger = {
+        /** Severity order, records below `Config.log.level` are dropped */
+        levels: { debug: 10, info: 20, warn: 30, error: 40 },
+        /** Per call chain context (e.g. `{ UserID }`) */
+        context: new (require("async_hooks").AsyncLocalStorage)(),
+        /** Pending file writes, chained to keep the order */
+        queue: Promise.resolve(),
+        /**
+         * Builtin transports.
+         * A transport is `{ name, level?, write(record) }`; `write` may return a promise.
+         */
+        Transports: {
+            /**
+             * Prints records to the console.
+             * @param {Object} [options]
+             * @param {string} [options.level] Minimum level of this transport
+             * @returns {Object}
+             */
+            Console: (options = {}) => ({
+                name: "console",
+                level: options.level,
+                write: (record) => {
+                    const out = record.Type == "error" ? console.error : record.Type == "warn" ? console.warn : console.log;
+                    out(`[${record.DateTime}] ${record.Type.toUpperCase()}: ${record.Message}`);
+                    if (record.Error) out(`    ${record.Error}`);
+                    if (record.Trace) out(`    ${record.Trace.trim()}`);
+                }
+            }),
+            /**
+             * Appends records to a daily JSON Lines file.
+             * When a file reaches `Config.log.max_size` it is renamed to `<date>.<n>.jsonl`,
+             * and files older than `Config.log.retention_days` are deleted.
+             * @param {Object} [options]
+             * @param {string} [options.level] Minimum level of this transport
+             * @param {string} [options.folder] Log folder (defaults to `Config.log.folder` or `<database_folder>/log`)
+             * @returns {Object}
+             */
+            File: (options = {}) => {
+                const fs = require("fs").promises;
+                const path = require("path");
+                const state = { day: null, size: 0 };
+                return {
+                    name: "file",
+                    level: options.level,
+                    write: (record) => {
+                        // Writes are chained so records keep their order and rotation doesn't race
+                        Logger.queue = Logger.queue.then(async () => {
+                            const folder = options.folder || Config.log.folder || path.join(Config.database_folder, "log");
+                            const day = record.DateTime.slice(0, 10);
+                            const file = path.join(folder, `${day}.jsonl`);
+                            const line = JSON.stringify(record) + "\n";
+                            const bytes = Buffer.byteLength(line);
+                            if (state.day != day) {
+                                await fs.mkdir(folder, { recursive: true });
+                                state.size = await fs.stat(file).then(st => st.size, () => 0);
+                                state.day = day;
+                                await Logger.Prune(folder);
+                            }
+                            if (state.size > 0 && state.size + bytes > (Config.log.max_size || Infinity)) {
+                                const names = await fs.readdir(folder);
+                                const parts = names.filter(name => name.startsWith(`${day}.`) && name != `${day}.jsonl`).length;
+                                await fs.rename(file, path.join(folder, `${day}.${parts + 1}.jsonl`));
+                                state.size = 0;
+                            }
+                            await fs.appendFile(file, line, "utf-8");
+                            state.size += bytes;
+                        }).catch(err => {
+                            console.error(`Failed to write log file: ${err.message}`);
+                        });
+                        return Logger.queue;
+                    }
+                };
+            },
+            /**
+             * Sends records to a custom function (e.g. a remote collector).
+             * @param {(record: Object) => any} fn Callback
+             * @param {Object} [options]
+             * @param {string} [options.name] Transport name
+             * @param {string} [options.level] Minimum level of this transport
+             * @returns {Object}
+             */
+            Callback: (fn, options = {}) => ({
+                name: options.name || "callback",
+                level: options.level,
+                write: fn
+            }),
+        },
+        /** Active transports */
+        transports: [],
+        /**
+         * Builds a log record and sends it to every transport.
+         *
+         * @param {string} msg Log message
+         * @param {"debug"|"info"|"warn"|"error"} type Log severity
+         * @param {Error|null} error Error object
+         * @returns {Promise<void>} Resolved when every transport wrote the record
+         */
+        Log: async (msg = "empty message", type = "info", error = null) => {
+            const level = Logger.levels[type] ? type : "info";
+            if (Logger.levels[level] < (Logger.levels[Config.log.level] || 0)) return;
+            const context = Logger.context.getStore() || {};
+            const { UserID = null, ...extra } = context;
+            // Without an error, the trace points to the caller of Log
+            const stack = error && error.stack ? error.stack.split("\n")[1] : (new Error().stack || "").split("\n")[2];
+            const record = {
+                Type: level,
+                DateTime: new Date().toISOString(),
+                UserID: UserID,
+                MemoryUsage: (require("os").freemem() / 1000000000).toFixed(2),
+                Message: msg,
+                Error: error ? error.message || String(error) : "",
+                Trace: stack || ""
+            };
+            if (Object.keys(extra).length) record.Context = extra;
+
+            const writes = [];
+            for (const transport of Logger.transports) {
+                if (Logger.levels[level] < (Logger.levels[transport.level] || 0)) continue;
+                try {
+                    writes.push(Promise.resolve(transport.write(record)).catch(err => {
+                        console.error(`Log transport "${transport.name}" failed: ${err.message}`);
+                    }));
+                } catch (err) {
+                    console.error(`Log transport "${transport.name}" failed: ${err.message}`);
+                }
+            }
+            await Promise.all(writes);
+        },
+        /**
+         * Shortcuts for `Log` with a fixed severity.
+         * @param {string} msg Log message
+         * @param {Error} [error] Error object
+         * @returns {Promise<void>}
+         */
+        Debug: (msg, error) => Logger.Log(msg, "debug", error),
+        Info: (msg, error) => Logger.Log(msg, "info", error),
+        Warn: (msg, error) => Logger.Log(msg, "warn", error),
+        Error: (msg, error) => Logger.Log(msg, "error", error),
+        /**
+         * Runs a function with a log context: every record written inside it
+         * (including by the database layers) gets its `UserID` and extra fields.
+         *
+         * @param {{UserID?: string}} context Context fields
+         * @param {Function} fn Function to run
+         * @returns {any} Value returned by `fn`
+         */
+        WithContext: (context, fn) => {
+            return Logger.context.run({ ...Logger.context.getStore(), ...context }, fn);
+        },
+        /**
+         * Sets the log context for the rest of the current async call chain
+         * (e.g. in a request middleware).
+         *
+         * @param {{UserID?: string}} context Context fields
+         * @returns {void}
+         */
+        SetContext: (context) => {
+            Logger.context.enterWith({ ...Logger.context.getStore(), ...context });
+        },
+        /**
+         * Adds a transport.
+         * @param {{name: string, level?: string, write: (record: Object) => any}} transport Transport
+         * @returns {void}
+         */
+        AddTransport: (transport) => {
+            Logger.transports.push(transport);
+        },
+        /**
+         * Removes the transports with a given name.
+         * @param {string} name Transport name
+         * @returns {void}
+         */
+        RemoveTransport: (name) => {
+            Logger.transports = Logger.transports.filter(t => t.name != name);
+        },
+        /**
+         * Waits until pending file writes are done.
+         * @returns {Promise<void>}
+         */
+        Flush: () => {
+            return Logger.queue;
+        },
+        /**
+         * Deletes log files older than `Config.log.retention_days`.
+         * @param {string} folder Log folder
+         * @returns {Promise<void>}
+         */
+        Prune: async (folder) => {
+            const days = Config.log.retention_days;
+            if (!days) return;
+            const fs = require("fs").promises;
+            const limit = new Date(Date.now() - days * 86400000).toISOString().slice(0, 10);
+            for (const name of await fs.readdir(folder)) {
+                const match = /^(\d{4}-\d{2}-\d{2})(\.\d+)?\.jsonl$/.exec(name);
+                if (match && match[1] < limit) await fs.unlink(require("path").join(folder, name)).catch(() => { });
+            }
+        },
+    };
+    Logger.transports.push(Logger.Transports.Console());
+    // In memory mode, there's no folder for log files
+    if (!Config.memory) Logger.transports.push(Logger.Transports.File());
+    //#endregion
+
+    //#region LIFECYCLE
+    /**
+     * @description Connection health check and graceful shutdown handlers.
+     * Both are opt-in (`Config.health_check.enabled`, `Config.signals`), so creating a store starts nothing.
+     */
+    const Lifecycle = {
+        /** Health check timer */
+        timer: null,
+        /** Installed signal handlers by signal name */
+        handlers: {},
+        /**
+         * Starts the health check: closes the connections idle for more than `Config.health_check.max_idle`.
+         * Connections in use (e.g. by a long transaction) are kept, and so are in-memory databases.
+         * @returns {void}
+         */
+        startHealthCheck: () => {
+            Lifecycle.stopHealthCheck();
+            Lifecycle.timer = setInterval(() => {
+                if (Config.memory) return;
+                const status = ConnectionManager.getStatus();
+                for (const [arq, info] of Object.entries(status)) {
+                    if (info.age > (Config.health_check.max_idle || 5 * 60 * 1000) && !info.busy) {
+                        ConnectionManager.closeConnection(arq);
+                        Logger.Log(`Closed idle database connection: ${arq}`, "info");
+                    }
+                }
+            }, Config.health_check.interval || 60000); // Check every minute
+            Lifecycle.timer.unref();
+        },
+        /**
+         * Stops the health check.
+         * @returns {void}
+         */
+        stopHealthCheck: () => {
+            clearInterval(Lifecycle.timer);
+            Lifecycle.timer = null;
+        },
+        /**
+         * Installs SIGINT/SIGTERM/SIGBREAK handlers that close every connection and exit the process.
+         * @returns {void}
+         */
+        handleSignals: () => {
+            const shutdown = async (signal) => {
+                Logger.Log(`Received ${signal}, shutting down database connections...`, "info");
+                await ConnectionManager.shutdown();
+                Logger.Log(`All database connections closed. Exiting process.`, "info");
+
+                // Wait a moment for cleanup and pending log writes
+                await Logger.Flush();
+                setTimeout(() => {
+                    process.exit(0);
+                }, 100);
+            };
+            // SIGBREAK for Windows
+            for (const signal of ["SIGINT", "SIGTERM", "SIGBREAK"]) {
+                if (Lifecycle.handlers[signal]) continue;
+                Lifecycle.handlers[signal] = () => shutdown(signal);
+                process.on(signal, Lifecycle.handlers[signal]);
+            }
+        },
+        /**
+         * Removes the signal handlers.
+         * @returns {void}
+         */
+        releaseSignals: () => {
+            for (const [signal, handler] of Object.entries(Lifecycle.handlers)) process.removeListener(signal, handler);
+            Lifecycle.handlers = {};
+        },
+        /**
+         * Closes the store: stops the timers, removes the signal handlers, closes every connection,
+         * flushes the logs and deletes the temporary folder (`Config.temp`).
+         * @returns {Promise<void>}
+         */
+        close: async () => {
+            Data.StopBackups();
+            Lifecycle.stopHealthCheck();
+            Lifecycle.releaseSignals();
+            await ConnectionManager.shutdown();
+            await Logger.Flush();
+            if (Config.temp && Config.database_folder) {
+                await require("fs").promises.rm(Config.database_folder, { recursive: true, force: true });
+            }
+        },
     };
 
-    process.on('SIGINT', () => shutdown('SIGINT'));
-    process.on('SIGTERM', () => shutdown('SIGTERM'));
+    ConnectionManager.db_pool_timeout = Config.connection.db_pool_timeout || 30000; // Default to 30 seconds
+    if (Config.health_check.enabled) Lifecycle.startHealthCheck();
+    if (Config.signals) Lifecycle.handleSignals();
+    //#endregion
 
-    // For Windows
-    process.on('SIGBREAK', () => shutdown('SIGBREAK'));
+    return { Query, Data, Logger, Config, ConnectionManager, close: Lifecycle.close };
 }
 
-setupShutdownHandlers();
+/** Default store, for `require("./data.js").Query` and friends */
+const store = createStore();
 
-ConnectionManager.db_pool_timeout = Config.connection.db_pool_timeout || 30000; // Default to 30 seconds
-//#endregion
-
-module.exports = { Query, Config, Logger };
+module.exports = {
+    Query: store.Query, Config: store.Config, Logger: store.Logger, Data: store.Data, createStore, inferKind,
+    DatabaseError, NotFoundError, ConstraintError, BusyError, SchemaError, ConnectionError, IdentifierError, VetoError
+};
@@ -0,0 +1,501 @@
+// ================================
+// REST adapter for the Simple SQLite Database System
+// Exposes db/table pairs as REST resources on Node's `http` module,
+// through the Query layer (in strict mode) of a store.
+// ================================
+// Check README.md for instructions.
+// ================================
+
+
+const crypto = require("crypto");
+const { NotFoundError, ConstraintError, BusyError, ConnectionError, IdentifierError, VetoError, DatabaseError, inferKind } = require("./data.js");
+
+/**
+ * Error answered to the client with its HTTP status (e.g. thrown by a middleware).
+ * @example throw new HttpError(401, "Missing token");
+ */
+class HttpError extends Error {
+    /**
+     * @param {number} status HTTP status code
+     * @param {string} message Error message (sent to the client)
+     * @param {Object} [details] Extra fields of the error body (e.g. `{ field: "Email" }`)
+     */
+    constructor(status, message, details = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        this.status = status;
+        this.details = details;
+    }
+}
+
+/**
+ * Field values of a schema object, by the kinds `Query.CheckTable` infers (`inferKind` of data.js).
+ */
+const Fields = {
+    /**
+     * Converts a JSON value to the kind of its field.
+     * @param {string} name Field name (for the error message)
+     * @param {string} kind Field kind
+     * @param {any} value JSON value
+     * @returns {any}
+     */
+    convert: (name, kind, value) => {
+        if (value === null) return null;
+        const fail = (expected) => {
+            throw new HttpError(400, `Field ${JSON.stringify(name)} must be ${expected}`, { field: name });
+        };
+        switch (kind) {
+            case "integer":
+                if (!Number.isInteger(value)) fail("an integer");
+                return value;
+            case "real":
+                if (typeof value != "number") fail("a number");
+                return value;
+            case "boolean":
+                if (typeof value != "boolean") fail("a boolean");
+                return value;
+            case "date": {
+                const date = typeof value == "string" ? new Date(value) : null;
+                if (!date || isNaN(date.getTime())) fail("a date (ISO 8601 string)");
+                return date;
+            }
+            case "blob":
+                if (typeof value != "string") fail("a base64 string");
+                return Buffer.from(value, "base64");
+            case "json":
+                if (typeof value != "object") fail("an object or an array");
+                return value;
+            default:
+                if (typeof value != "string") fail("a string");
+                return value;
+        }
+    },
+    /**
+     * Converts a query string value to the kind of its field.
+     * @param {string} name Field name
+     * @param {string} kind Field kind
+     * @param {string} text Query string value
+     * @returns {any}
+     */
+    parse: (name, kind, text) => {
+        if (text == "null") return null;
+        if (kind == "integer" || kind == "real") return Fields.convert(name, kind, text.trim() === "" ? NaN : Number(text));
+        if (kind == "boolean") return Fields.convert(name, kind, text == "true" ? true : text == "false" ? false : text);
+        if (kind == "json") {
+            try {
+                return Fields.convert(name, kind, JSON.parse(text));
+            } catch (err) {
+                if (err instanceof HttpError) throw err;
+                return Fields.convert(name, kind, text);
+            }
+        }
+        return Fields.convert(name, kind, text);
+    },
+    /** Operators of the `where` filters */
+    operators: ["$eq", "$ne", "$gt", "$gte", "$lt", "$lte", "$like", "$in", "$nin", "$null"],
+    /**
+     * Root field of a column name or JSON path ("Settings.theme" → "Settings").
+     * @param {string} name Column name or JSON path
+     * @returns {string}
+     */
+    root: (name) => String(name).split(/[.[]/)[0],
+};
+
+/**
+ * Maps an error to its HTTP status and the message sent to the client.
+ * Server errors keep their details out of the response.
+ * @param {Error} err Error
+ * @returns {{status: number, message: string, details: Object}}
+ */
+function describe(err) {
+    if (err instanceof HttpError) return { status: err.status, message: err.message, details: err.details };
+    if (err instanceof NotFoundError) return { status: 404, message: err.message, details: {} };
+    if (err instanceof ConstraintError) return { status: 409, message: "The record conflicts with an existing one", details: {} };
+    if (err instanceof VetoError) return { status: 422, message: err.message, details: {} };
+    if (err instanceof IdentifierError) return { status: 400, message: err.message, details: { field: err.identifier } };
+    if (err instanceof BusyError || err instanceof ConnectionError) return { status: 503, message: "Service unavailable, try again later", details: {} };
+    return { status: 500, message: "Internal server error", details: {} };
+}
+
+/**
+ * Creates a REST adapter: an `http` request handler serving the registered resources.
+ *
+ * Routes of a resource (`<prefix>/<path>`):
+ * - `GET    /users`     List, with filtering and pagination (see README)
+ * - `GET    /users/:id` Get by Id
+ * - `POST   /users`     Create (the Id is generated when missing, for text Ids)
+ * - `PUT    /users/:id` Replace (every field of the schema is required)
+ * - `PATCH  /users/:id` Update the given fields
+ * - `DELETE /users/:id` Remove
+ *
+ * @example
+ * const api = createRestAdapter({ prefix: "/api" });
+ * api.resource("users.db", "Users", userSchema, { hidden: ["Password"] });
+ * http.createServer(api.handler).listen(3000);
+ *
+ * @param {Object} [options]
+ * @param {Object} [options.store] Store whose Query layer is used (defaults to the default store of data.js)
+ * @param {string} [options.prefix] URL prefix of every resource (default "")
+ * @param {number} [options.maxLimit] Maximum page size of lists (default 100)
+ * @param {number} [options.defaultLimit] Page size of lists without `limit` (default 50)
+ * @param {number} [options.bodyLimit] Maximum request body size in bytes (default 1 MB)
+ * @returns {{resource: Function, use: Function, handler: (req: import("http").IncomingMessage, res: import("http").ServerResponse, next?: Function) => Promise<void>, resources: Map}}
+ */
+function createRestAdapter(options = {}) {
+    const store = options.store || require("./data.js");
+    const Query = store.Query.Strict;
+    const prefix = (options.prefix || "").replace(/\/+$/, "");
+    const maxLimit = options.maxLimit || 100;
+    const defaultLimit = Math.min(options.defaultLimit || 50, maxLimit);
+    const bodyLimit = options.bodyLimit || 1024 * 1024;
+
+    /** Registered resources by path */
+    const resources = new Map();
+    /** Middlewares, run in order before every action */
+    const middlewares = [];
+
+    /** Action of each method, with and without Id */
+    const routes = {
+        GET: { collection: "list", item: "get" },
+        POST: { collection: "create" },
+        PUT: { item: "replace" },
+        PATCH: { item: "update" },
+        DELETE: { item: "remove" }
+    };
+
+    /**
+     * Sends a JSON response.
+     * @param {import("http").ServerResponse} res Response
+     * @param {number} status HTTP status code
+     * @param {any} [body] Response body (none for 204)
+     * @param {Object} [headers] Extra headers
+     * @returns {void}
+     */
+    const send = (res, status, body, headers = {}) => {
+        if (body === undefined) {
+            res.writeHead(status, headers);
+            res.end();
+            return;
+        }
+        const json = JSON.stringify(body, function (key, val) {
+            if (Buffer.isBuffer(this[key])) return this[key].toString("base64");
+            if (typeof val == "bigint") return val.toString();
+            return val;
+        });
+        res.writeHead(status, { "Content-Type": "application/json; charset=utf-8", "Content-Length": Buffer.byteLength(json), ...headers });
+        res.end(json);
+    };
+
+    /**
+     * Reads the JSON body of a request (or the one already parsed by a framework, like `express.json()`).
+     * @param {import("http").IncomingMessage} req Request
+     * @returns {Promise<Object>}
+     */
+    const body = async (req) => {
+        let data = req.body;
+        if (data === undefined) {
+            const chunks = [];
+            let size = 0;
+            for await (const chunk of req) {
+                size += chunk.length;
+                if (size > bodyLimit) throw new HttpError(413, `Request body larger than ${bodyLimit} bytes`);
+                chunks.push(chunk);
+            }
+            const text = Buffer.concat(chunks).toString("utf-8");
+            try {
+                data = text ? JSON.parse(text) : undefined;
+            } catch (err) {
+                throw new HttpError(400, `Invalid JSON body: ${err.message}`);
+            }
+        }
+        if (!data || typeof data != "object" || Array.isArray(data)) throw new HttpError(400, "The request body must be a JSON object");
+        return data;
+    };
+
+    /**
+     * Validates a record against the schema of a resource, converting its values.
+     * @param {Object} resource Resource
+     * @param {Object} data Request body
+     * @param {boolean} complete Every field is required (PUT)
+     * @returns {Object}
+     */
+    const validate = (resource, data, complete) => {
+        const record = {};
+        for (const [name, value] of Object.entries(data)) {
+            if (!Object.hasOwn(resource.kinds, name) || resource.hidden.has(name)) {
+                throw new HttpError(400, `Unknown field ${JSON.stringify(name)}`, { field: name });
+            }
+            if (resource.readOnly.has(name)) throw new HttpError(400, `Field ${JSON.stringify(name)} is read-only`, { field: name });
+            record[name] = Fields.convert(name, resource.kinds[name], value);
+        }
+        if (complete) {
+            const missing = Object.keys(resource.kinds).find(name => name != "Id" && !resource.hidden.has(name) && !resource.readOnly.has(name) && !(name in record));
+            if (missing) throw new HttpError(400, `Missing field ${JSON.stringify(missing)}`, { field: missing });
+        }
+        return record;
+    };
+
+    /**
+     * Checks that a filter only uses the visible fields of a resource, and known operators.
+     * @param {Object} resource Resource
+     * @param {Object} where Filter object
+     * @returns {void}
+     */
+    const visible = (resource, where) => {
+        if (!where || typeof where != "object" || Array.isArray(where)) throw new HttpError(400, "where must be a JSON object");
+        for (const [key, condition] of Object.entries(where)) {
+            if (key == "$and" || key == "$or") {
+                if (!Array.isArray(condition)) throw new HttpError(400, `Filter operator ${key} expects an array`);
+                condition.forEach(sub => visible(resource, sub));
+                continue;
+            }
+            const name = Fields.root(key);
+            if (!Object.hasOwn(resource.kinds, name) || resource.hidden.has(name)) {
+                throw new HttpError(400, `Unknown field ${JSON.stringify(name)}`, { field: name });
+            }
+            // An object is a set of operators (see the `where` option of `Query.Find`)
+            if (condition == null || typeof condition != "object" || Array.isArray(condition)) continue;
+            for (const [op, value] of Object.entries(condition)) {
+                if (!Fields.operators.includes(op)) throw new HttpError(400, `Unknown filter operator: ${op}`, { field: name });
+                if ((op == "$in" || op == "$nin") && !Array.isArray(value)) throw new HttpError(400, `Filter operator ${op} expects an array`, { field: name });
+            }
+        }
+    };
+
+    /**
+     * Builds the `Find` options of a list request from its query string:
+     * `where` (JSON filter), `Field=value` equalities, `orderBy`, `select`, `limit` and `offset`.
+     * @param {Object} resource Resource
+     * @param {URLSearchParams} params Query string
+     * @returns {{where: Object, orderBy: string[]|undefined, select: Object, limit: number, offset: number}}
+     */
+    const listOptions = (resource, params) => {
+        const integer = (name, fallback) => {
+            if (!params.has(name)) return fallback;
+            const n = Number(params.get(name));
+            if (!Number.isInteger(n) || n < 0) throw new HttpError(400, `${name} must be a non-negative integer`);
+            return n;
+        };
+        const names = (text) => text.split(",").map(name => name.trim()).filter(Boolean);
+
+        const conditions = [];
+        if (params.has("where")) {
+            let where;
+            try {
+                where = JSON.parse(params.get("where"));
+            } catch (err) {
+                throw new HttpError(400, `where is not valid JSON: ${err.message}`);
+            }
+            visible(resource, where);
+            conditions.push(where);
+        }
+        for (const [key, value] of params) {
+            if (["where", "orderBy", "select", "limit", "offset"].includes(key)) continue;
+            visible(resource, { [key]: null });
+            conditions.push({ [key]: Fields.parse(key, resource.kinds[key], value) });
+        }
+
+        const fields = resource.fields;
+        const select = params.has("select") ? names(params.get("select")) : fields;
+        for (const name of select) {
+            if (!fields.includes(name)) throw new HttpError(400, `Unknown field ${JSON.stringify(name)}`, { field: name });
+        }
+        const orderBy = params.has("orderBy") ? names(params.get("orderBy")) : undefined;
+        if (orderBy) visible(resource, Object.fromEntries(orderBy.map(item => [item.replace(/^-/, ""), null])));
+
+        return {
+            where: conditions.length > 1 ? { $and: conditions } : conditions[0] || {},
+            orderBy: orderBy,
+            // The projection converts the values by the kinds of the resource schema, like `get`
+            select: Object.fromEntries(select.map(name => [name, resource.projection[name]])),
+            limit: Math.min(integer("limit", defaultLimit), maxLimit),
+            offset: integer("offset", 0)
+        };
+    };
+
+    /**
+     * Converts the Id of a URL to the kind of the Id field.
+     * @param {Object} resource Resource
+     * @param {string} text Id from the URL
+     * @returns {any}
+     */
+    const parseId = (resource, text) => {
+        if (resource.kinds.Id == "integer") {
+            const id = Number(text);
+            if (!Number.isInteger(id)) throw new NotFoundError(`Record not found: ${JSON.stringify(text)}`);
+            return id;
+        }
+        return text;
+    };
+
+    /**
+     * Runs an action of a resource.
+     * @param {Object} resource Resource
+     * @param {string} action Action name
+     * @param {Object} context Request context
+     * @param {import("http").IncomingMessage} req Request
+     * @returns {Promise<{status: number, body?: any, headers?: Object}>}
+     */
+    const run = async (resource, action, context, req) => {
+        const { db, table } = resource;
+        const id = context.id == null ? null : parseId(resource, context.id);
+        const get = (key) => Query.Get(db, table, key, resource.projection);
+        switch (action) {
+            case "list": {
+                const list = listOptions(resource, context.url.searchParams);
+                const [data, total] = await Promise.all([
+                    Query.Find(db, table, list),
+                    Query.Count(db, table, { where: list.where })
+                ]);
+                return { status: 200, body: { data: data, total: total, limit: list.limit, offset: list.offset } };
+            }
+            case "get":
+                return { status: 200, body: await get(id) };
+            case "create": {
+                const record = validate(resource, await body(req), false);
+                if (record.Id == null) {
+                    if (resource.kinds.Id != "text") throw new HttpError(400, "Missing field \"Id\"", { field: "Id" });
+                    record.Id = resource.generateId();
+                }
+                await Query.Create(db, table, record);
+                const location = `${prefix}/${resource.path}/${encodeURIComponent(record.Id)}`;
+                return { status: 201, body: await get(record.Id), headers: { Location: location } };
+            }
+            case "replace":
+            case "update": {
+                const record = validate(resource, await body(req), action == "replace");
+                if ("Id" in record && record.Id !== id) throw new HttpError(400, "The Id of the body doesn't match the URL", { field: "Id" });
+                delete record.Id;
+                // Nothing to write: still answers 404 for a missing record
+                if (Object.keys(record).length == 0) return { status: 200, body: await get(id) };
+                await Query.Modify(db, table, { ...record, Id: id });
+                return { status: 200, body: await get(id) };
+            }
+            case "remove":
+                await Query.Remove(db, table, id);
+                return { status: 204 };
+        }
+    };
+
+    const adapter = {
+        /** Registered resources by path */
+        resources: resources,
+        /**
+         * Exposes a table as a REST resource.
+         * The schema object is the one given to `Query.CheckTable`: request bodies are validated against it
+         * (unknown fields and wrong types are rejected with 400), and its keys are the returned fields.
+         *
+         * @param {string} db Database file name
+         * @param {string} table Table name
+         * @param {Object} schema Schema object (must include Id)
+         * @param {Object} [settings]
+         * @param {string} [settings.path] URL path of the resource (defaults to the table name)
+         * @param {string[]} [settings.actions] Allowed actions: "list", "get", "create", "replace", "update", "remove" (default all)
+         * @param {string[]} [settings.hidden] Fields never returned, filtered or written (e.g. "Password")
+         * @param {string[]} [settings.readOnly] Fields returned but never written by requests (e.g. "CreatedAt")
+         * @param {() => string} [settings.generateId] Id of created records without one (default `crypto.randomUUID`)
+         * @returns {Object} The adapter, for chaining
+         */
+        resource: (db, table, schema, settings = {}) => {
+            if (!schema || !Object.hasOwn(schema, "Id")) throw new Error(`The schema of ${table} must include Id`);
+            const path = String(settings.path || table).replace(/^\/+|\/+$/g, "");
+            if (!path || path.includes("/")) throw new Error(`Invalid resource path: ${JSON.stringify(settings.path)}`);
+            const hidden = new Set(settings.hidden || []);
+            const kinds = Object.fromEntries(Object.entries(schema).map(([name, sample]) => [name, inferKind(sample)]));
+            const fields = Object.keys(schema).filter(name => !hidden.has(name));
+            resources.set(path, {
+                db: db,
+                table: table,
+                path: path,
+                kinds: kinds,
+                fields: fields,
+                hidden: hidden,
+                readOnly: new Set(settings.readOnly || []),
+                projection: Object.fromEntries(fields.map(name => [name, schema[name]])),
+                actions: new Set(settings.actions || ["list", "get", "create", "replace", "update", "remove"]),
+                generateId: settings.generateId || (() => crypto.randomUUID())
+            });
+            return adapter;
+        },
+        /**
+         * Adds a middleware, run before every action (e.g. authentication).
+         * It receives the request, the response and the context (`{ resource, action, id, url, user }`);
+         * it can throw an `HttpError` to reject the request, answer it by itself, or set `context.user`
+         * (its `Id`, or itself for a string/number, becomes the `UserID` of the logs and the audit trail).
+         *
+         * @example api.use(async (req, res, context) => { context.user = await authenticate(req.headers.authorization); });
+         *
+         * @param {(req: import("http").IncomingMessage, res: import("http").ServerResponse, context: Object) => any} fn Middleware
+         * @returns {Object} The adapter, for chaining
+         */
+        use: (fn) => {
+            middlewares.push(fn);
+            return adapter;
+        },
+        /**
+         * Request handler, for `http.createServer(api.handler)` or as an Express/Connect middleware.
+         * Requests outside the resources go to `next` when given, and get a 404 otherwise.
+         *
+         * @param {import("http").IncomingMessage} req Request
+         * @param {import("http").ServerResponse} res Response
+         * @param {Function} [next] Next handler
+         * @returns {Promise<void>}
+         */
+        handler: async (req, res, next) => {
+            let url;
+            try {
+                url = new URL(req.url, "http://localhost");
+            } catch {
+                return send(res, 400, { error: { status: 400, message: "Invalid request URL" } });
+            }
+            const match = url.pathname.startsWith(`${prefix}/`) ? /^\/([^/]+)(?:\/([^/]+))?\/?$/.exec(url.pathname.slice(prefix.length)) : null;
+            const resource = match ? resources.get(match[1]) : null;
+            if (!resource) {
+                if (next) return next();
+                return send(res, 404, { error: { status: 404, message: "Not found" } });
+            }
+
+            try {
+                const kind = match[2] == null ? "collection" : "item";
+                const action = routes[req.method] && routes[req.method][kind];
+                if (!action || !resource.actions.has(action)) {
+                    const allow = Object.keys(routes).filter(method => routes[method][kind] && resource.actions.has(routes[method][kind]));
+                    throw new HttpError(405, `Method ${req.method} not allowed`, { allow: allow });
+                }
+                let id = null;
+                try {
+                    id = match[2] == null ? null : decodeURIComponent(match[2]);
+                } catch {
+                    throw new HttpError(400, "Invalid Id in the URL");
+                }
+                const context = {
+                    resource: { db: resource.db, table: resource.table, path: resource.path },
+                    action: action,
+                    id: id,
+                    url: url,
+                    user: null
+                };
+                for (const fn of middlewares) {
+                    await fn(req, res, context);
+                    if (res.writableEnded) return;
+                }
+
+                const user = context.user;
+                const userId = user != null && typeof user == "object" ? user.Id ?? null : user;
+                const result = await store.Logger.WithContext({ UserID: userId }, () => run(resource, action, context, req));
+                send(res, result.status, result.body, result.headers);
+            } catch (err) {
+                const error = describe(err);
+                // Database errors are already logged by the Query layer
+                if (error.status >= 500 && !(err instanceof DatabaseError)) store.Logger.Log(`REST request failed: ${req.method} ${url.pathname}`, "error", err);
+                const headers = {};
+                if (error.status == 405) headers.Allow = error.details.allow.join(", ");
+                if (error.status == 503) headers["Retry-After"] = "1";
+                send(res, error.status, { error: { status: error.status, message: error.message, ...error.details } }, headers);
+            }
+        },
+    };
+    return adapter;
+}
+
+module.exports = { createRestAdapter, HttpError };
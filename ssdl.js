@@ -0,0 +1,351 @@
+#!/usr/bin/env node
+// ================================
+// ssdl — Command-line tool for the Simple SQLite Database System
+// Inspects and administers the databases of a version folder,
+// through the same Query/Data layers (and config) as the library.
+// ================================
+// Check README.md for instructions.
+// ================================
+
+
+const fs = require("fs");
+const path = require("path");
+const { parseArgs } = require("util");
+const { createStore } = require("./data.js");
+
+const USAGE = `Usage: ssdl <command> [arguments] [options]
+
+Commands:
+  databases                              List the database files of the version folder
+  tables <db>                            List the tables of a database, with their row counts
+  describe <db> <table>                  Columns, indexes and search columns of a table
+  get <db> <table> <id>                  Print a record as JSON
+  find <db> <table>                      Print the records matching a filter as JSON
+      --where <json>  --order-by <col>  --select <a,b>  --limit <n>  --offset <n>  --with-deleted
+  migrate <db> <file>                    Apply the migrations of a module (see README)
+      --target <n>  --dry-run
+  export <db> <table> <file|->           Export a table (format from the extension, or --format)
+      --format <json|ndjson|csv>
+  import <db> <table> <file|->           Import records into a table
+      --format <json|ndjson|csv>  --conflict <skip|replace|fail>
+  vacuum <db>                            Rebuild a database file, freeing unused space
+  check <db>                             Integrity check (exit code 1 on problems)
+  logs                                   Print the last log records
+      --lines <n>  --level <debug|info|warn|error>  --follow  --json
+
+Options:
+  --config <file>     JSON or JS module with the store config (see createStore)
+  --folder <path>     Database folder (Config.database_folder)
+  --db-version <v>    Database version folder (Config.database_version)
+  --help              Show this help
+`;
+
+/** Command-line options, shared by every command */
+const OPTIONS = {
+    "config": { type: "string" },
+    "folder": { type: "string" },
+    "db-version": { type: "string" },
+    "where": { type: "string" },
+    "order-by": { type: "string", multiple: true },
+    "select": { type: "string" },
+    "limit": { type: "string" },
+    "offset": { type: "string" },
+    "with-deleted": { type: "boolean" },
+    "target": { type: "string" },
+    "dry-run": { type: "boolean" },
+    "format": { type: "string" },
+    "conflict": { type: "string" },
+    "lines": { type: "string" },
+    "level": { type: "string" },
+    "follow": { type: "boolean" },
+    "json": { type: "boolean" },
+    "help": { type: "boolean" }
+};
+
+/**
+ * Error in the command line itself (prints the usage).
+ */
+class UsageError extends Error { }
+
+/**
+ * Prints a value as JSON. Buffers are printed as base64, like `Query.Export` does.
+ * @param {any} value Value
+ * @returns {void}
+ */
+function print(value) {
+    const json = JSON.stringify(value, function (key, val) {
+        if (Buffer.isBuffer(this[key])) return this[key].toString("base64");
+        if (typeof val == "bigint") return val.toString();
+        return val;
+    }, 2);
+    process.stdout.write(`${json}\n`);
+}
+
+/**
+ * Gets the positional arguments of a command, failing when some are missing.
+ * @param {string[]} args Positional arguments (without the command)
+ * @param {string[]} names Argument names, for the error message
+ * @returns {string[]}
+ */
+function required(args, names) {
+    if (args.length < names.length) throw new UsageError(`Missing argument: <${names[args.length]}>`);
+    return args;
+}
+
+/**
+ * Parses an integer option.
+ * @param {Object} values Parsed options
+ * @param {string} name Option name
+ * @returns {number|undefined}
+ */
+function integer(values, name) {
+    if (values[name] == null) return undefined;
+    const n = Number(values[name]);
+    if (!Number.isInteger(n) || n < 0) throw new UsageError(`--${name} must be a non-negative integer`);
+    return n;
+}
+
+/**
+ * Export/import format: the `--format` option, or the file extension.
+ * @param {Object} values Parsed options
+ * @param {string} file File path ("-" for stdin/stdout)
+ * @returns {"json"|"ndjson"|"csv"}
+ */
+function format(values, file) {
+    if (values.format) return values.format;
+    const ext = path.extname(file).toLowerCase();
+    if (ext == ".jsonl") return "ndjson";
+    if ([".json", ".ndjson", ".csv"].includes(ext)) return ext.slice(1);
+    throw new UsageError(`Can't tell the format of ${JSON.stringify(file)}: use --format json|ndjson|csv`);
+}
+
+/**
+ * Creates the store of the CLI: the config file and options over the library defaults.
+ * Strict mode, so failures end the command with an error; log records go to the log files only.
+ * @param {Object} values Parsed options
+ * @returns {ReturnType<typeof createStore>}
+ */
+function open(values) {
+    const config = values.config ? require(path.resolve(values.config)) : {};
+    const options = { ...config, strict: true, health_check: { enabled: false }, signals: false };
+    if (values.folder) options.database_folder = values.folder;
+    if (values["db-version"]) options.database_version = values["db-version"];
+    const store = createStore(options);
+    store.Logger.RemoveTransport("console");
+    return store;
+}
+
+/**
+ * Log records: the last ones of the newest log file, then (with `--follow`) the new ones as they're written.
+ */
+const Logs = {
+    /** Poll interval of `--follow` in milliseconds */
+    interval: 1000,
+    /**
+     * Newest log file of a folder (`<YYYY-MM-DD>.jsonl`, rotated parts are older).
+     * @param {string} folder Log folder
+     * @returns {string|null}
+     */
+    current: (folder) => {
+        if (!fs.existsSync(folder)) return null;
+        const days = fs.readdirSync(folder).filter(name => /^\d{4}-\d{2}-\d{2}\.jsonl$/.test(name)).sort();
+        return days.length ? path.join(folder, days[days.length - 1]) : null;
+    },
+    /**
+     * Formats a record line, or returns null when it's below the level.
+     * @param {string} line JSON line
+     * @param {Object} values Parsed options
+     * @param {Object} Logger Logger of the store (for the levels)
+     * @returns {string|null}
+     */
+    format: (line, values, Logger) => {
+        let record;
+        try {
+            record = JSON.parse(line);
+        } catch {
+            return line;
+        }
+        const type = String(record.Type || "info").toLowerCase();
+        if (values.level && (Logger.levels[type] || 0) < (Logger.levels[values.level] || 0)) return null;
+        if (values.json) return line;
+        let text = `[${record.DateTime}] ${type.toUpperCase()}: ${record.Message}`;
+        if (record.Error) text += `\n    ${record.Error}`;
+        return text;
+    },
+    /**
+     * Prints the last records, and follows the log file when asked.
+     * @param {Object} store Store of the CLI
+     * @param {Object} values Parsed options
+     * @returns {Promise<void>}
+     */
+    tail: async (store, values) => {
+        const { Config, Logger } = store;
+        if (values.level && !Logger.levels[values.level]) throw new UsageError(`Unknown level: ${values.level}`);
+        const folder = Config.log.folder || path.join(Config.database_folder, "log");
+        const lines = integer(values, "lines") ?? 20;
+        const show = (line) => {
+            const text = line ? Logs.format(line, values, Logger) : null;
+            if (text != null) process.stdout.write(`${text}\n`);
+        };
+
+        let file = Logs.current(folder);
+        let offset = 0;
+        if (file) {
+            const content = fs.readFileSync(file, "utf-8");
+            offset = Buffer.byteLength(content);
+            const records = content.split("\n").filter(Boolean).filter(line => Logs.format(line, values, Logger) != null);
+            records.slice(Math.max(records.length - lines, 0)).forEach(show);
+        } else if (!values.follow) {
+            throw new Error(`No log files in ${folder}`);
+        }
+        if (!values.follow) return;
+
+        // Polls the newest file: a new day starts a new file, and a rotation empties the current one
+        let rest = "";
+        await new Promise(() => {
+            setInterval(() => {
+                const latest = Logs.current(folder);
+                if (!latest) return;
+                const size = fs.statSync(latest).size;
+                if (latest != file || size < offset) {
+                    file = latest;
+                    offset = 0;
+                    rest = "";
+                }
+                if (size == offset) return;
+                const fd = fs.openSync(file, "r");
+                const chunk = Buffer.alloc(size - offset);
+                try {
+                    fs.readSync(fd, chunk, 0, chunk.length, offset);
+                } finally {
+                    fs.closeSync(fd);
+                }
+                offset = size;
+                const parts = (rest + chunk.toString("utf-8")).split("\n");
+                rest = parts.pop();
+                parts.forEach(show);
+            }, Logs.interval);
+        });
+    },
+};
+
+/**
+ * Commands by name. Each one gets the store, its positional arguments and the parsed options,
+ * and returns the value printed as JSON (or undefined when it prints by itself).
+ */
+const Commands = {
+    databases: async ({ Data }) => {
+        return Data.ListDatabases();
+    },
+    tables: async ({ Query }, args) => {
+        const [db] = required(args, ["db"]);
+        return Query.ListTables(db);
+    },
+    describe: async ({ Query }, args) => {
+        const [db, table] = required(args, ["db", "table"]);
+        return Query.DescribeTable(db, table);
+    },
+    get: async ({ Query }, args) => {
+        const [db, table, id] = required(args, ["db", "table", "id"]);
+        const { columns } = await Query.DescribeTable(db, table);
+        return Query.Get(db, table, id, Object.fromEntries(columns.map(col => [col.name, null])));
+    },
+    find: async ({ Query }, args, values) => {
+        const [db, table] = required(args, ["db", "table"]);
+        let where;
+        try {
+            where = values.where ? JSON.parse(values.where) : undefined;
+        } catch (err) {
+            throw new UsageError(`--where is not valid JSON: ${err.message}`);
+        }
+        return Query.Find(db, table, {
+            where: where,
+            select: values.select ? values.select.split(",").map(col => col.trim()) : undefined,
+            orderBy: values["order-by"],
+            limit: integer(values, "limit"),
+            offset: integer(values, "offset"),
+            withDeleted: values["with-deleted"]
+        });
+    },
+    migrate: async (store, args, values) => {
+        const [db, file] = required(args, ["db", "file"]);
+        const target = integer(values, "target");
+        // The module exports the migration list, or a function building it from the store
+        const exported = require(path.resolve(file));
+        const migrations = typeof exported == "function" ? await exported(store) : exported;
+        if (!Array.isArray(migrations)) throw new UsageError(`${file} doesn't export a migration list`);
+        return store.Query.Migrate(db, migrations, {
+            target: target,
+            dryRun: values["dry-run"]
+        });
+    },
+    export: async ({ Query }, args, values) => {
+        const [db, table, file] = required(args, ["db", "table", "file"]);
+        if (file == "-") {
+            await Query.Export(db, table, format(values, file), process.stdout);
+            return;
+        }
+        return Query.Export(db, table, format(values, file), path.resolve(file));
+    },
+    import: async ({ Query }, args, values) => {
+        const [db, table, file] = required(args, ["db", "table", "file"]);
+        const source = file == "-" ? process.stdin : path.resolve(file);
+        return Query.Import(db, table, format(values, file), source, { conflict: values.conflict });
+    },
+    vacuum: async ({ Data }, args) => {
+        const [db] = required(args, ["db"]);
+        return Data.Vacuum(db);
+    },
+    check: async ({ Data }, args) => {
+        const [db] = required(args, ["db"]);
+        const result = await Data.IntegrityCheck(db);
+        if (!result.ok) process.exitCode = 1;
+        return result;
+    },
+    logs: async (store, args, values) => {
+        await Logs.tail(store, values);
+    },
+};
+
+/**
+ * Runs the command line.
+ * @param {string[]} argv Arguments (without node and the script)
+ * @returns {Promise<void>}
+ */
+async function main(argv) {
+    let parsed;
+    try {
+        parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+    } catch (err) {
+        throw new UsageError(err.message);
+    }
+    const [command, ...args] = parsed.positionals;
+    if (parsed.values.help || !command) {
+        process.stdout.write(USAGE);
+        return;
+    }
+    if (!Object.hasOwn(Commands, command)) throw new UsageError(`Unknown command: ${command}`);
+
+    const store = open(parsed.values);
+    try {
+        const result = await Commands[command](store, args, parsed.values);
+        if (result !== undefined) print(result);
+    } finally {
+        await store.close();
+    }
+}
+
+if (require.main === module) {
+    // Output piped into a command that stops reading (e.g. `| head`)
+    process.stdout.on("error", (err) => {
+        if (err.code != "EPIPE") throw err;
+        process.exit(0);
+    });
+    main(process.argv.slice(2)).catch(err => {
+        process.stderr.write(`ssdl: ${err.message}\n`);
+        if (err instanceof UsageError) process.stderr.write("Run ssdl --help for the usage.\n");
+        process.exitCode = err instanceof UsageError ? 2 : 1;
+    });
+}
+
+module.exports = { main, Commands };
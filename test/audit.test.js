@@ -0,0 +1,66 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { createStore } = require("../data.js");
+
+const { Query, Logger, close } = createStore({ temp: true, strict: true });
+Logger.RemoveTransport("console");
+const user = { Id: "", Email: "", Age: 0 };
+const operations = async (table, id) => (await Query.History("audit.db", table, id)).map(entry => [entry.version, entry.operation]);
+
+before(async () => {
+    await Query.CheckTable("audit.db", "Users", user, { audit: true, softDelete: true });
+});
+
+after(() => close());
+
+test("every write adds a version with its changes and actor", async () => {
+    await Logger.WithContext({ UserID: "admin" }, async () => {
+        await Query.Create("audit.db", "Users", { Id: "u1", Email: "a@example.com", Age: 30 });
+        await Query.Modify("audit.db", "Users", { Id: "u1", Age: 31 });
+    });
+    const history = await Query.History("audit.db", "Users", "u1");
+    assert.deepEqual(history.map(entry => [entry.version, entry.operation, entry.actor]), [[1, "create", "admin"], [2, "modify", "admin"]]);
+    assert.deepEqual(history[1].changes, { Age: { from: 30, to: 31 } });
+    assert.ok(history[0].at instanceof Date);
+});
+
+test("soft deleted records are hidden, unchanged by Modify, and listed withDeleted", async () => {
+    await Query.Create("audit.db", "Users", { Id: "u2", Email: "b@example.com", Age: 20 });
+    await Query.Remove("audit.db", "Users", "u2");
+    await assert.rejects(Query.Get("audit.db", "Users", "u2", user), { name: "NotFoundError" });
+    await assert.rejects(Query.Modify("audit.db", "Users", { Id: "u2", Age: 21 }), { name: "NotFoundError" });
+    assert.equal(await Query.Count("audit.db", "Users", { where: { Id: "u2" } }), 0);
+    const [deleted] = await Query.Find("audit.db", "Users", { where: { Id: "u2" }, withDeleted: true });
+    assert.ok(deleted.DeletedAt instanceof Date);
+    assert.equal(deleted.Age, 20);
+    assert.deepEqual(await operations("Users", "u2"), [[1, "create"], [2, "remove"]]);
+});
+
+test("Restore goes back to a version, or undoes the last removal", async () => {
+    const restored = await Query.Restore("audit.db", "Users", "u1", 1);
+    assert.equal(restored.Age, 30);
+    assert.equal((await Query.Get("audit.db", "Users", "u1", user)).Age, 30);
+    assert.deepEqual(await operations("Users", "u1"), [[1, "create"], [2, "modify"], [3, "restore"]]);
+
+    await Query.Restore("audit.db", "Users", "u2");
+    assert.deepEqual(await Query.Get("audit.db", "Users", "u2", user), { Id: "u2", Email: "b@example.com", Age: 20 });
+
+    await Query.Remove("audit.db", "Users", "u2", { hard: true });
+    assert.equal(await Query.Count("audit.db", "Users", { where: { Id: "u2" }, withDeleted: true }), 0);
+    await Query.Restore("audit.db", "Users", "u2");
+    assert.equal((await Query.Get("audit.db", "Users", "u2", user)).Email, "b@example.com");
+
+    await assert.rejects(Query.Restore("audit.db", "Users", "u1", 99), { name: "NotFoundError" });
+});
+
+test("a record soft deleted before the table was audited is restored by clearing DeletedAt", async () => {
+    await Query.CheckTable("audit.db", "Notes", { Id: "", Text: "" }, { softDelete: true });
+    await Query.Create("audit.db", "Notes", { Id: "n1", Text: "kept" });
+    await Query.Remove("audit.db", "Notes", "n1");
+
+    await Query.CheckTable("audit.db", "Notes", { Id: "", Text: "" }, { softDelete: true, audit: true });
+    const restored = await Query.Restore("audit.db", "Notes", "n1");
+    assert.equal(restored.Text, "kept");
+    assert.equal(restored.DeletedAt, null);
+    assert.deepEqual(await operations("Notes", "n1"), [[1, "restore"]]);
+});
@@ -0,0 +1,56 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { createStore } = require("../data.js");
+
+const { Query, Data, Config, Logger, close } = createStore({ temp: true, strict: true });
+Logger.RemoveTransport("console");
+const folder = path.join(Config.database_folder, "backup", Config.database_version);
+const backups = () => fs.existsSync(folder) ? fs.readdirSync(folder).filter(name => /^backup\.db\..*\.bak$/.test(name)) : [];
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+before(async () => {
+    await Query.CheckTable("backup.db", "Items", { Id: "", Name: "" });
+    await Query.Create("backup.db", "Items", { Id: "i1", Name: "first" });
+});
+
+after(() => {
+    Data.StopBackups();
+    return close();
+});
+
+test("scheduled backups run on each interval and keep `retention` files", async () => {
+    Data.ScheduleBackups({ interval: 40, retention: 2, databases: ["backup.db"] });
+    await sleep(400);
+    Data.StopBackups();
+    // Let a run in progress finish
+    await sleep(100);
+    const files = backups();
+    assert.equal(files.length, 2);
+    const copy = createStore({ database_folder: folder, database_version: "", strict: true });
+    copy.Logger.RemoveTransport("console");
+    try {
+        assert.deepEqual(await copy.Query.GetAll(files[0], "Items"), [{ Id: "i1", Name: "first" }]);
+    } finally {
+        await copy.close();
+    }
+});
+
+test("a failed run doesn't stop the next ones", async () => {
+    for (const name of backups()) fs.rmSync(path.join(folder, name));
+    let runs = 0;
+    Data.ScheduleBackups({
+        interval: 40,
+        retention: 5,
+        get databases() {
+            if (runs++ == 0) throw new Error("Can't list the databases");
+            return ["backup.db"];
+        }
+    });
+    await sleep(300);
+    Data.StopBackups();
+    await sleep(100);
+    assert.ok(runs > 1);
+    assert.ok(backups().length >= 1);
+});
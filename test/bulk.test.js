@@ -0,0 +1,67 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+const sqlite3 = require("sqlite3");
+const { createStore } = require("../data.js");
+
+// Lenient store: bulk failures are reported in `failed`. No lock wait, so a held lock fails at once
+const { Query, Data, Logger, Config, ConnectionManager, close } = createStore({
+    temp: true,
+    connection: { busy_timeout: 0, max_retries: 2, retry_delay: 1 }
+});
+Logger.RemoveTransport("console");
+const item = { Id: "", Name: "", Qty: 0 };
+const open = (file) => new Promise((resolve, reject) => {
+    const db = new sqlite3.Database(file, (err) => err ? reject(err) : resolve(db));
+});
+const run = (db, sql) => new Promise((resolve, reject) => db.exec(sql, (err) => err ? reject(err) : resolve()));
+
+before(async () => {
+    await Query.CheckTable("bulk.db", "Items", item);
+});
+
+after(() => close());
+
+test("CreateMany writes in chunks and reports the failed rows", async () => {
+    const rows = [{ Id: "i1", Name: "a" }, { Id: "i2", Name: "b" }, { Id: "i1", Name: "dup" }, { Id: "i3", Name: "c", Bogus: 1 }, { Id: "i4", Name: "d" }];
+    const result = await Query.CreateMany("bulk.db", "Items", rows, { chunkSize: 2 });
+    assert.equal(result.affected, 3);
+    assert.deepEqual(result.batches.map(batch => [batch.size, batch.affected]), [[2, 2], [2, 0], [1, 1]]);
+    assert.deepEqual(result.failed.map(f => f.index), [2, 3]);
+    assert.match(result.failed[0].error, /UNIQUE/);
+    assert.equal(await Query.Count("bulk.db", "Items"), 3);
+});
+
+test("Upsert and UpsertMany insert new records and update existing ones", async () => {
+    assert.equal(await Query.Upsert("bulk.db", "Items", { Id: "i1", Qty: 7 }), 1);
+    const result = await Query.UpsertMany("bulk.db", "Items", [{ Id: "i2", Qty: 2 }, { Id: "i5", Name: "e", Qty: 5 }, { Name: "no id" }]);
+    assert.equal(result.affected, 2);
+    assert.deepEqual(result.failed.map(f => f.index), [2]);
+    assert.deepEqual(await Query.Get("bulk.db", "Items", "i1", item), { Id: "i1", Name: "a", Qty: 7 });
+    assert.deepEqual(await Query.Get("bulk.db", "Items", "i5", item), { Id: "i5", Name: "e", Qty: 5 });
+});
+
+test("ModifyMany reports missing records as failed and skips their after hooks", async () => {
+    const modified = [];
+    const off = Query.Hook("bulk.db", "Items", "afterModify", (row) => modified.push(row.Id));
+    const result = await Query.ModifyMany("bulk.db", "Items", [{ Id: "i4", Qty: 4 }, { Id: "missing", Qty: 1 }, { Id: "i2" }]);
+    off();
+    assert.equal(result.affected, 1);
+    assert.deepEqual(result.failed.map(f => [f.index, f.error]), [[1, `Record not found: "missing"`], [2, "Nothing to modify"]]);
+    assert.deepEqual(modified, ["i4"]);
+});
+
+test("a busy script is not run again, since its first statements may be applied", async () => {
+    const other = await open(path.join(Config.database_folder, Config.database_version, "bulk.db"));
+    try {
+        await run(other, "BEGIN IMMEDIATE;");
+        await assert.rejects(
+            Data.Exec("bulk.db", `UPDATE "Items" SET Qty = Qty + 1; UPDATE "Items" SET Qty = Qty + 1;`),
+            (err) => err.name == "BusyError" && err.retries === undefined
+        );
+        assert.equal(ConnectionManager.getStatus()[path.join(Config.database_folder, Config.database_version, "bulk.db")].retries.busy, 0);
+    } finally {
+        await run(other, "ROLLBACK;");
+        await new Promise(resolve => other.close(resolve));
+    }
+});
@@ -0,0 +1,64 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { createStore } = require("../data.js");
+
+const { Query, Data, Logger, close } = createStore({ temp: true, strict: true });
+Logger.RemoveTransport("console");
+const item = { Id: "", Name: "", Meta: {}, Blob: Buffer.alloc(0), At: new Date(0) };
+const stats = () => Data.GetCacheStatus()["cache.db/Items"];
+
+before(async () => {
+    await Query.CheckTable("cache.db", "Items", item, { cache: { size: 2, ttl: 60000 } });
+    await Query.Create("cache.db", "Items", { Id: "i1", Name: "a", Meta: { tags: ["x"] }, Blob: Buffer.from([1]), At: new Date("2024-01-01T00:00:00.000Z") });
+});
+
+after(() => close());
+
+test("repeated reads are served from the cache", async () => {
+    const { hits, misses } = stats();
+    await Query.Get("cache.db", "Items", "i1", item);
+    await Query.Get("cache.db", "Items", "i1", item);
+    assert.equal(stats().misses, misses + 1);
+    assert.equal(stats().hits, hits + 1);
+});
+
+test("every call gets its own deep copy, Buffers and Dates included", async () => {
+    const first = await Query.Get("cache.db", "Items", "i1", item);
+    first.Meta.tags.push("changed");
+    first.Blob[0] = 99;
+    first.At.setFullYear(2000);
+    const second = await Query.Get("cache.db", "Items", "i1", item);
+    assert.deepEqual(second.Meta, { tags: ["x"] });
+    assert.deepEqual(second.Blob, Buffer.from([1]));
+    assert.equal(second.At.toISOString(), "2024-01-01T00:00:00.000Z");
+});
+
+test("writes through Query invalidate the cache, direct writes need ClearCache", async () => {
+    assert.equal(await Query.Count("cache.db", "Items"), 1);
+    await Query.Create("cache.db", "Items", { Id: "i2", Name: "b" });
+    assert.equal(await Query.Count("cache.db", "Items"), 2);
+
+    await Data.Write("cache.db", `DELETE FROM "Items" WHERE Id = ?;`, ["i2"]);
+    assert.equal(await Query.Count("cache.db", "Items"), 2);
+    Query.ClearCache("cache.db", "Items");
+    assert.equal(await Query.Count("cache.db", "Items"), 1);
+});
+
+test("a rolled back transaction keeps the cache, reads inside it query the database", async () => {
+    assert.equal((await Query.Get("cache.db", "Items", "i1", item)).Name, "a");
+    await assert.rejects(Query.Transaction("cache.db", async (tx) => {
+        await tx.Modify("Items", { Id: "i1", Name: "inside" });
+        assert.equal((await tx.Get("Items", "i1", item)).Name, "inside");
+        throw new Error("rollback");
+    }));
+    assert.equal((await Query.Get("cache.db", "Items", "i1", item)).Name, "a");
+});
+
+test("the least recently used entries are evicted past the size", async () => {
+    const { evictions } = stats();
+    await Query.Get("cache.db", "Items", "i1", item);
+    await Query.GetAll("cache.db", "Items", item);
+    await Query.Exists("cache.db", "Items", { where: { Name: "a" } });
+    assert.ok(stats().entries <= 2);
+    assert.ok(stats().evictions > evictions);
+});
@@ -0,0 +1,64 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { createStore } = require("../data.js");
+
+// Lenient store: failures return the fallback values, `Query.Strict` throws them
+const { Query, Logger, close } = createStore({ temp: true });
+Logger.RemoveTransport("console");
+const ids = (rows) => rows.map(row => row.Id);
+
+before(async () => {
+    await Query.CheckTable("find.db", "Tasks", { Id: "", Title: "", Status: "", Points: 0, DueDate: "" });
+    await Query.CreateMany("find.db", "Tasks", [
+        { Id: "t1", Title: "Write API docs", Status: "pending", Points: 3, DueDate: "2024-01-10" },
+        { Id: "t2", Title: "Fix login", Status: "done", Points: 5, DueDate: null },
+        { Id: "t3", Title: "API rate limits", Status: "pending", Points: 8, DueDate: "2024-03-01" },
+        { Id: "t4", Title: "Release", Status: "blocked", Points: 1, DueDate: "2024-02-15" }
+    ]);
+});
+
+after(() => close());
+
+test("comparison, list, pattern and null operators", async () => {
+    assert.deepEqual(ids(await Query.Find("find.db", "Tasks", { where: { Status: "pending" }, orderBy: "Id" })), ["t1", "t3"]);
+    assert.deepEqual(ids(await Query.Find("find.db", "Tasks", { where: { Status: { $ne: "pending" } }, orderBy: "Id" })), ["t2", "t4"]);
+    assert.deepEqual(ids(await Query.Find("find.db", "Tasks", { where: { Points: { $gt: 1, $lte: 5 } }, orderBy: "Id" })), ["t1", "t2"]);
+    assert.deepEqual(ids(await Query.Find("find.db", "Tasks", { where: { Status: { $in: ["done", "blocked"] } }, orderBy: "Id" })), ["t2", "t4"]);
+    assert.deepEqual(ids(await Query.Find("find.db", "Tasks", { where: { Status: { $nin: ["done", "blocked"] } }, orderBy: "Id" })), ["t1", "t3"]);
+    assert.deepEqual(ids(await Query.Find("find.db", "Tasks", { where: { Title: { $like: "%API%" } }, orderBy: "Id" })), ["t1", "t3"]);
+    assert.deepEqual(ids(await Query.Find("find.db", "Tasks", { where: { DueDate: null } })), ["t2"]);
+    assert.deepEqual(ids(await Query.Find("find.db", "Tasks", { where: { DueDate: { $null: false } }, orderBy: "Id" })), ["t1", "t3", "t4"]);
+});
+
+test("nested $or/$and groups", async () => {
+    const where = { Status: "pending", $or: [{ Points: { $gte: 8 } }, { DueDate: { $lt: "2024-02-01" } }] };
+    assert.deepEqual(ids(await Query.Find("find.db", "Tasks", { where, orderBy: "Id" })), ["t1", "t3"]);
+    const and = { $and: [{ Points: { $gt: 1 } }, { Points: { $lt: 8 } }] };
+    assert.deepEqual(ids(await Query.Find("find.db", "Tasks", { where: and, orderBy: "Id" })), ["t1", "t2"]);
+});
+
+test("ordering, pagination and projection", async () => {
+    assert.deepEqual(ids(await Query.Find("find.db", "Tasks", { orderBy: "-Points" })), ["t3", "t2", "t1", "t4"]);
+    assert.deepEqual(ids(await Query.Find("find.db", "Tasks", { orderBy: [{ Status: "desc" }, "Id"], limit: 2, offset: 1 })), ["t3", "t2"]);
+    assert.deepEqual(await Query.Find("find.db", "Tasks", { where: { Id: "t4" }, select: ["Id", "Points"] }), [{ Id: "t4", Points: 1 }]);
+});
+
+test("Count and Exists", async () => {
+    assert.equal(await Query.Count("find.db", "Tasks"), 4);
+    assert.equal(await Query.Count("find.db", "Tasks", { where: { Status: "pending" } }), 2);
+    assert.equal(await Query.Exists("find.db", "Tasks", { where: { Status: "done" } }), true);
+    assert.equal(await Query.Exists("find.db", "Tasks", { where: { Status: "archived" } }), false);
+});
+
+test("a malformed filter is a failed query: fallback value, or SchemaError in strict mode", async () => {
+    const where = { Status: { $bogus: 1 } };
+    assert.deepEqual(await Query.Find("find.db", "Tasks", { where }), []);
+    assert.equal(await Query.Count("find.db", "Tasks", { where: { Status: { $in: "done" } } }), null);
+    assert.equal(await Query.Exists("find.db", "Tasks", { where }), false);
+    await assert.rejects(Query.Strict.Find("find.db", "Tasks", { where }), { name: "SchemaError" });
+});
+
+test("an unknown column throws an IdentifierError, even in lenient mode", async () => {
+    await assert.rejects(Query.Find("find.db", "Tasks", { where: { Missing: 1 } }), { name: "IdentifierError" });
+    await assert.rejects(Query.Count("find.db", "Tasks", { where: { Missing: 1 } }), { name: "IdentifierError" });
+});
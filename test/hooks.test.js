@@ -0,0 +1,79 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+const { createStore } = require("../data.js");
+
+// Lenient store: vetoes return null
+const { Query, Data, Logger, Config, close } = createStore({ temp: true });
+Logger.RemoveTransport("console");
+const user = { Id: "", Email: "" };
+const writer = () => Data.GetConnectionStatus()[path.join(Config.database_folder, Config.database_version, "hooks.db")].writer;
+
+before(() => Query.CheckTable("hooks.db", "Users", user));
+
+after(() => close());
+
+test("before hooks change or veto the write, after hooks get the written data", async () => {
+    const seen = [];
+    const offs = [
+        Query.Hook("hooks.db", "Users", "beforeCreate", (row) => { row.Email = row.Email.trim().toLowerCase(); }),
+        Query.Hook("hooks.db", "Users", "beforeCreate", (row) => row.Id != "blocked"),
+        Query.Hook("hooks.db", "Users", "afterCreate", (row, context) => seen.push([row.Id, row.Email, context.operation]))
+    ];
+    try {
+        assert.equal(await Query.Create("hooks.db", "Users", { Id: "u1", Email: " Ana@Example.COM " }), 1);
+        assert.equal(await Query.Create("hooks.db", "Users", { Id: "blocked", Email: "x" }), null);
+        await assert.rejects(Query.Strict.Create("hooks.db", "Users", { Id: "blocked", Email: "x" }), { name: "VetoError" });
+    } finally {
+        offs.forEach(off => off());
+    }
+    assert.deepEqual(seen, [["u1", "ana@example.com", "Create"]]);
+    assert.equal(await Query.Check("hooks.db", "Users", "blocked"), false);
+});
+
+test("bulk after hooks run once their chunk is committed", async () => {
+    const states = [];
+    const off = Query.Hook("hooks.db", "Users", "afterCreate", async (row) => {
+        states.push([row.Id, writer(), await Query.Count("hooks.db", "Users", { where: { Id: row.Id } })]);
+    });
+    try {
+        const result = await Query.CreateMany("hooks.db", "Users", [{ Id: "b1", Email: "1" }, { Id: "b2", Email: "2" }, { Id: "u1", Email: "dup" }], { chunkSize: 2 });
+        assert.deepEqual(result.failed.map(f => f.index), [2]);
+    } finally {
+        off();
+    }
+    assert.deepEqual(states, [["b1", "idle", 1], ["b2", "idle", 1]]);
+});
+
+test("upserts run the Create or Modify hooks of each record", async () => {
+    const ops = [];
+    const offs = ["afterCreate", "afterModify"].map(name => Query.Hook("hooks.db", "Users", name, (row, context) => ops.push([row.Id, context.operation])));
+    try {
+        await Query.UpsertMany("hooks.db", "Users", [{ Id: "u1", Email: "new" }, { Id: "u9", Email: "9" }]);
+    } finally {
+        offs.forEach(off => off());
+    }
+    assert.deepEqual(ops, [["u1", "Modify"], ["u9", "Create"]]);
+});
+
+test("change events wait for the commit, and are dropped on rollback", async () => {
+    const events = [];
+    const listener = (event) => events.push([event.table, event.id]);
+    Query.Events.on("removed", listener);
+    try {
+        await Query.Transaction("hooks.db", async (tx) => {
+            await tx.Remove("Users", "b1");
+            assert.deepEqual(events, []);
+        });
+        assert.deepEqual(events, [["Users", "b1"]]);
+
+        await assert.rejects(Query.Transaction("hooks.db", async (tx) => {
+            await tx.Remove("Users", "b2");
+            throw new Error("rollback");
+        }));
+        assert.deepEqual(events, [["Users", "b1"]]);
+        assert.equal(await Query.Check("hooks.db", "Users", "b2"), true);
+    } finally {
+        Query.Events.off("removed", listener);
+    }
+});
@@ -0,0 +1,48 @@
+const { test, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { createStore } = require("../data.js");
+
+// Lenient store: rejected names throw all the same
+const { Query, Logger, close } = createStore({ temp: true });
+Logger.RemoveTransport("console");
+// Custom pattern, here also accepting spaces and double quotes
+const custom = createStore({ temp: true, identifiers: { pattern: /^[\p{L}_][\p{L}\p{N}_ "]*$/u } });
+custom.Logger.RemoveTransport("console");
+
+after(async () => {
+    await close();
+    await custom.close();
+});
+
+test("accepts names in any script, with digits, underscores and hyphens", async () => {
+    const schema = { Id: "", "Prénom": "", "名前": "", "first-name": "", _n2: 0 };
+    await Query.CheckTable("names.db", "Clientes-Ñ", schema);
+    const row = { Id: "c1", "Prénom": "Zoé", "名前": "花子", "first-name": "Z", _n2: 2 };
+    await Query.Create("names.db", "Clientes-Ñ", row);
+    assert.deepEqual(await Query.Get("names.db", "Clientes-Ñ", "c1", schema), row);
+});
+
+test("rejects other names before anything is sent to SQLite", async () => {
+    for (const name of ["", "1st", "a b", `x"; DROP TABLE "Clientes-Ñ"; --`, "a\0b", 42]) {
+        await assert.rejects(Query.Get("names.db", name, "c1", { Id: "" }), { name: "IdentifierError" });
+        await assert.rejects(Query.Find("names.db", "Clientes-Ñ", { select: [name] }), { name: "IdentifierError" });
+    }
+    await assert.rejects(Query.GetAll("names.db", "sqlite_master", { Id: "" }), { name: "IdentifierError" });
+    assert.equal((await Query.GetAll("names.db", "Clientes-Ñ", { Id: "" })).length, 1);
+});
+
+test("unknown columns are rejected, including in bulk writes", async () => {
+    await assert.rejects(Query.Modify("names.db", "Clientes-Ñ", { Id: "c1", Missing: 1 }), (err) => err.name == "IdentifierError" && err.identifier == "Missing");
+    const result = await Query.CreateMany("names.db", "Clientes-Ñ", [{ Id: "c2", Missing: 1 }, { Id: "c3" }]);
+    assert.deepEqual(result.failed.map(f => f.index), [0]);
+});
+
+test("a custom pattern replaces the default one, and names are always quoted", async () => {
+    const schema = { Id: "", "Full name": "", 'Nick "the" name': "" };
+    await custom.Query.CheckTable("custom.db", "My Table", schema);
+    const row = { Id: "1", "Full name": "Ana Silva", 'Nick "the" name': "Ana" };
+    await custom.Query.Create("custom.db", "My Table", row);
+    assert.deepEqual(await custom.Query.Get("custom.db", "My Table", "1", schema), row);
+    // Hyphens are not in this pattern
+    await assert.rejects(custom.Query.Get("custom.db", "my-table", "1", { Id: "" }), { name: "IdentifierError" });
+});
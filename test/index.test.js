@@ -0,0 +1,43 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { createStore } = require("../data.js");
+
+const { Query, Logger, close } = createStore({ temp: true, strict: true });
+Logger.RemoveTransport("console");
+const names = async (table) => (await Query.ListIndexes("index.db", table)).filter(index => index.sql).map(index => index.name);
+
+before(async () => {
+    await Query.CheckTable("index.db", "Users", { Id: "", Email: "", First: "", Last: "" }, {
+        indexes: [["Last", "First"], { columns: ["Email"], unique: true }]
+    });
+});
+
+after(() => close());
+
+test("CheckTable creates the indexes of its options", async () => {
+    const indexes = await Query.ListIndexes("index.db", "Users");
+    const email = indexes.find(index => index.name == "uidx_Users_Email");
+    assert.deepEqual({ unique: email.unique, columns: email.columns }, { unique: true, columns: ["Email"] });
+    assert.deepEqual(indexes.find(index => index.name == "idx_Users_Last_First").columns, ["Last", "First"]);
+    // The automatic index of the PRIMARY KEY is listed without sql
+    assert.ok(indexes.some(index => index.sql === null));
+});
+
+test("a unique index rejects duplicates", async () => {
+    await Query.Create("index.db", "Users", { Id: "u1", Email: "ana@example.com" });
+    await assert.rejects(Query.Create("index.db", "Users", { Id: "u2", Email: "ana@example.com" }), { name: "ConstraintError" });
+});
+
+test("EnsureIndex is idempotent and DropIndex removes the index", async () => {
+    await Query.EnsureIndex("index.db", "Users", "First", { name: "by_first" });
+    await Query.EnsureIndex("index.db", "Users", "First", { name: "by_first" });
+    assert.ok((await names("Users")).includes("by_first"));
+
+    await Query.DropIndex("index.db", "by_first");
+    await Query.DropIndex("index.db", "by_first");
+    assert.ok(!(await names("Users")).includes("by_first"));
+});
+
+test("indexes on unknown columns are rejected", async () => {
+    await assert.rejects(Query.EnsureIndex("index.db", "Users", "Missing"), { name: "IdentifierError" });
+});
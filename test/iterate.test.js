@@ -0,0 +1,72 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { Writable } = require("stream");
+const { pipeline } = require("stream/promises");
+const { createStore } = require("../data.js");
+
+// Lenient store: reading errors still throw from an iteration
+const { Query, Data, Logger, close } = createStore({ temp: true });
+Logger.RemoveTransport("console");
+const collect = async (iterator) => {
+    const rows = [];
+    for await (const row of iterator) rows.push(row);
+    return rows;
+};
+const logs = Array.from({ length: 7 }, (_, i) => ({ Id: `l${i + 1}`, Level: i % 3 == 0 ? "error" : "info", Meta: { n: i + 1 } }));
+
+before(async () => {
+    await Query.CheckTable("iterate.db", "Logs", { Id: "", Level: "", Meta: {} });
+    await Query.CreateMany("iterate.db", "Logs", logs);
+});
+
+after(() => close());
+
+test("reads every record in batches, with the values converted", async () => {
+    assert.deepEqual(await collect(Query.Iterate("iterate.db", "Logs", { batchSize: 2 })), logs);
+});
+
+test("applies the Find options across batches", async () => {
+    const errors = await collect(Query.Iterate("iterate.db", "Logs", { where: { Level: "error" }, batchSize: 1 }));
+    assert.deepEqual(errors.map(row => row.Id), ["l1", "l4", "l7"]);
+    const ordered = await collect(Query.Iterate("iterate.db", "Logs", { orderBy: "-Id", limit: 5, offset: 1, batchSize: 2, select: ["Id"] }));
+    assert.deepEqual(ordered, ["l6", "l5", "l4", "l3", "l2"].map(Id => ({ Id })));
+});
+
+test("stopping early ends the iteration", async () => {
+    const seen = [];
+    for await (const row of Query.Iterate("iterate.db", "Logs", { batchSize: 2 })) {
+        seen.push(row.Id);
+        if (seen.length == 3) break;
+    }
+    assert.deepEqual(seen, ["l1", "l2", "l3"]);
+});
+
+test("tables created WITHOUT ROWID use their primary key as the cursor", async () => {
+    await Data.Exec("iterate.db", `CREATE TABLE "Keys" (Id TEXT NOT NULL PRIMARY KEY, Value INTEGER) WITHOUT ROWID;`);
+    await Query.CreateMany("iterate.db", "Keys", [{ Id: "c", Value: 3 }, { Id: "a", Value: 1 }, { Id: "b", Value: 2 }]);
+    const rows = await collect(Query.Iterate("iterate.db", "Keys", { batchSize: 2 }));
+    assert.deepEqual(rows.map(row => row.Id), ["a", "b", "c"]);
+});
+
+test("a batch that can't be read throws instead of ending the iteration", async () => {
+    await Query.CheckTable("iterate.db", "Dropped", { Id: "" });
+    await Query.CreateMany("iterate.db", "Dropped", [{ Id: "d1" }, { Id: "d2" }, { Id: "d3" }]);
+    const seen = [];
+    await assert.rejects(async () => {
+        for await (const row of Query.Iterate("iterate.db", "Dropped", { batchSize: 2 })) {
+            seen.push(row.Id);
+            if (seen.length == 2) await Data.Exec("iterate.db", `DROP TABLE "Dropped";`);
+        }
+    }, { name: "SchemaError" });
+    assert.deepEqual(seen, ["d1", "d2"]);
+});
+
+test("Stream pipes the records as objects", async () => {
+    const ids = [];
+    await pipeline(Query.Stream("iterate.db", "Logs", { batchSize: 3 }), new Writable({
+        objectMode: true,
+        highWaterMark: 1,
+        write: (row, _, done) => { ids.push(row.Id); done(); }
+    }));
+    assert.deepEqual(ids, logs.map(row => row.Id));
+});
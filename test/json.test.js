@@ -0,0 +1,45 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { createStore } = require("../data.js");
+
+const { Query, Data, Logger, close } = createStore({ temp: true, strict: true });
+Logger.RemoveTransport("console");
+const user = { Id: "", Settings: {}, Tags: [] };
+const ids = (rows) => rows.map(row => row.Id);
+
+before(async () => {
+    await Query.CheckTable("json.db", "Users", user, { indexes: [["Settings.theme"]] });
+    await Query.CreateMany("json.db", "Users", [
+        { Id: "u1", Settings: { theme: "dark", pageSize: 20, beta: true }, Tags: ["admin", "ops"] },
+        { Id: "u2", Settings: { theme: "light", pageSize: 50, beta: false }, Tags: ["dev"] },
+        { Id: "u3", Settings: { theme: "dark", pageSize: 5 }, Tags: [] }
+    ]);
+});
+
+after(() => close());
+
+test("paths read, filter and order by the JSON content", async () => {
+    assert.equal(await Query.GetProperty("json.db", "Users", "Settings.pageSize", "u2"), 50);
+    assert.deepEqual(ids(await Query.GetManyByProperty("json.db", "Users", "Settings.theme", "dark", user)), ["u1", "u3"]);
+    assert.deepEqual(ids(await Query.Find("json.db", "Users", { where: { "Settings.pageSize": { $gte: 10 } }, orderBy: "Tags[0]" })), ["u1", "u2"]);
+    assert.equal(await Query.Count("json.db", "Users", { where: { "Settings.beta": true } }), 1);
+    assert.equal(await Query.Exists("json.db", "Users", { where: { "Settings.beta": null } }), true);
+});
+
+test("indexed paths use their json_extract expression", async () => {
+    const indexes = await Query.ListIndexes("json.db", "Users");
+    const index = indexes.find(index => index.name == "idx_Users_Settings_theme");
+    assert.match(index.sql, /json_extract\("Settings", '\$\.theme'\)/);
+    const plan = await Data.Read("json.db", `EXPLAIN QUERY PLAN SELECT Id FROM "Users" WHERE json_extract("Settings", '$.theme') = ?;`, ["dark"]);
+    assert.ok(plan.some(step => /idx_Users_Settings_theme/.test(step.detail)));
+});
+
+test("a path into an unknown column, or a malformed path, is rejected", async () => {
+    await assert.rejects(Query.Find("json.db", "Users", { where: { "Missing.theme": "dark" } }), { name: "IdentifierError" });
+    await assert.rejects(Query.GetProperty("json.db", "Users", "Settings.a-b", "u1"), { name: "IdentifierError" });
+});
+
+test("text that isn't JSON is returned as is", async () => {
+    await Data.Write("json.db", `INSERT INTO "Users" (Id, Tags) VALUES (?, ?);`, ["u4", "legacy, tags"]);
+    assert.equal((await Query.Get("json.db", "Users", "u4", user)).Tags, "legacy, tags");
+});
@@ -0,0 +1,54 @@
+const { test, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { createStore } = require("../data.js");
+
+const { Logger, Config, close } = createStore({ temp: true, log: { level: "info", max_size: 600, retention_days: 7 } });
+Logger.RemoveTransport("console");
+const folder = path.join(Config.database_folder, "log");
+const day = new Date().toISOString().slice(0, 10);
+const read = (name) => fs.readFileSync(path.join(folder, name), "utf-8").split("\n").filter(Boolean).map(line => JSON.parse(line));
+
+after(() => close());
+
+test("rotates by byte size, multibyte characters included, and prunes old files", async () => {
+    fs.mkdirSync(folder, { recursive: true });
+    fs.writeFileSync(path.join(folder, "2000-01-01.jsonl"), "{}\n");
+    fs.writeFileSync(path.join(folder, "2000-01-01.1.jsonl"), "{}\n");
+
+    // 50 characters, 150 bytes in UTF-8
+    const message = "語".repeat(50);
+    for (let i = 0; i < 6; i++) Logger.Log(`${i} ${message}`, "warn");
+    Logger.Log("not written", "debug");
+    await Logger.Flush();
+
+    const names = fs.readdirSync(folder).sort();
+    assert.ok(!names.some(name => name.startsWith("2000-01-01")));
+    assert.ok(names.length > 1 && names.includes(`${day}.jsonl`) && names.includes(`${day}.1.jsonl`));
+    for (const name of names) assert.ok(fs.statSync(path.join(folder, name)).size <= 600, name);
+
+    // Rotated parts first, then the current file: every record once, in order
+    const parts = names.filter(name => name != `${day}.jsonl`).sort((a, b) => parseInt(a.split(".")[1]) - parseInt(b.split(".")[1]));
+    const records = [...parts, `${day}.jsonl`].flatMap(read);
+    assert.deepEqual(records.map(record => record.Message), [0, 1, 2, 3, 4, 5].map(i => `${i} ${message}`));
+});
+
+test("records carry the context, and transports filter by level", async () => {
+    const records = [];
+    Logger.AddTransport(Logger.Transports.Callback((record) => records.push(record), { name: "errors", level: "error" }));
+    try {
+        await Logger.WithContext({ UserID: "u1", RequestId: "r1" }, async () => {
+            await Logger.Log("only in the file", "warn");
+            await Logger.Log("failed", "error", new Error("boom"));
+        });
+    } finally {
+        Logger.RemoveTransport("errors");
+    }
+    assert.equal(records.length, 1);
+    assert.equal(records[0].UserID, "u1");
+    assert.deepEqual(records[0].Context, { RequestId: "r1" });
+    assert.equal(records[0].Error, "boom");
+    await Logger.Flush();
+    assert.ok(fs.readdirSync(folder).flatMap(read).some(record => record.Message == "only in the file" && record.UserID == "u1"));
+});
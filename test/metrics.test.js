@@ -0,0 +1,63 @@
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { createStore } = require("../data.js");
+
+const { Query, Data, Logger, Config, close } = createStore({ temp: true, strict: true, metrics: { buckets: [1, 1000] } });
+Logger.RemoveTransport("console");
+const tables = () => Data.GetMetrics().tables;
+
+before(() => Query.CheckTable("metrics.db", "Orders", { Id: "", Total: 0 }));
+
+beforeEach(() => Data.ResetMetrics());
+
+after(() => close());
+
+test("statements are counted as soon as they return, by the table of their type", async () => {
+    await Data.Write("metrics.db", `INSERT INTO "Orders" (Id, Total) VALUES (?, ?);`, ["o1", 10]);
+    assert.equal(tables()["metrics.db/Orders"].calls, 1);
+
+    // The table of the subquery doesn't exist: an error of "Orders"
+    await assert.rejects(Data.Write("metrics.db", `UPDATE "Orders" SET Total = 11 WHERE Id IN (SELECT Id FROM "Other");`, []));
+    await Data.Read("metrics.db", `WITH t AS (SELECT 1) SELECT * FROM "Orders" JOIN t;`, []);
+    await Data.Exec("metrics.db", `CREATE INDEX IF NOT EXISTS idx_total ON "Orders" (Total);`);
+    await Data.Exec("metrics.db", `CREATE TABLE IF NOT EXISTS "Carts" (Id TEXT);`);
+    await Data.Read("metrics.db", `SELECT * FROM pragma_table_info('Orders');`, []);
+
+    const metrics = tables();
+    assert.deepEqual(Object.keys(metrics).sort(), ["metrics.db/", "metrics.db/Carts", "metrics.db/Orders"]);
+    assert.equal(metrics["metrics.db/Orders"].calls, 4);
+    assert.equal(metrics["metrics.db/Orders"].errors, 1);
+    assert.equal(metrics["metrics.db/Orders"].duration.buckets[1000], 4);
+});
+
+test("slow queries are logged with their plan, and values are never included", async () => {
+    const records = [];
+    Logger.AddTransport({ name: "memory", write: (record) => records.push(record) });
+    Config.metrics.slow_query = 1e-9;
+    Config.metrics.explain = true;
+    try {
+        await Data.Read("metrics.db", `SELECT * FROM "Orders" WHERE Id = 'o1' AND Total > ?;`, [5]);
+        // The plan is read in the background
+        for (let i = 0; i < 50 && !records.some(record => /^Slow query/.test(record.Message)); i++) await new Promise(resolve => setTimeout(resolve, 10));
+    } finally {
+        Config.metrics.slow_query = 1000;
+        Config.metrics.explain = false;
+        Logger.RemoveTransport("memory");
+    }
+    const [slow] = Data.GetMetrics().slowQueries;
+    assert.equal(slow.table, "Orders");
+    assert.equal(slow.sql, `SELECT * FROM "Orders" WHERE Id = '?' AND Total > ?;`);
+    assert.ok(slow.plan.length > 0);
+    assert.equal(tables()["metrics.db/Orders"].slow, 1);
+    assert.ok(records.some(record => /^Slow query/.test(record.Message) && !/o1/.test(JSON.stringify(record))));
+});
+
+test("the Prometheus text lists counters and the histogram by db and table", async () => {
+    await Query.Get("metrics.db", "Orders", "o1", { Id: "" });
+    const text = Data.RenderMetrics();
+    assert.match(text, /^sqlite_queries_total\{db="metrics\.db",table="Orders"\} 1$/m);
+    assert.match(text, /^sqlite_query_duration_seconds_bucket\{db="metrics\.db",table="Orders",le="1"\} 1$/m);
+    assert.match(text, /^sqlite_query_duration_seconds_bucket\{db="metrics\.db",table="Orders",le="\+Inf"\} 1$/m);
+    assert.match(text, /^sqlite_query_duration_seconds_count\{db="metrics\.db",table="Orders"\} 1$/m);
+    assert.match(text, /^# TYPE sqlite_query_duration_seconds histogram$/m);
+});
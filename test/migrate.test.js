@@ -0,0 +1,63 @@
+const { test, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { createStore } = require("../data.js");
+
+const { Query, Data, Logger, close } = createStore({ temp: true, strict: true });
+Logger.RemoveTransport("console");
+const columns = async (db, table) => (await Query.DescribeTable(db, table)).columns.map(col => col.name);
+const applied = async (db) => (await Data.Read(db, `SELECT Version FROM "_Migrations" ORDER BY Version;`, [])).map(row => row.Version);
+
+const migrations = [
+    { version: 1, name: "create users", up: "CREATE TABLE Users (Id TEXT NOT NULL PRIMARY KEY, Username TEXT);", down: "DROP TABLE Users;" },
+    { version: 2, name: "add email", up: ["ALTER TABLE Users ADD COLUMN Email TEXT;"], down: ["ALTER TABLE Users DROP COLUMN Email;"] },
+    { version: 3, name: "add phone", up: async (db) => Data.Exec(db, "ALTER TABLE Users ADD COLUMN Phone TEXT;"), down: "ALTER TABLE Users DROP COLUMN Phone;" }
+];
+
+after(() => close());
+
+test("applies the pending migrations in order, and only once", async () => {
+    const dry = await Query.Migrate("up.db", migrations, { dryRun: true });
+    assert.deepEqual(dry, { from: 0, to: 3, direction: "up", steps: migrations.map(m => ({ version: m.version, name: m.name })), dryRun: true });
+    assert.deepEqual(await applied("up.db"), []);
+
+    const report = await Query.Migrate("up.db", migrations);
+    assert.equal(report.to, 3);
+    assert.deepEqual(await columns("up.db", "Users"), ["Id", "Username", "Email", "Phone"]);
+    assert.deepEqual((await Query.Migrate("up.db", migrations)).steps, []);
+});
+
+test("rolls back to a target version with the down steps", async () => {
+    await Query.Migrate("down.db", migrations);
+    const report = await Query.Migrate("down.db", migrations, { target: 1 });
+    assert.equal(report.direction, "down");
+    assert.deepEqual(report.steps.map(step => step.version), [3, 2]);
+    assert.equal(report.to, 1);
+    assert.deepEqual(await columns("down.db", "Users"), ["Id", "Username"]);
+    assert.deepEqual(await applied("down.db"), [1]);
+});
+
+test("applies a missing version lower than the current one", async () => {
+    await Query.Migrate("gap.db", [migrations[0], migrations[2]]);
+    const report = await Query.Migrate("gap.db", migrations);
+    assert.deepEqual(report.steps, [{ version: 2, name: "add email" }]);
+    assert.equal(report.from, 3);
+    assert.deepEqual(await applied("gap.db"), [1, 2, 3]);
+    assert.ok((await columns("gap.db", "Users")).includes("Email"));
+});
+
+test("fails when an applied version is not in the list", async () => {
+    await Query.Migrate("unknown.db", migrations);
+    await assert.rejects(Query.Migrate("unknown.db", migrations.slice(0, 2)), { name: "SchemaError" });
+    assert.deepEqual(await applied("unknown.db"), [1, 2, 3]);
+});
+
+test("a failing step applies nothing", async () => {
+    const broken = [...migrations, { version: 4, name: "broken", up: "ALTER TABLE Missing ADD COLUMN X TEXT;" }];
+    await assert.rejects(Query.Migrate("broken.db", broken));
+    assert.deepEqual(await Query.ListTables("broken.db").then(tables => tables.map(table => table.name)), ["_Migrations"]);
+});
+
+test("an invalid list is rejected before anything runs", async () => {
+    await assert.rejects(Query.Migrate("invalid.db", [{ version: 1, up: "" }, { version: 1, up: "" }]), { name: "SchemaError" });
+    await assert.rejects(Query.Migrate("invalid.db", [{ version: 0, up: "" }]), { name: "SchemaError" });
+});
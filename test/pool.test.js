@@ -0,0 +1,66 @@
+const { test, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { createStore, BusyError } = require("../data.js");
+
+const { Query, Data, Logger, Config, ConnectionManager, close } = createStore({ temp: true, strict: true, connection: { db_pool_size: 3, acquire_timeout: 200 } });
+Logger.RemoveTransport("console");
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+after(() => close());
+
+test("writes queue for the write connection in call order", async () => {
+    await Data.Exec("pool.db", `CREATE TABLE "Events" ("Seq" INTEGER);`);
+    const writes = [];
+    for (let i = 0; i < 5; i++) writes.push(Data.Write("pool.db", `INSERT INTO "Events" ("Seq") VALUES (?);`, [i]));
+    const status = Data.GetConnectionStatus();
+    assert.equal(Object.values(status)[0].writeQueue, 4);
+    await Promise.all(writes);
+    const rows = await Data.Read("pool.db", `SELECT "Seq" FROM "Events" ORDER BY rowid;`, []);
+    assert.deepEqual(rows.map(row => row.Seq), [0, 1, 2, 3, 4]);
+});
+
+test("reads don't wait for a transaction holding the write connection", async () => {
+    let finish;
+    const held = new Promise(resolve => finish = resolve);
+    const tx = Query.Transaction("pool.db", async (tx) => {
+        await tx.Write(`INSERT INTO "Events" ("Seq") VALUES (5);`, []);
+        await held;
+    });
+    await sleep(10);
+    // Read connections see the last commit, not the open transaction
+    const [read1, read2] = await Promise.all([
+        Data.Check("pool.db", `SELECT COUNT(*) AS Total FROM "Events";`, []),
+        Data.Check("pool.db", `SELECT MAX("Seq") AS Seq FROM "Events";`, [])
+    ]);
+    assert.equal(read1.Total, 5);
+    assert.equal(read2.Seq, 4);
+    const status = Object.values(Data.GetConnectionStatus())[0];
+    assert.equal(status.writer, "busy");
+    assert.ok(status.readers >= 1 && status.readers <= 2);
+    finish();
+    await tx;
+    assert.equal((await Data.Check("pool.db", `SELECT COUNT(*) AS Total FROM "Events";`, [])).Total, 6);
+});
+
+test("waiting too long for the write connection fails with BusyError", async () => {
+    let finish;
+    const held = new Promise(resolve => finish = resolve);
+    const tx = Query.Transaction("pool.db", () => held);
+    await sleep(10);
+    await assert.rejects(Data.Write("pool.db", `INSERT INTO "Events" ("Seq") VALUES (7);`, []), BusyError);
+    finish();
+    await tx;
+    // The timed out request left the queue: the connection is served again
+    assert.equal(await Data.Write("pool.db", `INSERT INTO "Events" ("Seq") VALUES (8);`, []), 1);
+    assert.equal(Object.values(Data.GetConnectionStatus())[0].writeQueue, 0);
+});
+
+test("getConnection returns the write connection of the pool", async () => {
+    await Data.Write("pool.db", `INSERT INTO "Events" ("Seq") VALUES (?);`, [99]);
+    const file = require("path").join(Config.database_folder, Config.database_version, "pool.db");
+    const db = ConnectionManager.getConnection(file);
+    assert.equal(db, ConnectionManager.connections.get(file).writer.db);
+    assert.equal(ConnectionManager.getConnection(file), db);
+    const row = await new Promise((resolve, reject) => db.get(`SELECT "Seq" FROM "Events" WHERE "Seq" = 99;`, (err, row) => err ? reject(err) : resolve(row)));
+    assert.equal(row.Seq, 99);
+});
@@ -0,0 +1,74 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { createStore } = require("../data.js");
+
+// Lenient store: failures return the fallback values, `Query.Strict` throws them
+const { Query, Data, Logger, close } = createStore({ temp: true });
+Logger.RemoveTransport("console");
+const project = { Id: "", Title: "" };
+const userSchema = { Id: "", Name: "" };
+const task = { Id: "", Title: "", Points: 0, UserId: "", ProjectId: "" };
+
+before(async () => {
+    await Query.CheckTable("rel.db", "Projects", project, { softDelete: true });
+    await Query.CheckTable("rel.db", "Users", userSchema, { relations: { Tasks: { hasMany: "Tasks", key: "UserId" } } });
+    await Query.CheckTable("rel.db", "Tasks", task, {
+        softDelete: true,
+        relations: {
+            User: { belongsTo: "Users", key: "UserId", onDelete: "cascade" },
+            Project: { belongsTo: "Projects", key: "ProjectId", onDelete: "set null" }
+        }
+    });
+    await Query.CreateMany("rel.db", "Projects", [{ Id: "p1", Title: "Site" }, { Id: "p2", Title: "App" }]);
+    await Query.CreateMany("rel.db", "Users", [{ Id: "u1", Name: "Ana" }, { Id: "u2", Name: "Rui" }]);
+    await Query.CreateMany("rel.db", "Tasks", [
+        { Id: "t1", Title: "Docs", Points: 3, UserId: "u1", ProjectId: "p1" },
+        { Id: "t2", Title: "Deploy", Points: 5, UserId: "u1", ProjectId: "p2" },
+        { Id: "t3", Title: "Orphan", Points: 1, UserId: "u1", ProjectId: null }
+    ]);
+});
+
+after(() => close());
+
+test("GetWith loads belongsTo, hasMany and nested relations", async () => {
+    const user = await Query.GetWith("rel.db", "Users", "u1", { include: ["Tasks", "Tasks.Project"] });
+    assert.equal(user.Name, "Ana");
+    assert.deepEqual(user.Tasks.map(t => [t.Id, t.Points, t.Project && t.Project.Title]), [["t1", 3, "Site"], ["t2", 5, "App"], ["t3", 1, null]]);
+    assert.deepEqual((await Query.GetWith("rel.db", "Users", "u2", { include: ["Tasks"] })).Tasks, []);
+    assert.equal((await Query.GetWith("rel.db", "Tasks", "t1", { include: ["User"] })).User.Name, "Ana");
+});
+
+test("each relation costs one query, whatever the number of records", async () => {
+    Data.ResetMetrics();
+    await Query.GetWith("rel.db", "Users", "u1", { include: ["Tasks", "Tasks.Project"] });
+    const calls = Object.values(Data.GetMetrics().tables).reduce((sum, table) => sum + table.calls, 0);
+    assert.equal(calls, 3);
+});
+
+test("soft deleted related records are skipped", async () => {
+    await Query.Remove("rel.db", "Projects", "p2");
+    await Query.Remove("rel.db", "Tasks", "t3");
+    const user = await Query.GetWith("rel.db", "Users", "u1", { include: ["Tasks", "Tasks.Project"] });
+    assert.deepEqual(user.Tasks.map(t => [t.Id, t.Project && t.Project.Id]), [["t1", "p1"], ["t2", null]]);
+});
+
+test("foreign keys are enforced, with their ON DELETE action", async () => {
+    await assert.rejects(Query.Strict.Create("rel.db", "Tasks", { Id: "t9", UserId: "nobody" }), { name: "ConstraintError" });
+    await Query.Remove("rel.db", "Projects", "p1", { hard: true });
+    assert.equal((await Query.Get("rel.db", "Tasks", "t1", task)).ProjectId, null);
+    await Query.Remove("rel.db", "Users", "u1");
+    assert.equal(await Query.Count("rel.db", "Tasks", { withDeleted: true }), 0);
+});
+
+test("unknown records, relations and unregistered related tables fail", async () => {
+    assert.equal(await Query.GetWith("rel.db", "Users", "nobody", { include: ["Tasks"] }), undefined);
+    await assert.rejects(Query.Strict.GetWith("rel.db", "Users", "nobody", { include: ["Tasks"] }), { name: "NotFoundError" });
+    assert.equal(await Query.GetWith("rel.db", "Users", "u2", { include: ["Missing"] }), null);
+    await assert.rejects(Query.Strict.GetWith("rel.db", "Users", "u2", { include: ["Missing"] }), { name: "SchemaError" });
+
+    // "Notes" exists but wasn't checked by this store: its relations and types are unknown
+    await Data.Exec("rel.db", `CREATE TABLE "Notes" (Id TEXT PRIMARY KEY, UserId TEXT);`);
+    await Query.CheckTable("rel.db", "Authors", { Id: "" }, { relations: { Notes: { hasMany: "Notes", key: "UserId" } } });
+    await Query.Create("rel.db", "Authors", { Id: "a1" });
+    await assert.rejects(Query.Strict.GetWith("rel.db", "Authors", "a1", { include: ["Notes"] }), { name: "SchemaError" });
+});
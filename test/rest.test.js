@@ -0,0 +1,105 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("http");
+const { createStore } = require("../data.js");
+const { createRestAdapter, HttpError } = require("../rest.js");
+
+const store = createStore({ temp: true });
+store.Logger.RemoveTransport("console");
+const schema = { Id: "", Name: "", Age: 0 };
+// Table created without CheckTable: only the resource schema knows the kinds of its columns
+const event = { Id: "", Public: false, At: new Date(0), Meta: {} };
+let server;
+
+/**
+ * Sends a request to the test server.
+ * @param {string} method HTTP method
+ * @param {string} path URL path
+ * @param {Object|string} [body] JSON body (a string is sent as is)
+ * @returns {Promise<{status: number, body: any, headers: Object}>}
+ */
+function request(method, path, body) {
+    return new Promise((resolve, reject) => {
+        const req = http.request({ port: server.address().port, method: method, path: path, headers: { "Content-Type": "application/json" } }, (res) => {
+            let text = "";
+            res.on("data", chunk => text += chunk);
+            res.on("end", () => resolve({ status: res.statusCode, body: text ? JSON.parse(text) : undefined, headers: res.headers }));
+        });
+        req.on("error", reject);
+        req.end(body === undefined ? undefined : typeof body == "string" ? body : JSON.stringify(body));
+    });
+}
+
+before(async () => {
+    await store.Query.CheckTable("rest.db", "Users", schema);
+    await store.Data.Exec("rest.db", `CREATE TABLE "Events" (Id TEXT PRIMARY KEY, Public INTEGER, At TEXT, Meta TEXT);`);
+    store.Query.Hook("rest.db", "Users", "beforeRemove", ({ Id }) => Id != "admin");
+    const api = createRestAdapter({ store: store, prefix: "/api" })
+        .resource("rest.db", "Users", schema, { path: "users" })
+        .resource("rest.db", "Users", schema, { path: "readonly", actions: ["list", "get"] })
+        .resource("rest.db", "Events", event, { path: "events" })
+        .use((req) => {
+            if (req.headers["x-block"]) throw new HttpError(401, "Blocked");
+        });
+    server = http.createServer(api.handler);
+    await new Promise(resolve => server.listen(0, resolve));
+});
+
+after(async () => {
+    await new Promise(resolve => server.close(resolve));
+    await store.close();
+});
+
+test("successful requests", async () => {
+    const created = await request("POST", "/api/users", { Id: "admin", Name: "Ana", Age: 30 });
+    assert.equal(created.status, 201);
+    assert.equal(created.headers.location, "/api/users/admin");
+    assert.equal((await request("GET", "/api/users/admin")).body.Name, "Ana");
+    assert.equal((await request("PATCH", "/api/users/admin", { Age: 31 })).body.Age, 31);
+    assert.equal((await request("POST", "/api/users", { Id: "bob", Name: "Bob", Age: 20 })).status, 201);
+    const list = await request("GET", `/api/users?where=${encodeURIComponent('{"Age":{"$gte":25}}')}`);
+    assert.equal(list.status, 200);
+    assert.deepEqual(list.body.data.map(user => user.Id), ["admin"]);
+    assert.equal((await request("DELETE", "/api/users/bob")).status, 204);
+});
+
+test("lists convert the values by the resource schema, like single reads", async () => {
+    await store.Data.Write("rest.db", `INSERT INTO "Events" VALUES (?, ?, ?, ?);`, ["e1", 1, "2024-05-01T10:00:00.000Z", '{"room":4}']);
+    const body = { Id: "e1", Public: true, At: "2024-05-01T10:00:00.000Z", Meta: { room: 4 } };
+    assert.deepEqual((await request("GET", "/api/events/e1")).body, body);
+    assert.deepEqual((await request("GET", "/api/events")).body.data, [body]);
+    assert.deepEqual((await request("GET", "/api/events?select=Id,Public")).body.data, [{ Id: "e1", Public: true }]);
+});
+
+test("client errors get a 4xx status", async () => {
+    const cases = [
+        [400, "POST", "/api/users", { Id: "x", Unknown: 1 }],
+        [400, "POST", "/api/users", { Id: "x", Age: "old" }],
+        [400, "POST", "/api/users", "{ not json"],
+        [400, "GET", `/api/users?where=${encodeURIComponent('{"Age":{"$bad":1}}')}`],
+        [400, "GET", `/api/users?where=${encodeURIComponent('{"Age":{"$in":3}}')}`],
+        [400, "GET", "/api/users?limit=-1"],
+        [400, "GET", "/api/users/%E0%A4%A"],
+        [404, "GET", "/api/users/nobody"],
+        [404, "GET", "/api/unknown"],
+        [405, "DELETE", "/api/readonly/admin"],
+        [409, "POST", "/api/users", { Id: "admin", Name: "Again", Age: 1 }],
+        [422, "DELETE", "/api/users/admin"]
+    ];
+    for (const [status, method, path, body] of cases) {
+        const res = await request(method, path, body);
+        assert.equal(res.status, status, `${method} ${path}`);
+        assert.equal(res.body.error.status, status);
+    }
+    assert.equal((await request("DELETE", "/api/readonly/admin")).headers.allow, "GET");
+});
+
+test("middlewares can reject requests", async () => {
+    const res = await new Promise((resolve, reject) => {
+        http.get({ port: server.address().port, path: "/api/users", headers: { "x-block": "1" } }, (res) => {
+            res.resume();
+            resolve(res);
+        }).on("error", reject);
+    });
+    assert.equal(res.statusCode, 401);
+});
@@ -0,0 +1,74 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+const sqlite3 = require("sqlite3");
+const { createStore, BusyError } = require("../data.js");
+
+// No lock wait: a lock held by another connection fails at once and is retried
+const { Query, Data, Logger, Config, close } = createStore({
+    temp: true,
+    strict: true,
+    connection: { busy_timeout: 0, max_retries: 3, retry_delay: 20, retry_max_delay: 50, retry_jitter: 0 }
+});
+Logger.RemoveTransport("console");
+const file = () => path.join(Config.database_folder, Config.database_version, "retry.db");
+const retries = () => Data.GetConnectionStatus()[file()].retries;
+
+/** Holds the write lock of the database from another connection until `release` */
+async function lock() {
+    const db = await new Promise((resolve, reject) => {
+        const db = new sqlite3.Database(file(), (err) => err ? reject(err) : resolve(db));
+    });
+    await new Promise((resolve, reject) => db.exec("BEGIN IMMEDIATE;", (err) => err ? reject(err) : resolve()));
+    return {
+        release: () => new Promise(resolve => db.exec("ROLLBACK;", () => db.close(resolve)))
+    };
+}
+
+before(() => Query.CheckTable("retry.db", "Jobs", { Id: "", State: "" }));
+
+after(() => close());
+
+test("delays double from retry_delay up to retry_max_delay, minus the jitter", () => {
+    assert.deepEqual([1, 2, 3, 4].map(Data.RetryDelay), [20, 40, 50, 50]);
+    Config.connection.retry_jitter = 0.5;
+    try {
+        for (let i = 0; i < 20; i++) {
+            const delay = Data.RetryDelay(2);
+            assert.ok(delay >= 20 && delay <= 40, String(delay));
+        }
+    } finally {
+        Config.connection.retry_jitter = 0;
+    }
+});
+
+test("errors are classified by their SQLite code", () => {
+    const error = (code, extra = {}) => Object.assign(new Error(code), { code }, extra);
+    assert.equal(Data.Retryable(error("SQLITE_BUSY"), file()), "busy");
+    assert.equal(Data.Retryable(error("SQLITE_LOCKED"), file()), "busy");
+    assert.equal(Data.Retryable(error("SQLITE_MISUSE"), file()), "connection");
+    assert.equal(Data.Retryable(error("SQLITE_BUSY", { acquire: true }), file()), null);
+    assert.equal(Data.Retryable(error("SQLITE_CONSTRAINT"), file()), null);
+});
+
+test("a busy write is retried until the lock is released", async () => {
+    const held = await lock();
+    const before = retries().busy;
+    setTimeout(held.release, 30);
+    assert.equal(await Data.Write("retry.db", `INSERT INTO "Jobs" (Id, State) VALUES (?, ?);`, ["j1", "new"]), 1);
+    assert.ok(retries().busy > before);
+});
+
+test("when retries run out, a BusyError is thrown with the retry count", async () => {
+    const held = await lock();
+    const { busy, exhausted } = retries();
+    try {
+        await assert.rejects(Data.Write("retry.db", `INSERT INTO "Jobs" (Id, State) VALUES (?, ?);`, ["j2", "new"]), (err) =>
+            err instanceof BusyError && err.retries == 3 && /after 3 retries/.test(err.message));
+    } finally {
+        await held.release();
+    }
+    assert.equal(retries().busy, busy + 3);
+    assert.equal(retries().exhausted, exhausted + 1);
+    assert.equal(await Query.Count("retry.db", "Jobs"), 1);
+});
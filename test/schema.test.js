@@ -0,0 +1,70 @@
+const { test, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { createStore } = require("../data.js");
+
+const { Query, Data, Logger, close } = createStore({ temp: true, strict: true });
+Logger.RemoveTransport("console");
+
+after(() => close());
+
+test("a rebuild copies the data of explicit renames and drops removed columns", async () => {
+    await Query.CheckTable("schema.db", "Users", { Id: "", Mail: "", Legacy: "" });
+    await Query.Create("schema.db", "Users", { Id: "u1", Mail: "ana@example.com", Legacy: "x" });
+
+    const report = await Query.CheckTable("schema.db", "Users", { Id: "", Email: "" }, { rebuild: true, renames: { Mail: "Email" } });
+    assert.equal(report.rebuilt, true);
+    assert.deepEqual(report.renamed, [{ from: "Mail", to: "Email" }]);
+    assert.deepEqual(report.removed.sort(), ["Legacy", "Mail"]);
+    assert.deepEqual(await Query.Get("schema.db", "Users", "u1", { Id: "", Email: "" }), { Id: "u1", Email: "ana@example.com" });
+    assert.deepEqual((await Query.DescribeTable("schema.db", "Users")).columns.map(col => col.name), ["Id", "Email"]);
+});
+
+test("likely renames are only suggested, and not copied by a rebuild", async () => {
+    await Query.CheckTable("schema.db", "Contacts", { Id: "", Phone: "" });
+    await Query.Create("schema.db", "Contacts", { Id: "c1", Phone: "555" });
+
+    const report = await Query.CheckTable("schema.db", "Contacts", { Id: "", Mobile: "" }, { rebuild: true });
+    assert.deepEqual(report.renamed, []);
+    assert.deepEqual(report.suggested, [{ from: "Phone", to: "Mobile" }]);
+    assert.deepEqual(await Query.Get("schema.db", "Contacts", "c1", { Id: "", Mobile: "" }), { Id: "c1", Mobile: null });
+});
+
+test("without rebuild, removed columns are only reported", async () => {
+    await Query.CheckTable("schema.db", "Notes", { Id: "", Text: "", Old: "" });
+    await Query.Create("schema.db", "Notes", { Id: "n1", Text: "a", Old: "b" });
+
+    const report = await Query.CheckTable("schema.db", "Notes", { Id: "", Text: "" });
+    assert.equal(report.rebuilt, false);
+    assert.deepEqual(report.removed, ["Old"]);
+    assert.deepEqual(await Query.Get("schema.db", "Notes", "n1", { Id: "", Old: "" }), { Id: "n1", Old: "b" });
+});
+
+test("invalid rename and index names are logged failures of the table", async () => {
+    const records = [];
+    Logger.AddTransport({ name: "memory", write: (record) => records.push(record) });
+    try {
+        await assert.rejects(Query.CheckTable("schema.db", "Tags", { Id: "" }, { renames: { "bad name": "Id" } }),
+            (err) => err.name == "IdentifierError" && err.table == "Tags");
+        await assert.rejects(Query.CheckTable("schema.db", "Tags", { Id: "" }, { indexes: [["Id", "no;index"]] }),
+            (err) => err.name == "IdentifierError" && err.table == "Tags");
+    } finally {
+        Logger.RemoveTransport("memory");
+    }
+    assert.equal(records.filter(record => record.Message == "Database query failed").length, 2);
+    assert.deepEqual(await Query.ListTables("schema.db").then(tables => tables.map(table => table.name).filter(name => name == "Tags")), []);
+});
+
+test("a rebuild keeps the foreign keys the relations didn't create, unless dropForeignKeys", async () => {
+    await Query.CheckTable("schema.db", "Owners", { Id: "" });
+    await Data.Execute("schema.db", `CREATE TABLE "Pets" ("Id" TEXT NOT NULL PRIMARY KEY, "OwnerId" TEXT, "Old" TEXT, FOREIGN KEY ("OwnerId") REFERENCES "Owners" ("Id") ON DELETE CASCADE);`, [], "run");
+    const references = async () => (await Query.DescribeTable("schema.db", "Pets")).foreignKeys.map(fk => fk.references);
+
+    const report = await Query.CheckTable("schema.db", "Pets", { Id: "", OwnerId: "" }, { rebuild: true });
+    assert.equal(report.rebuilt, true);
+    assert.deepEqual(report.foreignKeys.removed, ["OwnerId → Owners.Id ON DELETE CASCADE"]);
+    assert.deepEqual(await references(), ["Owners"]);
+
+    assert.equal((await Query.CheckTable("schema.db", "Pets", { Id: "", OwnerId: "" }, { rebuild: true })).rebuilt, false);
+    assert.equal((await Query.CheckTable("schema.db", "Pets", { Id: "", OwnerId: "" }, { rebuild: true, dropForeignKeys: true })).rebuilt, true);
+    assert.deepEqual(await references(), []);
+});
@@ -0,0 +1,54 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { createStore } = require("../data.js");
+
+// Lenient store: failed searches return their fallback, `Query.Strict` throws
+const { Query, Logger, close } = createStore({ temp: true });
+Logger.RemoveTransport("console");
+const task = { Id: "", Title: "", Notes: "" };
+const ids = (rows) => rows.map(row => row.Id);
+
+before(async () => {
+    await Query.CheckTable("search.db", "Tasks", task, { softDelete: true });
+    await Query.CreateMany("search.db", "Tasks", [
+        { Id: "t1", Title: "Release notes", Notes: "Write the café announcement" },
+        { Id: "t2", Title: "Fix release script", Notes: "release release" },
+        { Id: "t3", Title: "Plan sprint", Notes: "notes for the release" }
+    ]);
+});
+
+after(() => close());
+
+test("EnableSearch indexes the rows, and is only recreated when its columns change", async () => {
+    assert.deepEqual(await Query.EnableSearch("search.db", "Tasks", ["Title", "Notes"]), { table: "Tasks_Search", columns: ["Title", "Notes"], created: true, rows: 3 });
+    assert.equal((await Query.EnableSearch("search.db", "Tasks", ["Title", "Notes"])).created, false);
+});
+
+test("every word must match, accents and FTS operators are plain text", async () => {
+    assert.deepEqual(ids(await Query.Search("search.db", "Tasks", "release notes", { rank: { Title: 10, Notes: 1 } })), ["t1", "t3"]);
+    assert.deepEqual(ids(await Query.Search("search.db", "Tasks", "CAFE")), ["t1"]);
+    assert.deepEqual(ids(await Query.Search("search.db", "Tasks", "rel")), []);
+    assert.deepEqual(ids(await Query.Search("search.db", "Tasks", "rel", { prefix: true, rank: false })), ["t1", "t2", "t3"]);
+    assert.deepEqual(await Query.Search("search.db", "Tasks", "sprint OR"), []);
+    assert.deepEqual(ids(await Query.Search("search.db", "Tasks", "sprint OR café", { raw: true, rank: false })), ["t1", "t3"]);
+});
+
+test("matches are highlighted on request", async () => {
+    const [row] = await Query.Search("search.db", "Tasks", "sprint", { highlight: { open: "[", close: "]" } });
+    assert.deepEqual(row.$highlight, { Title: "Plan [sprint]", Notes: "notes for the release" });
+});
+
+test("the triggers keep the index in sync, and soft deleted records are hidden", async () => {
+    await Query.Modify("search.db", "Tasks", { Id: "t3", Title: "Plan roadmap" });
+    assert.deepEqual(await Query.Search("search.db", "Tasks", "sprint"), []);
+    await Query.Remove("search.db", "Tasks", "t1");
+    assert.deepEqual(ids(await Query.Search("search.db", "Tasks", "café")), []);
+    assert.deepEqual(ids(await Query.Search("search.db", "Tasks", "café", { withDeleted: true })), ["t1"]);
+});
+
+test("EnableSearch without columns, or Search on a table without index, fails like other queries", async () => {
+    assert.equal(await Query.EnableSearch("search.db", "Tasks", []), null);
+    await assert.rejects(Query.Strict.EnableSearch("search.db", "Tasks", []), { name: "SchemaError" });
+    await Query.CheckTable("search.db", "Plain", { Id: "" });
+    assert.deepEqual(await Query.Search("search.db", "Plain", "x"), []);
+});
@@ -0,0 +1,70 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { spawnSync } = require("child_process");
+const { createStore } = require("../data.js");
+const { main, Commands } = require("../ssdl.js");
+
+const store = createStore({ temp: true, strict: true });
+store.Logger.RemoveTransport("console");
+const { Query, Config } = store;
+const folder = () => ["--folder", Config.database_folder, "--db-version", Config.database_version];
+const ssdl = (...args) => spawnSync(process.execPath, [path.join(__dirname, "..", "ssdl.js"), ...args], { encoding: "utf-8", timeout: 20000 });
+
+before(async () => {
+    await Query.CheckTable("cli.db", "Users", { Id: "", Name: "", Age: 0, Avatar: Buffer.alloc(0) });
+    await Query.CreateMany("cli.db", "Users", [
+        { Id: "u1", Name: "Ana", Age: 30, Avatar: Buffer.from("hi") },
+        { Id: "u2", Name: "Rui", Age: 25 },
+        { Id: "u3", Name: "Zoé", Age: 41 }
+    ]);
+});
+
+after(() => store.close());
+
+test("commands return what they print", async () => {
+    assert.deepEqual(await Commands.databases(store), ["cli.db"]);
+    assert.deepEqual((await Commands.tables(store, ["cli.db"], {})).map(table => [table.name, table.rows]), [["Users", 3]]);
+    const rows = await Commands.find(store, ["cli.db", "Users"], { where: `{"Age":{"$gte":30}}`, "order-by": ["-Age"], select: "Id, Age", limit: "5" });
+    assert.deepEqual(rows, [{ Id: "u3", Age: 41 }, { Id: "u1", Age: 30 }]);
+    assert.equal((await Commands.check(store, ["cli.db"], {})).ok, true);
+});
+
+test("export and import pick the format from the extension", async () => {
+    const file = path.join(Config.database_folder, "users.jsonl");
+    assert.equal((await Commands.export(store, ["cli.db", "Users", file], {})).format, "ndjson");
+    await Query.CheckTable("cli.db", "Copy", { Id: "", Name: "", Age: 0, Avatar: Buffer.alloc(0) });
+    assert.equal((await Commands.import(store, ["cli.db", "Copy", file], { conflict: "skip" })).inserted, 3);
+    await assert.rejects(Commands.export(store, ["cli.db", "Users", "users.txt"], {}), /--format/);
+});
+
+test("migrate loads the migrations of a module, or of a function of the store", async () => {
+    const file = path.join(Config.database_folder, "migrations.js");
+    fs.writeFileSync(file, `module.exports = (store) => [{ version: 1, name: "add email", up: 'ALTER TABLE "Users" ADD COLUMN Email TEXT;' }];`);
+    const dry = await Commands.migrate(store, ["cli.db", file], { "dry-run": true });
+    assert.deepEqual([dry.dryRun, dry.steps], [true, [{ version: 1, name: "add email" }]]);
+    assert.equal((await Commands.migrate(store, ["cli.db", file], {})).to, 1);
+});
+
+test("bad command lines are usage errors", async () => {
+    await assert.rejects(main(["nope"]), /Unknown command: nope/);
+    await assert.rejects(main(["get", ...folder(), "cli.db", "Users"]), /Missing argument: <id>/);
+    await assert.rejects(main(["find", ...folder(), "cli.db", "Users", "--where", "{bad"]), /--where is not valid JSON/);
+    await assert.rejects(main(["find", ...folder(), "cli.db", "Users", "--limit=-1"]), /--limit must be a non-negative integer/);
+});
+
+test("the command line prints JSON and exits with the status of the command", () => {
+    const get = ssdl("get", ...folder(), "cli.db", "Users", "u1");
+    assert.equal(get.status, 0, get.stderr);
+    assert.deepEqual(JSON.parse(get.stdout), { Id: "u1", Name: "Ana", Age: 30, Avatar: Buffer.from("hi").toString("base64"), Email: null });
+
+    const missing = ssdl("get", ...folder(), "cli.db", "Users", "nope");
+    assert.equal(missing.status, 1);
+    assert.match(missing.stderr, /^ssdl: Record not found/);
+
+    const usage = ssdl("find", ...folder(), "cli.db");
+    assert.equal(usage.status, 2);
+    assert.match(usage.stderr, /Run ssdl --help/);
+    assert.match(ssdl("--help").stdout, /^Usage: ssdl/);
+});
@@ -0,0 +1,77 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { spawnSync } = require("child_process");
+const { createStore, DatabaseError } = require("../data.js");
+
+const quiet = (store) => {
+    store.Logger.RemoveTransport("console");
+    return store;
+};
+
+test("requiring data.js starts nothing that keeps the process alive", () => {
+    const result = spawnSync(process.execPath, ["-e", `require(${JSON.stringify(path.join(__dirname, "..", "data.js"))});`], { timeout: 10000 });
+    assert.equal(result.signal, null);
+    assert.equal(result.status, 0);
+});
+
+test("config sections are merged over the defaults", async () => {
+    const store = quiet(createStore({ temp: true, connection: { db_pool_size: 8 } }));
+    try {
+        assert.equal(store.Config.connection.db_pool_size, 8);
+        assert.equal(store.Config.connection.busy_timeout, 5000);
+    } finally {
+        await store.close();
+    }
+});
+
+test("stores are isolated, and a temp store deletes its folder on close", async () => {
+    const a = quiet(createStore({ temp: true, strict: true }));
+    const b = quiet(createStore({ temp: true, strict: true }));
+    const folder = a.Config.database_folder;
+    try {
+        assert.ok(folder.startsWith(os.tmpdir()));
+        assert.notEqual(folder, b.Config.database_folder);
+        const seen = [];
+        a.Query.Hook("store.db", "Items", "afterCreate", (row) => seen.push(row.Id));
+        for (const store of [a, b]) await store.Query.CheckTable("store.db", "Items", { Id: "" });
+        await a.Query.Create("store.db", "Items", { Id: "a1" });
+        await b.Query.Create("store.db", "Items", { Id: "b1" });
+        assert.deepEqual(await a.Query.GetAllIds("store.db", "Items"), [{ Id: "a1" }]);
+        assert.deepEqual(await b.Query.GetAllIds("store.db", "Items"), [{ Id: "b1" }]);
+        assert.deepEqual(seen, ["a1"]);
+        assert.ok(fs.existsSync(path.join(folder, a.Config.database_version, "store.db")));
+    } finally {
+        await a.close();
+        await b.close();
+    }
+    assert.equal(fs.existsSync(folder), false);
+});
+
+test("a memory store keeps its data on one connection until close, without files", async () => {
+    const store = quiet(createStore({ memory: true, strict: true }));
+    const { Query, Data, Config, Logger } = store;
+    try {
+        assert.deepEqual(Logger.transports.map(transport => transport.name), []);
+        await Query.CheckTable("memory.db", "Items", { Id: "" });
+        await Query.Create("memory.db", "Items", { Id: "m1" });
+        Data.CloseConnection("memory.db");
+        assert.equal(await Query.Count("memory.db", "Items"), 1);
+        const [status] = Object.values(Data.GetConnectionStatus());
+        assert.equal(status.readers, 0);
+        await assert.rejects(Data.Backup("memory.db"), DatabaseError);
+        assert.equal(fs.existsSync(path.join(Config.database_folder, Config.database_version, "memory.db")), false);
+    } finally {
+        await store.close();
+    }
+
+    // A new store starts empty
+    const other = quiet(createStore({ memory: true }));
+    try {
+        assert.deepEqual(await other.Query.ListTables("memory.db"), []);
+    } finally {
+        await other.close();
+    }
+});
@@ -0,0 +1,61 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { createStore, DatabaseError, NotFoundError, ConstraintError, SchemaError } = require("../data.js");
+
+// Lenient store: `Query.Strict`, `Config.strict` and transactions throw
+const { Query, Data, Logger, Config, close } = createStore({ temp: true });
+Logger.RemoveTransport("console");
+const user = { Id: "", Name: "" };
+
+before(async () => {
+    await Query.CheckTable("strict.db", "Users", user);
+    await Query.Create("strict.db", "Users", { Id: "u1", Name: "Ana" });
+});
+
+after(() => close());
+
+test("missing records return a fallback, or throw a NotFoundError", async () => {
+    assert.equal(await Query.Get("strict.db", "Users", "nope", user), undefined);
+    assert.equal(await Query.Modify("strict.db", "Users", { Id: "nope", Name: "x" }), 0);
+    await assert.rejects(Query.Strict.Get("strict.db", "Users", "nope", user), (err) =>
+        err instanceof NotFoundError && err instanceof DatabaseError && err.db == "strict.db" && err.table == "Users");
+    await assert.rejects(Query.Strict.Modify("strict.db", "Users", { Id: "nope", Name: "x" }), NotFoundError);
+    await assert.rejects(Query.Strict.Remove("strict.db", "Users", "nope"), NotFoundError);
+});
+
+test("constraint and schema failures throw typed errors without the bound values", async () => {
+    assert.equal(await Query.Create("strict.db", "Users", { Id: "u1", Name: "secret" }), null);
+    await assert.rejects(Query.Strict.Create("strict.db", "Users", { Id: "u1", Name: "secret" }), (err) =>
+        err instanceof ConstraintError && err.code == "SQLITE_CONSTRAINT" && /INSERT INTO "Users"/.test(err.sql) && !/secret/.test(JSON.stringify(err)));
+
+    assert.deepEqual(await Query.GetAll("strict.db", "Missing", user), []);
+    await assert.rejects(Query.Strict.GetAll("strict.db", "Missing", user), SchemaError);
+    await assert.rejects(Data.Read("strict.db", `SELECT * FROM "Missing" WHERE Name = 'secret';`, []), (err) =>
+        err instanceof SchemaError && err.sql.includes("Name = '?'") && !err.sql.includes("secret"));
+});
+
+test("a hook veto throws a VetoError", async () => {
+    const off = Query.Hook("strict.db", "Users", "beforeCreate", () => false);
+    try {
+        assert.equal(await Query.Create("strict.db", "Users", { Id: "u2" }), null);
+        await assert.rejects(Query.Strict.Create("strict.db", "Users", { Id: "u2" }), { name: "VetoError" });
+    } finally {
+        off();
+    }
+});
+
+test("Config.strict applies to every call, and transactions always throw", async () => {
+    Config.strict = true;
+    try {
+        await assert.rejects(Query.Get("strict.db", "Users", "nope", user), NotFoundError);
+    } finally {
+        Config.strict = false;
+    }
+    assert.equal(await Query.Get("strict.db", "Users", "nope", user), undefined);
+
+    await assert.rejects(Query.Transaction("strict.db", async (tx) => {
+        await tx.Modify("Users", { Id: "u1", Name: "Rolled back" });
+        await tx.Create("Users", { Id: "u1" });
+    }), ConstraintError);
+    assert.equal((await Query.Get("strict.db", "Users", "u1", user)).Name, "Ana");
+});
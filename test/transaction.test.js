@@ -0,0 +1,60 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { createStore } = require("../data.js");
+
+const { Query, Data, Logger, close } = createStore({ temp: true, strict: true });
+Logger.RemoveTransport("console");
+const counter = { Id: "", Value: 0 };
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+before(async () => {
+    await Query.CheckTable("tx.db", "Counters", counter);
+    await Query.Create("tx.db", "Counters", { Id: "c", Value: 0 });
+});
+
+after(() => close());
+
+test("concurrent transactions run one at a time", async () => {
+    const increment = () => Query.Transaction("tx.db", async (tx) => {
+        const { Value } = await tx.Get("Counters", "c", counter);
+        // Another transaction started meanwhile would read the same value
+        await sleep(20);
+        await tx.Modify("Counters", { Id: "c", Value: Value + 1 });
+    });
+    await Promise.all([increment(), increment(), increment()]);
+    assert.equal((await Query.Get("tx.db", "Counters", "c", counter)).Value, 3);
+});
+
+test("writes outside the transaction wait for its commit", async () => {
+    const order = [];
+    const tx = Query.Transaction("tx.db", async (tx) => {
+        await tx.Modify("Counters", { Id: "c", Value: 10 });
+        await sleep(20);
+        order.push("commit");
+    });
+    await sleep(5);
+    const write = Query.Modify("tx.db", "Counters", { Id: "c", Value: 20 }).then(() => order.push("write"));
+    await Promise.all([tx, write]);
+    assert.deepEqual(order, ["commit", "write"]);
+    assert.equal((await Query.Get("tx.db", "Counters", "c", counter)).Value, 20);
+});
+
+test("a failed transaction rolls back and frees the connection", async () => {
+    await assert.rejects(Query.Transaction("tx.db", async (tx) => {
+        await tx.Modify("Counters", { Id: "c", Value: 99 });
+        throw new Error("abort");
+    }), /abort/);
+    assert.equal((await Query.Get("tx.db", "Counters", "c", counter)).Value, 20);
+    assert.equal(await Data.Write("tx.db", `UPDATE "Counters" SET "Value" = 21 WHERE "Id" = 'c';`, []), 1);
+});
+
+test("a nested transaction rolls back to its savepoint only", async () => {
+    await Query.Transaction("tx.db", async (tx) => {
+        await tx.Modify("Counters", { Id: "c", Value: 30 });
+        await assert.rejects(tx.Transaction(async (inner) => {
+            await inner.Modify("Counters", { Id: "c", Value: 40 });
+            throw new Error("inner");
+        }), /inner/);
+    });
+    assert.equal((await Query.Get("tx.db", "Counters", "c", counter)).Value, 30);
+});
@@ -0,0 +1,70 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { Readable } = require("stream");
+const { createStore } = require("../data.js");
+
+// Lenient store: a failed export returns null
+const { Query, Logger, Config, close } = createStore({ temp: true });
+Logger.RemoveTransport("console");
+const schema = { Id: "", Name: "", Points: 0, Active: false, Born: new Date(0), Avatar: Buffer.alloc(0), Meta: {} };
+const people = [
+    { Id: "p1", Name: 'Ana "the first", of\nLisbon', Points: 3, Active: true, Born: new Date("1990-05-01T00:00:00.000Z"), Avatar: Buffer.from([1, 2]), Meta: { tags: ["a"] } },
+    { Id: "p2", Name: "Rui", Points: null, Active: false, Born: null, Avatar: null, Meta: null }
+];
+const file = (name) => path.join(Config.database_folder, name);
+
+before(async () => {
+    await Query.CheckTable("transfer.db", "People", schema);
+    await Query.CreateMany("transfer.db", "People", people);
+});
+
+after(() => close());
+
+for (const format of ["json", "ndjson", "csv"]) {
+    test(`${format} exports import back to the same records`, async () => {
+        const result = await Query.Export("transfer.db", "People", format, file(`people.${format}`), { schema: schema });
+        assert.deepEqual(result, { rows: 2, columns: Object.keys(schema), format: format });
+
+        await Query.CheckTable("transfer.db", `Copy_${format}`, schema);
+        const summary = await Query.Import("transfer.db", `Copy_${format}`, format, file(`people.${format}`), { schema: schema });
+        assert.deepEqual(summary, { inserted: 2, updated: 0, skipped: 0, rejected: 0, errors: [] });
+        assert.deepEqual(await Query.GetAll("transfer.db", `Copy_${format}`, schema), people);
+    });
+}
+
+test("conflicts are skipped, replaced, or fail the whole import", async () => {
+    await Query.CheckTable("transfer.db", "Scores", { Id: "", Points: 0 });
+    await Query.Create("transfer.db", "Scores", { Id: "s1", Points: 1 });
+    const source = () => Readable.from(['{"Id":"s1","Points":10}\n', '{"Id":"s2","Points":20}\n', '{"Id":"s2","Points":30}\n']);
+
+    const skip = await Query.Import("transfer.db", "Scores", "ndjson", source());
+    assert.deepEqual([skip.inserted, skip.updated, skip.skipped], [1, 0, 2]);
+    assert.equal((await Query.Get("transfer.db", "Scores", "s1", { Points: 0 })).Points, 1);
+
+    const replace = await Query.Import("transfer.db", "Scores", "ndjson", source(), { conflict: "replace" });
+    assert.deepEqual([replace.inserted, replace.updated], [0, 3]);
+    assert.deepEqual(await Query.GetAll("transfer.db", "Scores", { Id: "", Points: 0 }), [{ Id: "s1", Points: 10 }, { Id: "s2", Points: 30 }]);
+
+    await Query.Modify("transfer.db", "Scores", { Id: "s1", Points: 1 });
+    const fresh = Readable.from(['{"Id":"s3","Points":3}\n', '{"Id":"s1","Points":100}\n']);
+    assert.equal(await Query.Import("transfer.db", "Scores", "ndjson", fresh, { conflict: "fail" }), null);
+    assert.equal(await Query.Count("transfer.db", "Scores"), 2);
+    assert.equal((await Query.Get("transfer.db", "Scores", "s1", { Points: 0 })).Points, 1);
+});
+
+test("records that can't be parsed or converted are rejected with their index", async () => {
+    await Query.CheckTable("transfer.db", "Rejects", { Id: "", Points: 0 });
+    const csv = Readable.from(["Id,Points\n", "r1,5\n", ",6\n", "r3,abc\n", "r4,\n"]);
+    const summary = await Query.Import("transfer.db", "Rejects", "csv", csv);
+    assert.deepEqual([summary.inserted, summary.rejected], [2, 2]);
+    assert.deepEqual(summary.errors.map(e => e.index), [1, 2]);
+    assert.match(summary.errors[1].error, /abc/);
+    assert.deepEqual(await Query.GetAll("transfer.db", "Rejects", { Id: "", Points: 0 }), [{ Id: "r1", Points: 5 }, { Id: "r4", Points: null }]);
+});
+
+test("a failed export leaves no file", async () => {
+    assert.equal(await Query.Export("transfer.db", "Missing", "json", file("missing.json")), null);
+    assert.ok(!fs.readdirSync(Config.database_folder).some(name => name.startsWith("missing.json")));
+});
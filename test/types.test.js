@@ -0,0 +1,50 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { createStore, inferKind } = require("../data.js");
+
+const { Query, Data, Logger, close } = createStore({ temp: true, strict: true });
+Logger.RemoveTransport("console");
+const schema = { Id: "", Name: "", Age: 0, Score: 0.5, Active: false, Born: new Date(0), Avatar: Buffer.alloc(0), Tags: [], Meta: {} };
+
+before(() => Query.CheckTable("types.db", "People", schema));
+
+after(() => close());
+
+test("column types are inferred from the sample values", async () => {
+    const { columns } = await Query.DescribeTable("types.db", "People");
+    assert.deepEqual(Object.fromEntries(columns.map(col => [col.name, col.type])), {
+        Id: "TEXT", Name: "TEXT", Age: "INTEGER", Score: "REAL", Active: "INTEGER", Born: "TEXT", Avatar: "BLOB", Tags: "TEXT", Meta: "TEXT"
+    });
+});
+
+test("values round-trip through their stored form", async () => {
+    const person = {
+        Id: "p1", Name: "Ana", Age: 41, Score: 9.5, Active: true, Born: new Date("1984-03-01T10:00:00.000Z"),
+        Avatar: Buffer.from([1, 2, 3]), Tags: ["a", "b"], Meta: { city: "Lisbon", floors: [1, 2] }
+    };
+    await Query.Create("types.db", "People", person);
+    assert.deepEqual(await Query.Get("types.db", "People", "p1", schema), person);
+
+    // Stored as SQLite values
+    const row = await Data.Check("types.db", `SELECT Active, Born, Tags FROM "People" WHERE Id = ?;`, ["p1"]);
+    assert.deepEqual(row, { Active: 1, Born: "1984-03-01T10:00:00.000Z", Tags: '["a","b"]' });
+});
+
+test("nulls stay null, and Modify converts the changed values", async () => {
+    await Query.Create("types.db", "People", { Id: "p2", Name: "Rui" });
+    const empty = await Query.Get("types.db", "People", "p2", schema);
+    assert.equal(empty.Active, null);
+    assert.equal(empty.Born, null);
+    assert.equal(empty.Meta, null);
+
+    await Query.Modify("types.db", "People", { Id: "p2", Active: false, Meta: { x: 1 } });
+    const modified = await Query.Get("types.db", "People", "p2", schema);
+    assert.equal(modified.Active, false);
+    assert.deepEqual(modified.Meta, { x: 1 });
+});
+
+test("inferKind gives the kinds of the schema samples", () => {
+    assert.deepEqual(Object.values(schema).map(inferKind), ["text", "text", "integer", "real", "boolean", "date", "blob", "json", "json"]);
+    assert.equal(inferKind(10n), "integer");
+    assert.equal(inferKind(null), "text");
+});